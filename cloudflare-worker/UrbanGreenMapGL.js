@@ -7,14 +7,54 @@
  * - Detailed feature breakdown (Points/Polygons count)
  * - Better colors and outlines for all polygon types
  * - Debug mode to see what's rendering
+ * - Optional Protomaps vector basemap (basemap-url, basemap-flavor, basemap-assets);
+ *   basemap-osm-url for the OpenStreetMap raster tiles
+ * - Basemap picker: OpenStreetMap, vector flavors, basemap-rasters (e.g.
+ *   orthophotos) or none
+ * - Deep links with url-state: view, type filter, basemap, language and the
+ *   open popup's feature in the page URL
  */
 
 import maplibregl from "https://cdn.jsdelivr.net/npm/maplibre-gl@4/+esm";
+import {
+  BasemapControl,
+  basemapChoices,
+  basemapStyle,
+  parseRasterBasemaps,
+  replaceBasemap,
+  resolveBasemap
+} from "../shared/basemap-style.js";
+import { initialView, readMapState, urlStateOption, writeMapState } from "../shared/map-view.js";
 
 const DEFAULT_CENTER = [11.8768, 45.4064];
 const DEFAULT_ZOOM = 12;
 const DEFAULT_LANG = "en";
 
+// Protomaps basemaps helpers vendored with the web component, loaded on
+// first use as a module (no eval, so it works under a strict CSP)
+const BASEMAPS_MODULE = new URL("../web-component/vendor/basemaps.esm.js", import.meta.url).href;
+let basemapsPromise = null;
+
+function loadBasemaps() {
+  basemapsPromise ??= import(BASEMAPS_MODULE).then((module) => module.default);
+  return basemapsPromise;
+}
+
+// pmtiles:// for a .pmtiles basemap, registered once per page
+async function registerPMTilesProtocol() {
+  if (window.__pmtilesProtocol) return;
+  const pmtiles = await import("https://cdn.jsdelivr.net/npm/pmtiles@3/+esm");
+  window.__pmtilesProtocol ??= new pmtiles.Protocol();
+  maplibregl.addProtocol("pmtiles", window.__pmtilesProtocol.tile);
+}
+
+// First vertex of any geometry, where a reopened popup points
+function firstCoordinate(geometry) {
+  let coords = geometry?.coordinates;
+  while (Array.isArray(coords?.[0])) coords = coords[0];
+  return coords?.length >= 2 ? coords : null;
+}
+
 // GreenCode Types - Complete and accurate
 const GREEN_CODE_TYPES = {
   "": { name: "All Types", color: "#9C27B0" },
@@ -33,9 +73,15 @@ class UrbanGreenMapGL extends HTMLElement {
     this.attachShadow({ mode: "open" });
     this.map = null;
     this.featureBreakdown = { points: {}, polygons: {} };
+    this.basemapId = null;
+    this._mapLoaded = false;
+    this._selectedId = null;
+    this.urlState = null;
+    this._restoredState = null;
   }
 
   connectedCallback() {
+    this.restoreUrlState();
     this.renderLayout();
     this.initMap();
   }
@@ -55,13 +101,42 @@ class UrbanGreenMapGL extends HTMLElement {
 
     if (name === "type-filter" && oldVal !== newVal && this.map) {
       this.updateMapFilter();
+      this.saveUrlState();
     }
 
     if ((name === "lang" || name === "tile-server") && oldVal !== newVal && this.map) {
       this.updateStyle();
+      this.saveUrlState();
     }
   }
 
+  // url-state: a visited link's language, basemap and type filter become attributes, its view goes to initMap
+  restoreUrlState() {
+    this.urlState = urlStateOption(this);
+    const state = this.urlState ? readMapState(this.urlState) : null;
+    this._restoredState = state;
+    this._selectedId = state?.feature || null;
+    if (!state) return;
+
+    if (state.lang) this.setAttribute("lang", state.lang);
+    if (state.basemap) this.setAttribute("basemap", state.basemap);
+    // A link without a type filter keeps the page's type-filter attribute
+    if (state.category) this.setAttribute("type-filter", state.category);
+  }
+
+  saveUrlState() {
+    if (!this.urlState || !this._mapLoaded) return;
+    const { lng, lat } = this.map.getCenter();
+    writeMapState(this.urlState, {
+      center: [lng, lat],
+      zoom: this.map.getZoom(),
+      category: this.typeFilter,
+      basemap: resolveBasemap({ ...this.basemapOptions, url: this.basemaps ? this.basemapOptions.url : "" }),
+      lang: this.lang,
+      feature: this._selectedId,
+    });
+  }
+
   get tileServer() {
     return this.getAttribute("tile-server") || "https://urbangreen-tiles.urbangreen1.workers.dev";
   }
@@ -82,6 +157,18 @@ class UrbanGreenMapGL extends HTMLElement {
     return this.hasAttribute("debug");
   }
 
+  get basemapOptions() {
+    return {
+      basemap: this.basemapId || this.getAttribute("basemap") || undefined,
+      url: this.getAttribute("basemap-url") || "",
+      flavor: this.getAttribute("basemap-flavor") || undefined,
+      rasters: parseRasterBasemaps(this.getAttribute("basemap-rasters")),
+      assets: this.getAttribute("basemap-assets") || undefined,
+      osmTiles: this.getAttribute("basemap-osm-url") || undefined,
+      lang: this.lang,
+    };
+  }
+
   renderLayout() {
     this.shadowRoot.innerHTML = `
       <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/maplibre-gl@4/dist/maplibre-gl.css">
@@ -385,25 +472,20 @@ class UrbanGreenMapGL extends HTMLElement {
 
   buildStyle() {
     const filter = this.getMapFilter();
+    const basemap = basemapStyle(this.basemaps, this.basemapOptions);
 
     return {
-      version: 8,
+      ...basemap,
       sources: {
-        osm: {
-          type: "raster",
-          tiles: ["https://tile.openstreetmap.org/{z}/{x}/{y}.png"],
-          tileSize: 256,
-          attribution: "© OpenStreetMap",
-        },
+        ...basemap.sources,
+        // Tile URL, zoom range and bounds come from the worker's TileJSON
         urbangreen: {
           type: "vector",
-          tiles: [`${this.tileServer}/tiles/${this.lang}/{z}/{x}/{y}.pbf`],
-          minzoom: 10,
-          maxzoom: 16,
+          url: `${this.tileServer}/tiles/${this.lang}/tiles.json`,
         },
       },
       layers: [
-        { id: "osm-tiles", type: "raster", source: "osm" },
+        ...basemap.layers,
 
         // POLYGONS - Highly visible with distinct colors
         {
@@ -450,6 +532,30 @@ class UrbanGreenMapGL extends HTMLElement {
           },
         },
 
+        // LINES - Hedges and other linear features
+        {
+          id: "urbangreen-lines",
+          type: "line",
+          source: "urbangreen",
+          "source-layer": "urbangreen",
+          filter: ["all",
+            ["==", ["geometry-type"], "LineString"],
+            filter
+          ],
+          paint: {
+            "line-color": [
+              "match",
+              ["get", "type"],
+              "1", "#2E7D32",
+              "2", "#5D4037",
+              "3", "#1565C0",
+              "#6A1B9A"
+            ],
+            "line-width": 3,
+            "line-opacity": 0.9
+          },
+        },
+
         // POINTS - Darker colors to distinguish from polygons
         {
           id: "urbangreen-points",
@@ -509,20 +615,43 @@ class UrbanGreenMapGL extends HTMLElement {
       filter
     ]);
 
+    this.map.setFilter("urbangreen-lines", [
+      "all",
+      ["==", ["geometry-type"], "LineString"],
+      filter
+    ]);
+
     setTimeout(() => this.updateFeatureCounts(), 100);
   }
 
-  initMap() {
+  async initMap() {
     const mapDiv = this.shadowRoot.querySelector("#map");
 
+    this.basemaps = null;
+    if (this.basemapOptions.url) {
+      try {
+        await registerPMTilesProtocol();
+        this.basemaps = await loadBasemaps();
+      } catch (error) {
+        console.error("Vector basemap unavailable, using OpenStreetMap:", error);
+      }
+    }
+
     this.map = new maplibregl.Map({
       container: mapDiv,
       style: this.buildStyle(),
-      center: DEFAULT_CENTER,
-      zoom: DEFAULT_ZOOM,
+      ...initialView(this, { center: DEFAULT_CENTER, zoom: DEFAULT_ZOOM }, this._restoredState),
     });
 
     this.map.addControl(new maplibregl.NavigationControl(), "top-right");
+    // Vector flavors only once the Protomaps helpers have loaded
+    const basemap = { ...this.basemapOptions, url: this.basemaps ? this.basemapOptions.url : "" };
+    this.basemapControl = new BasemapControl({
+      choices: basemapChoices(basemap),
+      value: resolveBasemap(basemap),
+      onChange: (id) => this.setBasemap(id),
+    });
+    this.map.addControl(this.basemapControl, "top-right");
     this.map.addControl(
       new maplibregl.ScaleControl({ maxWidth: 100, unit: "metric" }), 
       "bottom-left"
@@ -539,8 +668,10 @@ class UrbanGreenMapGL extends HTMLElement {
     });
 
     this.map.on("load", () => {
+      this._mapLoaded = true;
       this.setStatus("✓ Ready", false);
       this.updateFeatureCounts();
+      this.saveUrlState();
     });
 
     this.map.on("dataloading", (e) => {
@@ -556,6 +687,7 @@ class UrbanGreenMapGL extends HTMLElement {
 
     this.map.on("moveend", () => {
       this.updateFeatureCounts();
+      this.saveUrlState();
     });
 
     this.map.on("error", (e) => {
@@ -576,13 +708,26 @@ class UrbanGreenMapGL extends HTMLElement {
         "3": "#1565C0"
       };
 
-      const geomEmoji = geomType === 'Point' ? '●' : '◼';
-      const geomLabel = geomType === 'Point' ? 'Point' : 'Polygon';
+      // z10-12 tree density points stand for `count` trees
+      if (props.density) {
+        return `
+        <div style="font-family: sans-serif; min-width: 180px;">
+          <h3 style="margin: 0 0 8px 0; font-size: 14px; color: ${typeColors[props.type] || '#6A1B9A'};">
+            ● ${Number(props.count).toLocaleString()} trees
+          </h3>
+          <div style="font-size: 12px; color: #666;">Zoom in to see each one</div>
+        </div>
+      `;
+      }
+
+      const baseType = String(geomType || '').replace(/^Multi/, '');
+      const geomEmoji = baseType === 'Point' ? '●' : baseType === 'LineString' ? '━' : '◼';
+      const geomLabel = baseType === 'Point' ? 'Point' : baseType === 'LineString' ? 'Line' : 'Polygon';
 
       return `
         <div style="font-family: sans-serif; min-width: 220px;">
           <h3 style="margin: 0 0 8px 0; font-size: 14px; color: ${typeColors[props.type] || '#6A1B9A'};">
-            ${geomEmoji} ${props.title}
+            ${geomEmoji} ${props.title || typeNames[props.type] || "Feature"}
           </h3>
           <div style="font-size: 12px; color: #666; line-height: 1.6;">
             <div style="margin-bottom: 4px;">
@@ -592,7 +737,7 @@ class UrbanGreenMapGL extends HTMLElement {
               <strong>Geometry:</strong> ${geomLabel}
             </div>
             <div style="margin-bottom: 4px;">
-              <strong>Code:</strong> ${props.code}
+              <strong>Code:</strong> ${props.code || "N/A"}
             </div>
             <div style="margin-bottom: 4px;">
               <strong>Status:</strong> ${props.active ? "✅ Active" : "❌ Inactive"}
@@ -605,17 +750,45 @@ class UrbanGreenMapGL extends HTMLElement {
       `;
     };
 
+    // The open popup's feature id goes into the URL state until it closes
+    const openPopup = (feature, lngLat) => {
+      const id = feature.properties.density ? null : feature.properties.id ?? null;
+      this._selectedId = id;
+
+      const popup = new maplibregl.Popup()
+        .setLngLat(lngLat)
+        .setHTML(popupHTML(feature.properties, feature.geometry.type))
+        .addTo(this.map);
+      popup.on("close", () => {
+        if (this._selectedId !== id) return;
+        this._selectedId = null;
+        this.saveUrlState();
+      });
+      this.saveUrlState();
+    };
+
+    // The popup of a visited link, once the tiles of the restored view are in
+    if (this._selectedId) {
+      const id = this._selectedId;
+      this.map.once("load", () => this.map.once("idle", () => {
+        const [feature] = this.map.querySourceFeatures("urbangreen", {
+          sourceLayer: "urbangreen",
+          filter: ["==", ["get", "id"], id]
+        });
+        const lngLat = firstCoordinate(feature?.geometry);
+        if (lngLat) {
+          openPopup(feature, lngLat);
+        } else if (this._selectedId === id) {
+          this._selectedId = null;
+          this.saveUrlState();
+        }
+      }));
+    }
+
     const bindClick = (layerId) => {
       this.map.on("click", layerId, (e) => {
         if (!e.features?.length) return;
-        const feature = e.features[0];
-        const props = feature.properties;
-        const geomType = feature.geometry.type;
-        
-        new maplibregl.Popup()
-          .setLngLat(e.lngLat)
-          .setHTML(popupHTML(props, geomType))
-          .addTo(this.map);
+        openPopup(e.features[0], e.lngLat);
       });
       
       this.map.on("mouseenter", layerId, () => {
@@ -629,6 +802,22 @@ class UrbanGreenMapGL extends HTMLElement {
 
     bindClick("urbangreen-points");
     bindClick("urbangreen-polygons");
+    bindClick("urbangreen-lines");
+  }
+
+  // Swap the background only; the UrbanGreen layers and the type filter stay
+  setBasemap(id) {
+    this.basemapId = id;
+    this.basemapControl?.setValue(resolveBasemap({
+      ...this.basemapOptions,
+      url: this.basemaps ? this.basemapOptions.url : ""
+    }));
+    if (!this.map) return;
+
+    const apply = () => replaceBasemap(this.map, basemapStyle(this.basemaps, this.basemapOptions));
+    if (this._mapLoaded) apply();
+    else this.map.once("load", apply);
+    this.saveUrlState();
   }
 
   updateStyle() {
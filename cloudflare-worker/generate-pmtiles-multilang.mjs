@@ -4,173 +4,40 @@
  * Generates PMTiles with ALL languages from ODH data
  * Languages: de, en, it, fr, el, hu, sl, uk, zh, fi, he, etc.
  * 
- * Run: node generate-pmtiles-multilang.mjs
+ * Failing pages are retried with backoff; a run that still fails resumes from
+ * its checkpoint file next time. A run whose item count differs from the
+ * API's TotalResults exits non-zero without writing anything; rerun it with
+ * --reset to drop the checkpoint and fetch every page again.
+ * 
+ * Run: node generate-pmtiles-multilang.mjs [--reset]
  */
 
 import fetch from 'node-fetch';
+import { createValidator, createQualityReport, mergeQualityReports } from '../shared/urbangreen-quality.js';
+import { ingestPages } from '../shared/odh-ingest.js';
 import fs from 'fs';
-import { execSync } from 'child_process';
+import { writePMTiles } from './pmtiles-writer.js';
+import { featuresForZoom } from '../shared/tile-rules.js';
 
 const CONFIG = {
   // ODH API
-  ODH_API_BASE: 'https://api.tourism.testingmachine.eu',
+  ODH_API_BASE: process.env.ODH_API_BASE || 'https://api.tourism.testingmachine.eu',  // e.g. the local stand-in
   ODH_ENDPOINT: '/v1/UrbanGreen',
   PAGESIZE: 200,
   
-  // Languages to fetch (we'll fetch once and extract all languages from Detail)
-  PRIMARY_LANG: 'en',
-  
   // Output files
   GEOJSON_FILE: 'urbangreen-multilang.geojson',
+  QUALITY_FILE: 'urbangreen-multilang.quality.json',
+  CHECKPOINT_FILE: 'urbangreen-multilang.checkpoint.ndjson',  // Removed after a successful run
+  RESET: process.argv.includes('--reset'),  // Start from page 1 instead of the checkpoint
   PMTILES_FILE: 'urbangreen-multilang.pmtiles',
   
-  // Tippecanoe settings
+  // Tile settings
   MAX_ZOOM: 16,
   MIN_ZOOM: 10,
   LAYER_NAME: 'urbangreen',
 };
 
-// ========================================
-// HELPER FUNCTIONS
-// ========================================
-
-function toNumber(v) {
-  if (v === null || v === undefined) return null;
-  const n = typeof v === 'number' ? v : Number(String(v).replace(',', '.'));
-  return Number.isFinite(n) ? n : null;
-}
-
-function truncateCoord(value) {
-  return Math.round(value * 1000000) / 1000000;
-}
-
-function pickFirstGeo(geoObj) {
-  if (!geoObj) return null;
-  if (geoObj.position && typeof geoObj.position === 'object') return geoObj.position;
-  const entries = Array.isArray(geoObj) ? geoObj : Object.values(geoObj);
-  if (!entries.length) return null;
-  const def = entries.find((e) => e && e.Default === true);
-  return def || entries[0];
-}
-
-function getAllTitles(item) {
-  const d = item?.Detail;
-  if (!d || typeof d !== 'object') {
-    return { en: item?.Shortname || item?.Id || 'Unknown' };
-  }
-  
-  const titles = {};
-  
-  // Extract titles from all languages
-  for (const [lang, details] of Object.entries(d)) {
-    if (details?.Title) {
-      titles[lang] = details.Title;
-    }
-  }
-  
-  // Fallback to Shortname if no titles found
-  if (Object.keys(titles).length === 0) {
-    titles.en = item?.Shortname || item?.Id || 'Unknown';
-  }
-  
-  return titles;
-}
-
-function extractWktString(maybeWkt) {
-  if (!maybeWkt || typeof maybeWkt !== 'string') return null;
-  const cleaned = maybeWkt.replace(/;SRID=\d+\s*$/i, '').trim();
-  const m = cleaned.match(/\b(POINT|POLYGON|MULTIPOLYGON|LINESTRING|MULTILINESTRING)\b/i);
-  if (!m) return null;
-  return cleaned.slice(m.index).trim();
-}
-
-function parseCoordList(str) {
-  const parts = String(str).trim().split(',').map((p) => p.trim()).filter(Boolean);
-  const coords = [];
-  for (const p of parts) {
-    const [a, b] = p.split(/\s+/);
-    const lng = toNumber(a);
-    const lat = toNumber(b);
-    if (lng === null || lat === null) continue;
-    coords.push([truncateCoord(lng), truncateCoord(lat)]);
-  }
-  return coords.length ? coords : null;
-}
-
-function parseWktPoint(wkt) {
-  const m = wkt.match(/POINT\s*\(\s*([-\d.,]+)\s+([-\d.,]+)\s*\)/i);
-  if (!m) return null;
-  const lng = toNumber(m[1]);
-  const lat = toNumber(m[2]);
-  if (lat === null || lng === null) return null;
-  return [truncateCoord(lng), truncateCoord(lat)];
-}
-
-function parseWktPolygonRings(wkt) {
-  const poly = wkt.match(/POLYGON\s*\(\s*\((.+)\)\s*\)\s*$/i);
-  if (poly) {
-    const inside = poly[1];
-    const ringStrings = inside.split('),(');
-    const rings = ringStrings.map((rs) => parseCoordList(rs));
-    return rings.filter((r) => r && r.length);
-  }
-  return null;
-}
-
-function itemToGeoJSON(item) {
-  const g = pickFirstGeo(item.Geo);
-  if (!g) return null;
-
-  const wktRaw = g?.Geometry ?? g?.geometry ?? null;
-  let geometry = null;
-
-  if (wktRaw) {
-    const wkt = extractWktString(wktRaw);
-    if (wkt) {
-      const pt = parseWktPoint(wkt);
-      if (pt) {
-        geometry = { type: 'Point', coordinates: pt };
-      } else {
-        const rings = parseWktPolygonRings(wkt);
-        if (rings && rings[0] && rings[0].length >= 3) {
-          geometry = { type: 'Polygon', coordinates: rings };
-        }
-      }
-    }
-  }
-
-  if (!geometry) {
-    const lat = toNumber(g?.Latitude ?? item?.Latitude);
-    const lng = toNumber(g?.Longitude ?? item?.Longitude);
-    if (lat !== null && lng !== null) {
-      geometry = { type: 'Point', coordinates: [truncateCoord(lng), truncateCoord(lat)] };
-    }
-  }
-
-  if (!geometry) return null;
-
-  // Get ALL language titles
-  const titles = getAllTitles(item);
-  
-  // Create properties with all languages
-  const properties = {
-    id: item.Id,
-    type: String(item.GreenCodeType || ''),
-    code: item.GreenCode || 'N/A',
-    active: !!item.Active,
-    // Add all language titles with name_ prefix
-    ...Object.fromEntries(
-      Object.entries(titles).map(([lang, title]) => [`name_${lang}`, title])
-    )
-  };
-
-  return {
-    type: 'Feature',
-    geometry,
-    properties,
-  };
-}
-
 // ========================================
 // STEP 1: FETCH ALL DATA FROM ODH
 // ========================================
@@ -186,68 +53,74 @@ async function fetchAllFromODH() {
   
   const allFeatures = [];
   const languagesFound = new Set();
-  let page = 1;
-  let totalPages = null;
+  const seenIds = new Set();
+  const quality = createQualityReport();
   
-  while (true) {
-    const url = new URL(`${CONFIG.ODH_API_BASE}${CONFIG.ODH_ENDPOINT}`);
-    url.searchParams.set('pagenumber', String(page));
-    url.searchParams.set('pagesize', String(CONFIG.PAGESIZE));
-    url.searchParams.set('language', CONFIG.PRIMARY_LANG);
-
-    try {
-      const response = await fetch(url.toString(), {
-        headers: { Accept: 'application/json' }
-      });
-
-      if (!response.ok) {
-        if (response.status === 404) break;
-        throw new Error(`ODH API error: ${response.status}`);
-      }
-
-      const json = await response.json();
-      const items = json?.Items ?? json?.items ?? [];
+  // A checkpointed page: its features, languages and quality issues
+  const restorePage = (record) => {
+    allFeatures.push(...record.features);
+    record.features.forEach(f => seenIds.add(f.properties.id));
+    record.languages.forEach(lang => languagesFound.add(lang));
+    mergeQualityReports(quality, record.quality);
+  };
+  
+  const url = new URL(`${CONFIG.ODH_API_BASE}${CONFIG.ODH_ENDPOINT}`);
+  // No language filter, like the worker: every Detail is read for name_xx
+  
+  const ingest = await ingestPages({
+    url,
+    pagesize: CONFIG.PAGESIZE,
+    checkpointFile: CONFIG.CHECKPOINT_FILE,
+    reset: CONFIG.RESET,
+    delayMs: 50,
+    retry: {
+      fetch,
+      onRetry: ({ attempt, delay, error }) => console.log(`\n  ⚠️  ${error.message}, retry ${attempt} in ${delay}ms`)
+    },
+    processPage: (items) => {
+      const validator = createValidator({ names: true, seenIds });
+      const features = [];
+      const languages = new Set();
       
-      if (totalPages === null) {
-        const total = json?.TotalResults ?? 0;
-        totalPages = Math.ceil(total / CONFIG.PAGESIZE);
-      }
-
-      if (items.length === 0) break;
-
-      const features = items.map(item => {
-        const feature = itemToGeoJSON(item);
+      for (const item of items) {
+        const feature = validator.toFeature(item);
+        if (!feature) continue;
+        features.push(feature);
         
         // Track languages found
-        if (feature && item.Detail) {
-          Object.keys(item.Detail).forEach(lang => languagesFound.add(lang));
+        if (item.Detail) {
+          Object.keys(item.Detail).forEach(lang => languages.add(lang));
         }
-        
-        return feature;
-      }).filter(Boolean);
-      
-      allFeatures.push(...features);
-
-      const progress = Math.round((page / totalPages) * 100);
-      process.stdout.write(`\r  Page ${page}/${totalPages} (${progress}%) - ${allFeatures.length} features`);
-
-      if (items.length < CONFIG.PAGESIZE) break;
-      
-      page++;
-      await new Promise(resolve => setTimeout(resolve, 50));
+      }
       
-    } catch (error) {
-      console.error(`\n  ❌ Error fetching page ${page}:`, error.message);
-      break;
+      const record = { features, languages: Array.from(languages), quality: validator.report };
+      restorePage(record);
+      return record;
+    },
+    restorePage,
+    onPage: ({ page, totalPages, restored }) => {
+      const progress = totalPages ? Math.round((page / totalPages) * 100) : 0;
+      const source = restored ? ' (checkpoint)' : '';
+      process.stdout.write(`\r  Page ${page}/${totalPages ?? '?'} (${progress}%) - ${allFeatures.length} features${source}`);
     }
-  }
+  });
 
   console.log('');
-  console.log(`  ✓ Fetched ${allFeatures.length} features`);
+  if (ingest.restoredPages > 0) {
+    console.log(`  ✓ Resumed from ${CONFIG.CHECKPOINT_FILE} (${ingest.restoredPages} pages)`);
+  }
+  console.log(`  ✓ Fetched ${ingest.fetchedItems} items (TotalResults ${ingest.totalResults ?? 'n/a'})`);
+  console.log(`  ✓ Kept ${allFeatures.length} features`);
+  console.log(`  ✓ Rejected ${quality.rejected} items, flagged ${quality.flagged}`);
   console.log(`  ✓ Languages found: ${Array.from(languagesFound).sort().join(', ')}`);
   console.log('');
 
-  return { features: allFeatures, languages: Array.from(languagesFound) };
+  return {
+    features: allFeatures,
+    languages: Array.from(languagesFound),
+    quality,
+    clearCheckpoint: ingest.clearCheckpoint
+  };
 }
 
 // ========================================
@@ -284,58 +157,64 @@ function saveGeoJSON(features, languages, filename) {
   }
 }
 
+// Data quality report next to the GeoJSON (see shared/urbangreen-quality.js)
+function saveQualityReport(report, filename) {
+  fs.writeFileSync(filename, JSON.stringify(report, null, 2));
+  
+  console.log(`  ✓ Quality report: ${filename}`);
+  for (const [cls, count] of Object.entries(report.counts)) {
+    if (count > 0) console.log(`     ${cls}: ${count}`);
+  }
+  if (report.truncated) {
+    console.log(`     (issue list truncated to ${report.issues.length})`);
+  }
+  console.log('');
+}
+
 // ========================================
-// STEP 3: GENERATE PMTILES WITH TIPPECANOE
+// STEP 3: GENERATE PMTILES (pure JavaScript)
 // ========================================
 
-function generatePMTiles(geojsonFile, pmtilesFile) {
+async function generatePMTiles(features, pmtilesFile) {
   console.log('═══════════════════════════════════════════════════════');
   console.log('  STEP 3: Generating Multilingual PMTiles');
   console.log('═══════════════════════════════════════════════════════');
   console.log('');
-  
-  // Check if tippecanoe is installed
-  try {
-    execSync('tippecanoe --version', { stdio: 'ignore' });
-  } catch (error) {
-    console.error('  ❌ Tippecanoe not found!');
-    console.log('');
-    console.log('  Install in WSL:');
-    console.log('    wsl');
-    console.log('    sudo apt update');
-    console.log('    sudo apt install tippecanoe');
-    console.log('');
-    process.exit(1);
-  }
-  
-  console.log('  Running Tippecanoe...');
+  console.log('  Building tiles with geojson-vt...');
   console.log('');
   
-  const command = [
-    'tippecanoe',
-    `-o ${pmtilesFile}`,
-    `-z${CONFIG.MAX_ZOOM}`,
-    `-Z${CONFIG.MIN_ZOOM}`,
-    `-l ${CONFIG.LAYER_NAME}`,
-    '--drop-densest-as-needed',
-    '--extend-zooms-if-still-dropping',
-    '--force',
-    geojsonFile
-  ].join(' ');
-  
   try {
-    execSync(command, { stdio: 'inherit' });
+    const { archive, stats } = await writePMTiles(
+      { type: 'FeatureCollection', features },
+      {
+        layerName: CONFIG.LAYER_NAME,
+        minZoom: CONFIG.MIN_ZOOM,
+        maxZoom: CONFIG.MAX_ZOOM,
+        metadata: {
+          description: 'UrbanGreen Padova - multilingual (name_{lang})',
+          attribution: '© Open Data Hub, R3GIS',
+        },
+        // Same per-zoom rules as the worker's tiles: smaller low zoom downloads
+        featuresForZoom,
+        onProgress: (zoom, tiles, bytes) => {
+          const average = tiles ? (bytes / tiles / 1024).toFixed(1) : '0';
+          console.log(`  ✓ z${zoom}: ${tiles} tiles, ${(bytes / 1024 / 1024).toFixed(2)} MB (avg ${average} KB)`);
+        },
+      }
+    );
+    
+    fs.writeFileSync(pmtilesFile, archive);
     
-    const stats = fs.statSync(pmtilesFile);
-    const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
+    const sizeMB = (archive.length / 1024 / 1024).toFixed(2);
     
     console.log('');
     console.log(`  ✓ PMTiles generated: ${pmtilesFile}`);
+    console.log(`  ✓ Tiles: ${stats.addressedTiles} (${stats.tileContents} unique)`);
     console.log(`  ✓ Size: ${sizeMB} MB`);
     console.log('');
     
   } catch (error) {
-    console.error('  ❌ Tippecanoe failed:', error.message);
+    console.error('  ❌ PMTiles generation failed:', error.message);
     process.exit(1);
   }
 }
@@ -368,6 +247,10 @@ function showUploadInstructions(pmtilesFile, languages) {
   console.log('  4. Your PMTiles URL:');
   console.log('     https://pub-<YOUR-ID>.r2.dev/' + pmtilesFile);
   console.log('');
+  console.log('  Or without public access, through the worker (URBANGREEN_R2 binding):');
+  console.log('     https://<worker>/pmtiles/{z}/{x}/{y}.mvt');
+  console.log('     https://<worker>/pmtiles/tiles.json');
+  console.log('');
   console.log('  In your web component, access names like:');
   console.log('     feature.properties.name_en  (English)');
   console.log('     feature.properties.name_de  (German)');
@@ -392,7 +275,7 @@ async function main() {
   
   try {
     // Step 1: Fetch data
-    const { features, languages } = await fetchAllFromODH();
+    const { features, languages, quality, clearCheckpoint } = await fetchAllFromODH();
     
     if (features.length === 0) {
       console.log('❌ No features fetched. Check ODH API connectivity.');
@@ -401,9 +284,13 @@ async function main() {
     
     // Step 2: Save GeoJSON
     saveGeoJSON(features, languages, CONFIG.GEOJSON_FILE);
+    saveQualityReport(quality, CONFIG.QUALITY_FILE);
     
     // Step 3: Generate PMTiles
-    generatePMTiles(CONFIG.GEOJSON_FILE, CONFIG.PMTILES_FILE);
+    await generatePMTiles(features, CONFIG.PMTILES_FILE);
+    
+    // Outputs written, the next run starts from page 1
+    clearCheckpoint();
     
     // Step 4: Show upload instructions
     showUploadInstructions(CONFIG.PMTILES_FILE, languages);
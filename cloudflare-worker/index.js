@@ -3,29 +3,144 @@
  * FREE PLAN EDITION with Chunked Storage (25MB KV limit workaround)
  * 
  * Features:
- * - Splits data into multiple KV keys (by feature type)
+ * - Splits data into multiple KV keys (by feature type and z12 tile bucket)
+ * - Tile requests read only the buckets covering the tile
  * - Works within 25MB per key limit
  * - Batched loading for free plan
- * - Merges data from all chunks when serving tiles
+ * - One ingest stores every ODH title as name_{lang}; tiles, features and
+ *   exports take any language and fall back along LANGUAGE_FALLBACKS
+ * - Cron trigger advances the batched refresh
+ * - Delta sync of items changed since the last refresh (mode=delta); items
+ *   deleted upstream only go with the weekly full refresh
+ * - Caches built PBF tiles in KV (ETag, prebuilt low zooms after refresh)
+ * - Per-zoom tile rules (shared/tile-rules.js): no furniture below z14,
+ *   no titles below z13, tree density points at z10-12
+ * - Serves the generated PMTiles archive from R2 as plain z/x/y tiles
+ * - Publishes TileJSON and a MapLibre style per language, over the basemap
+ *   the BASEMAP_* vars configure like the components' basemap-* attributes
+ * - GeoJSON feature query API (/features) over the stored chunks
+ * - CSV (WKT geometry), KML and NDJSON exports with titles in every language
+ * - Refresh, reset and cache purge need POST with the ADMIN_TOKEN secret
+ * - Data quality report of rejected and flagged ODH items (/info/quality)
+ * - Each full refresh builds a new dataset version, published only when
+ *   complete and validated; earlier versions are kept for rollback
  * 
  * Version: 6.2.0-kv-chunked
  */
 
 import geojsonvt from "geojson-vt";
 import vtpbf from "vt-pbf";
+import { PMTiles, EtagMismatch } from "pmtiles";
+import { computeBounds, collectFields } from "./pmtiles-writer.js";
+import { eachPosition } from "../shared/wkt.js";
+import { fetchJsonWithRetry, responseItems } from "../shared/odh-fetch.js";
+import { codeSubtype, titleFromNames } from "../shared/urbangreen-feature.js";
+import { featuresForZoom, DENSITY_FIELDS } from "../shared/tile-rules.js";
+import {
+  createValidator,
+  createQualityReport,
+  mergeQualityReports,
+  summarizeQualityReport,
+  addIssue,
+  ISSUE_CLASSES
+} from "../shared/urbangreen-quality.js";
+import { basemapStyle, parseRasterBasemaps } from "../shared/basemap-style.js";
+import basemaps from "../web-component/vendor/basemaps.esm.js";
 
 const CONFIG = {
   ODH_API_BASE: "https://api.tourism.testingmachine.eu",
   ODH_ENDPOINT: "/v1/UrbanGreen",
-  SUPPORTED_LANGS: ["en", "it", "de"],
   
-  // KV keys - chunked by type
+  // Languages: every title is stored, any 2-3 letter code can be requested.
+  // A title missing in the requested language is taken from its fallbacks,
+  // then from DEFAULT_LANG (override with the LANGUAGE_FALLBACKS var, JSON).
+  DEFAULT_LANG: "en",
+  LANGUAGE_FALLBACKS: {
+    lld: ["it", "de"],  // Ladin
+  },
+  
+  // KV keys - chunked by type and tile bucket
   KV_KEY_PREFIX: "urbangreen:data:v2",
   KV_KEY_METADATA: "urbangreen:metadata:v2",
   KV_KEY_PROGRESS: "urbangreen:progress:v2",
+  KV_KEY_AUDIT: "urbangreen:progress:v2:audit",
+  KV_KEY_RUNS: "urbangreen:runs:v2",
+  KV_KEY_TILES: "urbangreen:tiles:v2",
+  KV_KEY_TILE_STATE: "urbangreen:tilestate:v2",
+  KV_KEY_QUALITY: "urbangreen:quality:v2",
+  KV_KEY_VERSIONS: "urbangreen:versions:v2",
+  
+  // Batching
+  BATCH_SIZE: 100,  // Pages per POST /refresh batch
+  TOTAL_CHANGES_KEPT: 10,  // Upstream TotalResults changes kept in the progress record
+  
+  // ODH requests: transient errors are retried with exponential backoff
+  RETRY: {
+    retries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 4000,
+  },
+  
+  // Cron-driven refresh (see [triggers] in wrangler.toml)
+  SCHEDULE: {
+    REFRESH_INTERVAL_MS: 24 * 60 * 60 * 1000,  // Delta-sync a complete dataset once a day
+    FULL_REFRESH_INTERVAL_MS: 7 * 24 * 60 * 60 * 1000,  // Full reload once a week, which also drops items deleted upstream
+    // ODH pages per cron run: with RETRY that is at most 30 requests, well within
+    // one invocation's subrequests. A full refresh takes TotalPages / PAGES_PER_RUN
+    // runs: about 1133 pages are 114 runs of the */15 cron, some 28 hours, served
+    // from the live version meanwhile and well inside FULL_REFRESH_INTERVAL_MS
+    PAGES_PER_RUN: 10,
+    RUN_HISTORY: 20,  // Scheduled runs kept in KV
+  },
+  
+  // Partitioned storage
+  STORAGE: {
+    BUCKET_ZOOM: 12,  // Coarse tile grid features are bucketed by
+    MAX_CHUNK_BYTES: 20 * 1024 * 1024,  // Warn well before the 25MB KV value limit
+  },
+  
+  // Dataset versions: a full refresh builds a new one and publishes it when complete
+  DATASETS: {
+    KEEP_VERSIONS: 3,  // Published versions kept for rollback, the live one included
+    MIN_FEATURE_SHARE: 0.5,  // A new version with fewer features than this share of the live one is held back
+  },
+  
+  // Admin API (token: wrangler secret put ADMIN_TOKEN)
+  ADMIN: {
+    AUDIT_HISTORY: 50,  // Admin actions kept in KV
+    INFO_ACTIONS: 10,   // Shown on /info
+    PURGE_BATCH: 400,   // Keys deleted per POST /purge, within the per-invocation KV operation limit
+  },
+  
+  // Delta sync: more changed pages than this means a full refresh is cheaper
+  DELTA_MAX_PAGES: 50,
+  
+  // Per-tile PBF cache in KV
+  TILE_CACHE: {
+    TTL_SECONDS: 7 * 24 * 60 * 60,  // Stale versions expire on their own
+    PREBUILD_ZOOMS: [10, 11, 12, 13, 14],  // Higher zooms are cached on first request
+    PREBUILD_TILES_PER_RUN: 50,
+    PREBUILD_LANGS: ["en", "it", "de"],
+  },
   
-  // Batching (free plan limits)
-  BATCH_SIZE: 100,  // Pages per batch
+  // PMTiles archive in R2 (written by generate-pmtiles-multilang.mjs)
+  PMTILES: {
+    ARCHIVE_KEY: "urbangreen-multilang.pmtiles",
+    CACHE_SECONDS: 24 * 60 * 60,
+  },
+  
+  // Published TileJSON and style.json
+  TILEJSON: {
+    MIN_ZOOM: 10,
+    CENTER_ZOOM: 13,
+    ATTRIBUTION: "UrbanGreen data © Open Data Hub",
+  },
+  
+  // /features paging
+  FEATURES: {
+    DEFAULT_PAGESIZE: 100,
+    MAX_PAGESIZE: 1000,
+  },
   
   // Tile settings
   TILE_OPTIONS: {
@@ -43,520 +158,2397 @@ const CONFIG = {
 };
 
 // Helper functions (same as before)
-function toNumber(v) {
-  if (v === null || v === undefined) return null;
-  const n = typeof v === "number" ? v : Number(String(v).replace(",", "."));
-  return Number.isFinite(n) ? n : null;
-}
-
 function truncateCoord(value) {
   return Math.round(value * 1000000) / 1000000;
 }
 
-function pickFirstGeo(geoObj) {
-  if (!geoObj) return null;
-  if (geoObj.position && typeof geoObj.position === "object") return geoObj.position;
-  const entries = Array.isArray(geoObj) ? geoObj : Object.values(geoObj);
-  if (!entries.length) return null;
-  const def = entries.find((e) => e && e.Default === true);
-  return def || entries[0];
+// Bbox helpers
+function tileToBbox(x, y, z) {
+  const n = Math.pow(2, z);
+  const west = (x / n) * 360 - 180;
+  const east = ((x + 1) / n) * 360 - 180;
+  const latRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n)));
+  const north = latRad * 180 / Math.PI;
+  const latRad2 = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n)));
+  const south = latRad2 * 180 / Math.PI;
+  return { west, south, east, north };
+}
+
+function lngLatToTile(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const latRad = lat * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1)
+  };
+}
+
+function getFeatureBbox(feature) {
+  let minLng = Infinity, maxLng = -Infinity;
+  let minLat = Infinity, maxLat = -Infinity;
+  eachPosition(feature.geometry, ([lng, lat]) => {
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  });
+  if (minLng === Infinity) return null;
+  return { west: minLng, east: maxLng, south: minLat, north: maxLat };
+}
+
+function bboxesIntersect(bbox1, bbox2) {
+  return !(bbox1.east < bbox2.west || bbox1.west > bbox2.east ||
+           bbox1.north < bbox2.south || bbox1.south > bbox2.north);
+}
+
+// ========================================
+// PARTITIONED KV STORAGE (type x tile bucket)
+// ========================================
+
+// Features are stored per GreenCodeType and per coarse tile bucket at
+// CONFIG.STORAGE.BUCKET_ZOOM. A feature whose bbox spans several buckets is
+// written to each of them and readers de-duplicate by id. The manifest lists
+// the non-empty chunks, so a tile request only reads the buckets covering it.
+// Next to it the id index names the chunks holding each id, so a batch or
+// delta sync only reads the chunks it adds to or removes from.
+//
+// Every full refresh writes a separate dataset version; metadata.datasetVersion
+// names the live one (see DATASET VERSIONS). Datasets loaded per language
+// before the multilingual ingest live under "{lang}" (unversioned) or
+// "{lang}:{version}" and are read the same way.
+
+const CHUNK_TYPES = ["1", "2", "3", "other"];
+
+function chunkTypeOf(feature) {
+  const type = feature.properties.type;
+  return type !== "other" && CHUNK_TYPES.includes(type) ? type : "other";
+}
+
+function datasetPrefix(version) {
+  return `${CONFIG.KV_KEY_PREFIX}:${version}`;
+}
+
+function chunkKey(version, type, bucket) {
+  return `${datasetPrefix(version)}:type${type}:z${CONFIG.STORAGE.BUCKET_ZOOM}:${bucket}`;
+}
+
+function manifestKey(version) {
+  return `${datasetPrefix(version)}:manifest`;
+}
+
+function idIndexKey(version) {
+  return `${manifestKey(version)}:ids`;
+}
+
+// { id: ["type:bucket", ...] }, or null for a version written without one
+async function getIdIndex(env, version) {
+  const data = await env.URBANGREEN_KV.get(idIndexKey(version));
+  return data ? JSON.parse(data) : null;
 }
 
-function getLocalizedTitle(item, lang) {
-  const d = item?.Detail;
-  if (!d || typeof d !== "object") return item?.Shortname || item?.Id || "Unknown";
-  if (d[lang]?.Title) return d[lang].Title;
-  if (d.en?.Title) return d.en.Title;
-  for (const v of Object.values(d)) {
-    if (v?.Title) return v.Title;
+function indexChunk(ids, id, type, bucket) {
+  const refs = (ids[id] ||= []);
+  const ref = `${type}:${bucket}`;
+  if (!refs.includes(ref)) refs.push(ref);
+}
+
+function bucketsForBbox(bbox) {
+  const z = CONFIG.STORAGE.BUCKET_ZOOM;
+  const min = lngLatToTile(bbox.west, bbox.north, z);
+  const max = lngLatToTile(bbox.east, bbox.south, z);
+  const buckets = [];
+  for (let x = min.x; x <= max.x; x++) {
+    for (let y = min.y; y <= max.y; y++) {
+      buckets.push(`${x}/${y}`);
+    }
+  }
+  return buckets;
+}
+
+async function getManifest(env, version) {
+  const data = await env.URBANGREEN_KV.get(manifestKey(version));
+  if (!data) return null;
+  const manifest = JSON.parse(data);
+  // A manifest from a different bucket zoom points at keys we no longer read
+  return manifest.bucketZoom === CONFIG.STORAGE.BUCKET_ZOOM ? manifest : null;
+}
+
+function listManifestChunks(manifest, bucketFilter = null) {
+  const chunks = [];
+  for (const [type, buckets] of Object.entries(manifest?.buckets || {})) {
+    for (const bucket of Object.keys(buckets)) {
+      if (bucketFilter && !bucketFilter.has(bucket)) continue;
+      chunks.push({ type, bucket });
+    }
+  }
+  return chunks;
+}
+
+async function loadChunks(env, version, chunks) {
+  const seen = new Set();
+  const features = [];
+  
+  for (const { type, bucket } of chunks) {
+    const data = await env.URBANGREEN_KV.get(chunkKey(version, type, bucket));
+    if (!data) continue;
+    
+    for (const feature of JSON.parse(data).features || []) {
+      if (seen.has(feature.properties.id)) continue;
+      seen.add(feature.properties.id);
+      features.push(feature);
+    }
+  }
+  
+  return features;
+}
+
+/**
+ * Merge features into the partitioned chunks of a dataset version by id. Any
+ * stored feature whose id is in `features` or `removedIds` is dropped from
+ * the chunks the id index names first, so a feature that moved or changed
+ * GreenCodeType ends up only where it now belongs. Only those chunks and the
+ * ones receiving features are read; a version without an id index (written
+ * by upload.mjs or before the index) has every chunk read once to build it.
+ * A feature without positions is only dropped, so it counts as removed.
+ */
+async function saveFeatureChunks(env, version, features, removedIds = []) {
+  const stored = await getManifest(env, version);
+  const manifest = stored || {
+    bucketZoom: CONFIG.STORAGE.BUCKET_ZOOM,
+    buckets: {},
+    totalFeatures: 0
+  };
+  let ids = stored ? await getIdIndex(env, version) : {};
+  const scanAll = ids === null;
+  if (scanAll) ids = {};
+  
+  // Group incoming features by chunk
+  const incoming = new Map();
+  const incomingIds = new Set();
+  for (const feature of features) {
+    const bbox = getFeatureBbox(feature);
+    if (!bbox) continue;
+    incomingIds.add(feature.properties.id);
+    const type = chunkTypeOf(feature);
+    for (const bucket of bucketsForBbox(bbox)) {
+      const key = chunkKey(version, type, bucket);
+      if (!incoming.has(key)) incoming.set(key, { type, bucket, features: [] });
+      incoming.get(key).features.push(feature);
+    }
+  }
+  
+  const touchedIds = new Set([...features.map(f => f.properties.id), ...removedIds]);
+  const replacedIds = new Set();
+  
+  // The chunks holding a touched id plus the ones receiving features
+  const chunks = new Map();
+  const visit = (type, bucket) => {
+    const key = chunkKey(version, type, bucket);
+    if (!chunks.has(key)) chunks.set(key, { type, bucket, stored: manifest.buckets[type]?.[bucket] !== undefined });
+  };
+  if (scanAll) {
+    for (const { type, bucket } of listManifestChunks(manifest)) visit(type, bucket);
+  } else {
+    for (const id of touchedIds) {
+      for (const ref of ids[id] || []) {
+        const at = ref.indexOf(":");
+        visit(ref.slice(0, at), ref.slice(at + 1));
+      }
+      delete ids[id];
+    }
   }
-  return item?.Shortname || item?.Id || "Unknown";
+  for (const { type, bucket } of incoming.values()) visit(type, bucket);
+  
+  for (const [key, { type, bucket, stored }] of chunks) {
+    const additions = incoming.get(key)?.features || [];
+    const data = stored ? await env.URBANGREEN_KV.get(key) : null;
+    const existing = data ? (JSON.parse(data).features || []) : [];
+    
+    const kept = existing.filter(f => {
+      if (!touchedIds.has(f.properties.id)) return true;
+      replacedIds.add(f.properties.id);
+      return false;
+    });
+    if (scanAll) {
+      for (const f of kept) indexChunk(ids, f.properties.id, type, bucket);
+    }
+    for (const f of additions) indexChunk(ids, f.properties.id, type, bucket);
+    
+    // Chunk untouched by this batch
+    if (kept.length === existing.length && additions.length === 0) continue;
+    
+    const merged = kept.concat(additions);
+    
+    if (merged.length === 0) {
+      await env.URBANGREEN_KV.delete(key);
+      delete manifest.buckets[type][bucket];
+      continue;
+    }
+    
+    const json = JSON.stringify({ type: "FeatureCollection", features: merged });
+    if (json.length > CONFIG.STORAGE.MAX_CHUNK_BYTES) {
+      console.warn(`Chunk ${key} is ${json.length} bytes, consider a higher STORAGE.BUCKET_ZOOM`);
+    }
+    console.log(`Saving type ${type} bucket ${bucket}: ${merged.length} features (+${additions.length}), ${json.length} bytes`);
+    
+    await env.URBANGREEN_KV.put(key, json);
+    if (!manifest.buckets[type]) manifest.buckets[type] = {};
+    manifest.buckets[type][bucket] = merged.length;
+  }
+  
+  const updatedIds = [...incomingIds].filter(id => replacedIds.has(id));
+  const updated = updatedIds.length;
+  const added = incomingIds.size - updated;
+  const removed = replacedIds.size - updated;
+  
+  manifest.totalFeatures = Math.max(0, (manifest.totalFeatures || 0) + added - removed);
+  manifest.updatedAt = new Date().toISOString();
+  await env.URBANGREEN_KV.put(idIndexKey(version), JSON.stringify(ids));
+  await env.URBANGREEN_KV.put(manifestKey(version), JSON.stringify(manifest));
+  
+  return { totalFeatures: manifest.totalFeatures, added, updated, removed, updatedIds };
+}
+
+async function getAllFeatures(env, version) {
+  const manifest = await getManifest(env, version);
+  const features = await loadChunks(env, version, listManifestChunks(manifest));
+  
+  return {
+    type: "FeatureCollection",
+    features
+  };
+}
+
+// Features from the buckets covering `bbox` (may include some just outside it)
+async function getFeaturesInBbox(env, version, bbox) {
+  const manifest = await getManifest(env, version);
+  if (!manifest) return null;
+  
+  const buckets = new Set(bucketsForBbox(bbox));
+  return loadChunks(env, version, listManifestChunks(manifest, buckets));
+}
+
+async function clearFeatureChunks(env, version) {
+  const manifest = await getManifest(env, version);
+  for (const { type, bucket } of listManifestChunks(manifest)) {
+    await env.URBANGREEN_KV.delete(chunkKey(version, type, bucket));
+  }
+  await env.URBANGREEN_KV.delete(idIndexKey(version));
+  await env.URBANGREEN_KV.delete(manifestKey(version));
+  
+  // Type-only chunks of a per-language dataset written before partitioning
+  if (isLanguageCode(version)) {
+    for (const type of CHUNK_TYPES) {
+      await env.URBANGREEN_KV.delete(`${datasetPrefix(version)}:type${type}`);
+    }
+  }
+}
+
+// ========================================
+// DATASET VERSIONS
+// ========================================
+
+// A full refresh fills a new dataset version while the live one keeps
+// serving. When the refresh completes and passes validateBuild, the metadata
+// record is rewritten to name the new version: that single KV write is the
+// switch. Readers take the version from the metadata they read, so a tile is
+// never built from half of one version and half of another. The last
+// KEEP_VERSIONS published versions stay in KV for rollback.
+
+function newDatasetVersion() {
+  return new Date().toISOString().replace(/[-:.]/g, "");
+}
+
+// Version of the dataset described by `metadata`
+function datasetVersion(metadata) {
+  return metadata?.datasetVersion ?? null;
 }
 
-function extractWktString(maybeWkt) {
-  if (!maybeWkt || typeof maybeWkt !== "string") return null;
-  const cleaned = maybeWkt.replace(/;SRID=\d+\s*$/i, "").trim();
-  const m = cleaned.match(/\b(POINT|POLYGON|MULTIPOLYGON|LINESTRING|MULTILINESTRING)\b/i);
-  if (!m) return null;
-  return cleaned.slice(m.index).trim();
+/**
+ * Published versions, most recently live first, as { version, publishedAt, metadata }.
+ * Before the first multilingual publish this is the per-language dataset
+ * getMetadataFromKV falls back to.
+ */
+async function getDatasetVersions(env) {
+  const data = await env.URBANGREEN_KV.get(CONFIG.KV_KEY_VERSIONS);
+  if (data) return JSON.parse(data);
+  
+  const metadata = await getMetadataFromKV(env);
+  return metadata ? [{ version: datasetVersion(metadata), publishedAt: metadata.lastRefresh, metadata }] : [];
 }
 
-function parseCoordList(str) {
-  const parts = String(str).trim().split(",").map((p) => p.trim()).filter(Boolean);
-  const coords = [];
-  for (const p of parts) {
-    const [a, b] = p.split(/\s+/);
-    const lng = toNumber(a);
-    const lat = toNumber(b);
-    if (lng === null || lat === null) continue;
-    coords.push([truncateCoord(lng), truncateCoord(lat)]);
+// Make `entry` live, then drop the versions beyond KEEP_VERSIONS
+async function activateVersion(env, entry) {
+  const versions = await getDatasetVersions(env);
+  const metadata = { ...entry.metadata, datasetVersion: entry.version };
+  await env.URBANGREEN_KV.put(CONFIG.KV_KEY_METADATA, JSON.stringify(metadata));
+  
+  const ordered = [{ ...entry, metadata }, ...versions.filter(v => v.version !== entry.version)];
+  await env.URBANGREEN_KV.put(CONFIG.KV_KEY_VERSIONS, JSON.stringify(ordered.slice(0, CONFIG.DATASETS.KEEP_VERSIONS)));
+  
+  for (const dropped of ordered.slice(CONFIG.DATASETS.KEEP_VERSIONS)) {
+    console.log(`Deleting dataset version ${dropped.version}`);
+    await clearFeatureChunks(env, dropped.version);
   }
-  return coords.length ? coords : null;
+  
+  return metadata;
+}
+
+function publishDataset(env, version, metadata) {
+  return activateVersion(env, { version, publishedAt: new Date().toISOString(), metadata });
 }
 
-function parseWktPoint(wkt) {
-  const m = wkt.match(/POINT\s*\(\s*([-\d.,]+)\s+([-\d.,]+)\s*\)/i);
-  if (!m) return null;
-  const lng = toNumber(m[1]);
-  const lat = toNumber(m[2]);
-  if (lat === null || lng === null) return null;
-  return [truncateCoord(lng), truncateCoord(lat)];
+// New metadata for the live version (delta sync), kept in the version list too
+async function updateLiveMetadata(env, metadata) {
+  const versions = await getDatasetVersions(env);
+  await env.URBANGREEN_KV.put(CONFIG.KV_KEY_METADATA, JSON.stringify(metadata));
+  
+  const live = versions.find(v => v.version === datasetVersion(metadata));
+  if (live) {
+    live.metadata = metadata;
+    await env.URBANGREEN_KV.put(CONFIG.KV_KEY_VERSIONS, JSON.stringify(versions));
+  }
 }
 
-function parseWktPolygonRings(wkt) {
-  const poly = wkt.match(/POLYGON\s*\(\s*\((.+)\)\s*\)\s*$/i);
-  if (poly) {
-    const inside = poly[1];
-    const ringStrings = inside.split("),(");
-    const rings = ringStrings.map((rs) => parseCoordList(rs));
-    return rings.filter((r) => r && r.length);
+// Why a completed build must not replace the live dataset, or null
+function validateBuild(progress, live) {
+  if (progress.incomplete) {
+    return `fetched ${progress.fetchedItems} of ${progress.totalResults} items`;
+  }
+  if (progress.totalFeatures === 0) {
+    return "no features";
+  }
+  const minimum = Math.ceil((live?.totalFeatures || 0) * CONFIG.DATASETS.MIN_FEATURE_SHARE);
+  if (progress.totalFeatures < minimum) {
+    return `${progress.totalFeatures} features, the live dataset has ${live.totalFeatures}`;
   }
   return null;
 }
 
-function itemToGeoJSON(item, lang) {
-  const g = pickFirstGeo(item.Geo);
-  if (!g) return null;
+// Delete the version a refresh was building unless it got published
+async function discardBuild(env, progress) {
+  if (!progress.version) return;
+  const versions = await getDatasetVersions(env);
+  if (versions.some(v => v.version === progress.version)) return;
+  
+  console.log(`Discarding unpublished dataset version ${progress.version}`);
+  await clearFeatureChunks(env, progress.version);
+}
 
-  const wktRaw = g?.Geometry ?? g?.geometry ?? null;
-  let geometry = null;
+// Switch back to a kept version: `version`, or the one live before the current one
+async function rollbackDataset(env, version = null) {
+  const versions = await getDatasetVersions(env);
+  const live = datasetVersion(await getMetadataFromKV(env));
+  const target = version === null
+    ? versions.find(v => v.version !== live)
+    : versions.find(v => v.version === version);
+  
+  if (!target) {
+    throw new Error(version === null
+      ? "No earlier version to roll back to"
+      : `Unknown version ${version}, kept versions: ${versions.map(v => v.version).join(", ")}`);
+  }
+  if (target.version === live) {
+    throw new Error(`Version ${version} is already live`);
+  }
+  if (!(await getManifest(env, target.version))) {
+    throw new Error(`The data of version ${target.version} is gone`);
+  }
+  
+  return activateVersion(env, target);
+}
 
-  if (wktRaw) {
-    const wkt = extractWktString(wktRaw);
-    if (wkt) {
-      const pt = parseWktPoint(wkt);
-      if (pt) {
-        geometry = { type: "Point", coordinates: pt };
-      } else {
-        const rings = parseWktPolygonRings(wkt);
-        if (rings && rings[0] && rings[0].length >= 3) {
-          geometry = { type: "Polygon", coordinates: rings };
-        }
-      }
+// Publish a completed build that validateBuild held back
+async function publishHeldBuild(env) {
+  const progress = await getProgress(env);
+  if (!progress.isComplete || !progress.heldBack) {
+    throw new Error("No held-back build to publish");
+  }
+  
+  const metadata = await publishDataset(env, progress.version, progress.heldBack.metadata);
+  const { heldBack, ...published } = progress;
+  await saveProgress(env, published);
+  return metadata;
+}
+
+// ========================================
+// BATCHED FETCH
+// ========================================
+
+// ODH_API_BASE (a var, e.g. in .dev.vars) points the refresh at another API,
+// such as the local stand-in in scripts/odh-standin
+function odhEndpointUrl(env) {
+  return new URL(`${env.ODH_API_BASE || CONFIG.ODH_API_BASE}${CONFIG.ODH_ENDPOINT}`);
+}
+
+// Pages needed for `totalResults` items
+function pageCount(totalResults) {
+  return Math.ceil(totalResults / CONFIG.PAGESIZE);
+}
+
+// Languages with a name_xx title among `features`
+function featureLanguages(features) {
+  const languages = new Set();
+  for (const feature of features) {
+    for (const key of Object.keys(feature.properties)) {
+      if (key.startsWith("name_")) languages.add(key.slice(5));
     }
   }
+  return languages;
+}
+
+/**
+ * Fetch pages startPage..endPage with every language's title as name_xx.
+ * No language filter is sent: the recorded pages show ODH keeps every Detail
+ * anyway, but the titles must not depend on that. A page that still fails after retries ends
+ * the batch early with `error` set and `nextPage` pointing at it, so the next
+ * batch resumes there. `exhausted` means upstream has no pages left: the last
+ * page for TotalResults was read, or a page came back short or empty.
+ * `knownTotal` is the TotalResults seen by earlier batches; every page whose
+ * TotalResults differs from the one before is listed in `totalChanges`.
+ */
+async function fetchBatchFromODH(env, startPage, endPage, knownTotal = null) {
+  console.log(`Fetching batch: pages ${startPage}-${endPage}`);
+  const startTime = Date.now();
+  
+  const allFeatures = [];
+  const validator = createValidator({ lang: CONFIG.DEFAULT_LANG, names: true });
+  let page = startPage;
+  let fetchedItems = 0;
+  let totalResults = knownTotal;
+  const totalChanges = [];
+  let exhausted = false;
+  let error = null;
+  
+  while (page <= endPage) {
+    if (totalResults !== null && page > pageCount(totalResults)) {
+      exhausted = true;
+      break;
+    }
+    
+    const url = odhEndpointUrl(env);
+    url.searchParams.set("pagenumber", String(page));
+    url.searchParams.set("pagesize", String(CONFIG.PAGESIZE));
+
+    let json;
+    try {
+      json = await fetchJsonWithRetry(url.toString(), {
+        ...CONFIG.RETRY,
+        onRetry: ({ attempt, delay, error }) => console.warn(`Page ${page}: ${error.message}, retry ${attempt} in ${delay}ms`)
+      });
+    } catch (err) {
+      console.error(`Error fetching page ${page}:`, err);
+      error = { page, message: err.message, attempts: err.attempts, at: new Date().toISOString() };
+      break;
+    }
+    
+    // 404 past the last page
+    if (json === null) {
+      exhausted = true;
+      break;
+    }
+    
+    if (typeof json.TotalResults === "number") {
+      if (totalResults !== null && json.TotalResults !== totalResults) {
+        console.warn(`TotalResults changed from ${totalResults} to ${json.TotalResults} at page ${page}`);
+        totalChanges.push({ page, from: totalResults, to: json.TotalResults, at: new Date().toISOString() });
+      }
+      totalResults = json.TotalResults;
+    }
+    const items = responseItems(json);
+
+    if (items.length === 0) {
+      exhausted = true;
+      break;
+    }
 
-  if (!geometry) {
-    const lat = toNumber(g?.Latitude ?? item?.Latitude);
-    const lng = toNumber(g?.Longitude ?? item?.Longitude);
-    if (lat !== null && lng !== null) {
-      geometry = { type: "Point", coordinates: [truncateCoord(lng), truncateCoord(lat)] };
+    const features = items.map(item => validator.toFeature(item)).filter(Boolean);
+    allFeatures.push(...features);
+    fetchedItems += items.length;
+    
+    page++;
+    
+    if (items.length < CONFIG.PAGESIZE) {
+      exhausted = true;
+      break;
     }
   }
 
-  if (!geometry) return null;
+  const elapsed = Date.now() - startTime;
+  console.log(`Batch complete: ${allFeatures.length} features in ${elapsed}ms, ${validator.report.rejected} rejected`);
 
   return {
-    type: "Feature",
-    geometry,
-    properties: {
-      id: item.Id,
-      title: getLocalizedTitle(item, lang),
-      type: String(item.GreenCodeType || ""),
-      code: item.GreenCode || "N/A",
-      active: !!item.Active,
-    },
+    features: allFeatures,
+    languages: [...featureLanguages(allFeatures)],
+    quality: validator.report,
+    lastPage: page - 1,
+    nextPage: page,
+    fetchedItems,
+    totalResults,
+    totalChanges,
+    exhausted,
+    error,
+    elapsed
   };
 }
 
-// Bbox helpers
-function tileToBbox(x, y, z) {
-  const n = Math.pow(2, z);
-  const west = (x / n) * 360 - 180;
-  const east = ((x + 1) / n) * 360 - 180;
-  const latRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n)));
-  const north = latRad * 180 / Math.PI;
-  const latRad2 = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n)));
-  const south = latRad2 * 180 / Math.PI;
-  return { west, south, east, north };
-}
+// ========================================
+// DELTA FETCH (changed since last refresh)
+// ========================================
 
-function getFeatureBbox(feature) {
-  const geom = feature.geometry;
-  if (geom.type === "Point") {
-    const [lng, lat] = geom.coordinates;
-    return { west: lng, east: lng, south: lat, north: lat };
-  } else if (geom.type === "Polygon") {
-    let minLng = Infinity, maxLng = -Infinity;
-    let minLat = Infinity, maxLat = -Infinity;
-    for (const ring of geom.coordinates) {
-      for (const [lng, lat] of ring) {
-        if (lng < minLng) minLng = lng;
-        if (lng > maxLng) maxLng = lng;
-        if (lat < minLat) minLat = lat;
-        if (lat > maxLat) maxLat = lat;
+/**
+ * Fetch items changed since `since` using the ODH `updatefrom` filter.
+ * Changed items that fail validation (e.g. no usable geometry) are returned
+ * as removals so they disappear from the chunks. Items deleted upstream are
+ * not in an `updatefrom` listing at all: they stay in the live dataset until
+ * the next full refresh (SCHEDULE.FULL_REFRESH_INTERVAL_MS) builds a version
+ * without them. Unlike the batched fetch,
+ * which resumes at a failed page, a page that fails after retries aborts the
+ * sync: a partial delta must not advance lastRefresh.
+ */
+async function fetchChangesFromODH(env, since) {
+  // ODH expects yyyy-MM-dd; overlapping by up to a day is harmless because merges are by id
+  const updateFrom = since.slice(0, 10);
+  console.log(`Fetching changes since ${updateFrom}`);
+  const startTime = Date.now();
+  
+  const features = [];
+  const removedIds = [];
+  const validator = createValidator({ lang: CONFIG.DEFAULT_LANG, names: true, report: createQualityReport({ since }) });
+  let changedItems = 0;
+  let page = 1;
+  
+  while (true) {
+    if (page > CONFIG.DELTA_MAX_PAGES) {
+      throw new Error(`More than ${CONFIG.DELTA_MAX_PAGES} pages changed since ${updateFrom}, run a full refresh instead`);
+    }
+    
+    const url = odhEndpointUrl(env);
+    url.searchParams.set("pagenumber", String(page));
+    url.searchParams.set("pagesize", String(CONFIG.PAGESIZE));
+    url.searchParams.set("updatefrom", updateFrom);
+    
+    let json;
+    try {
+      json = await fetchJsonWithRetry(url.toString(), CONFIG.RETRY);
+    } catch (error) {
+      throw new Error(`ODH API error on page ${page}: ${error.message}`);
+    }
+    
+    // 404 past the last page
+    if (json === null) break;
+    
+    const items = responseItems(json);
+    
+    if (items.length === 0) break;
+    
+    for (const item of items) {
+      if (!item?.Id) continue;
+      changedItems++;
+      const feature = validator.toFeature(item);
+      if (feature) {
+        features.push(feature);
+      } else {
+        removedIds.push(item.Id);
       }
     }
-    return { west: minLng, east: maxLng, south: minLat, north: maxLat };
+    
+    if (items.length < CONFIG.PAGESIZE) break;
+    
+    page++;
   }
-  return null;
+  
+  const elapsed = Date.now() - startTime;
+  console.log(`Changes fetched: ${changedItems} items in ${page} page(s), ${elapsed}ms`);
+  
+  return {
+    features,
+    removedIds,
+    languages: [...featureLanguages(features)],
+    changedItems,
+    quality: validator.report,
+    pages: page,
+    elapsed
+  };
 }
 
-function bboxesIntersect(bbox1, bbox2) {
-  return !(bbox1.east < bbox2.west || bbox1.west > bbox2.east ||
-           bbox1.north < bbox2.south || bbox1.south > bbox2.north);
+// Progress tracking
+async function getProgress(env) {
+  const data = await env.URBANGREEN_KV.get(CONFIG.KV_KEY_PROGRESS);
+  
+  if (!data) {
+    return {
+      currentPage: 1,
+      totalFeatures: 0,
+      isComplete: false
+    };
+  }
+  
+  return JSON.parse(data);
+}
+
+async function saveProgress(env, progress) {
+  await env.URBANGREEN_KV.put(CONFIG.KV_KEY_PROGRESS, JSON.stringify(progress));
+}
+
+// ========================================
+// DATA QUALITY REPORT
+// ========================================
+
+// One report (shared/urbangreen-quality.js). A full refresh starts a new one
+// on its first page and adds every batch to it; the last delta sync is kept
+// next to it under `delta`.
+
+async function getQualityReport(env) {
+  const data = await env.URBANGREEN_KV.get(CONFIG.KV_KEY_QUALITY);
+  return data ? JSON.parse(data) : null;
+}
+
+async function saveQualityReport(env, report) {
+  report.updatedAt = new Date().toISOString();
+  await env.URBANGREEN_KV.put(CONFIG.KV_KEY_QUALITY, JSON.stringify(report));
+}
+
+/**
+ * Add a refresh batch to the stored report. `updatedIds` were already
+ * stored by an earlier page of the same refresh: either a duplicate Id
+ * upstream or an item that moved pages while the refresh was running.
+ * The later copy replaced the earlier one.
+ */
+async function recordBatchQuality(env, batch, updatedIds, { restart, isComplete }) {
+  const stored = restart ? null : await getQualityReport(env);
+  const report = stored || createQualityReport();
+  
+  mergeQualityReports(report, batch.quality);
+  
+  const codes = new Map(batch.features.map(f => [f.properties.id, f.properties.code]));
+  for (const id of updatedIds) {
+    addIssue(report, {
+      id,
+      code: codes.get(id),
+      class: "duplicate_id",
+      severity: "reject",
+      detail: "Id already loaded from an earlier page, last copy kept"
+    });
+  }
+  report.accepted -= updatedIds.length;
+  report.rejected += updatedIds.length;
+  report.complete = isComplete;
+  
+  await saveQualityReport(env, report);
+  return report;
+}
+
+// The report without issue lists, for /info and refresh responses
+function qualitySummary(report) {
+  if (!report) return null;
+  const { delta, ...full } = report;
+  return { ...summarizeQualityReport(full), delta: summarizeQualityReport(delta) };
+}
+
+// GET /info/quality[?class=outside_envelope,...][&severity=reject]
+async function handleQualityReport(request, env) {
+  const url = new URL(request.url);
+  const classes = parseListParam(url.searchParams.get("class"));
+  const severity = url.searchParams.get("severity");
+  
+  const headers = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+  
+  if (classes && classes.some(c => !ISSUE_CLASSES.includes(c))) {
+    return new Response(JSON.stringify({ error: `Unknown class, use ${ISSUE_CLASSES.join(", ")}` }), { status: 400, headers });
+  }
+  if (severity && severity !== "reject" && severity !== "flag") {
+    return new Response(JSON.stringify({ error: "Unsupported severity, use reject or flag" }), { status: 400, headers });
+  }
+  
+  const report = await getQualityReport(env);
+  if (!report) {
+    return new Response(JSON.stringify({ error: "No quality report yet, run a refresh first" }), { status: 404, headers });
+  }
+  
+  const keep = issue =>
+    (!classes || classes.includes(issue.class)) && (!severity || issue.severity === severity);
+  
+  const body = { ...report, issues: report.issues.filter(keep) };
+  if (report.delta) body.delta = { ...report.delta, issues: report.delta.issues.filter(keep) };
+  
+  return new Response(JSON.stringify(body, null, 2), { headers });
+}
+
+// ========================================
+// BATCHED REFRESH
+// ========================================
+
+// Share of the pages read, from the TotalResults of the running refresh
+function percentComplete(progress) {
+  if (progress.isComplete) return 100;
+  if (!progress.totalPages) return 0;
+  return Math.min(99, Math.round(((progress.currentPage - 1) / progress.totalPages) * 100));
+}
+
+/**
+ * Process one batch of pages, resuming from the stored progress record. Shared by the /refresh endpoint and the cron handler.
+ * The page count comes from the TotalResults of the first page and is
+ * followed when upstream reports a different total later in the refresh.
+ */
+async function runRefreshBatch(env, { reset = false, pages = CONFIG.BATCH_SIZE } = {}) {
+  let progress = await getProgress(env);
+  
+  if (reset) {
+    await discardBuild(env, progress);
+    progress = { currentPage: 1, totalFeatures: 0, isComplete: false };
+    await saveProgress(env, progress);
+  }
+  
+  if (progress.isComplete) {
+    return { progress, processed: false, percentComplete: 100 };
+  }
+  
+  const startPage = progress.currentPage;
+  const endPage = startPage + pages - 1;
+  const restart = startPage === 1;
+  const version = progress.version || newDatasetVersion();
+  
+  const batch = await fetchBatchFromODH(env, startPage, endPage, restart ? null : progress.totalResults ?? null);
+  
+  // Merge into the partitioned chunks of the version being built
+  const { totalFeatures, updatedIds } = await saveFeatureChunks(env, version, batch.features);
+  
+  // A failed page is never skipped: the next batch starts at it
+  const isComplete = !batch.error && batch.exhausted;
+  const quality = await recordBatchQuality(env, batch, updatedIds, {
+    restart,
+    isComplete
+  });
+  
+  const fetchedItems = (restart ? 0 : progress.fetchedItems || 0) + batch.fetchedItems;
+  const totalResults = batch.totalResults;
+  const totalChanges = [...(restart ? [] : progress.totalChanges || []), ...batch.totalChanges]
+    .slice(-CONFIG.TOTAL_CHANGES_KEPT);
+  const languages = [...new Set([...(restart ? [] : progress.languages || []), ...batch.languages])].sort();
+  // All pages read but not all items: upstream changed during the refresh
+  const incomplete = isComplete && totalResults !== null && fetchedItems !== totalResults;
+  
+  progress = {
+    version,
+    currentPage: batch.nextPage,
+    totalFeatures,
+    fetchedItems,
+    totalResults,
+    totalPages: totalResults === null ? null : pageCount(totalResults),
+    languages,
+    isComplete,
+    lastBatch: {
+      pages: batch.lastPage >= startPage ? `${startPage}-${batch.lastPage}` : null,
+      features: batch.features.length,
+      rejected: batch.quality.rejected,
+      elapsed: batch.elapsed
+    }
+  };
+  if (batch.error) progress.lastError = batch.error;
+  if (incomplete) progress.incomplete = true;
+  if (totalChanges.length) progress.totalChanges = totalChanges;
+  
+  // The live dataset is only replaced by a complete build that validates
+  if (isComplete) {
+    const now = new Date().toISOString();
+    const metadata = {
+      lastRefresh: now,
+      lastFullRefresh: now,
+      totalFeatures,
+      languages,
+      quality: { checked: quality.checked, rejected: quality.rejected, flagged: quality.flagged },
+      version: "6.2.0-kv-chunked"
+    };
+    if (totalChanges.length) metadata.totalChanges = totalChanges;
+    
+    const reason = validateBuild(progress, await getMetadataFromKV(env));
+    if (reason) {
+      console.warn(`Dataset version ${version} not published: ${reason}`);
+      progress.heldBack = { reason, metadata };
+    } else {
+      await publishDataset(env, version, metadata);
+    }
+  }
+  
+  await saveProgress(env, progress);
+  
+  return {
+    progress,
+    processed: true,
+    percentComplete: percentComplete(progress)
+  };
+}
+
+/**
+ * Apply upstream changes since the last refresh to the live dataset version.
+ * Requires a published full refresh to sync from; a full refresh running at
+ * the same time builds its own version and is not affected. Deletions
+ * upstream are not seen here, see fetchChangesFromODH.
+ */
+async function runDeltaRefresh(env) {
+  const metadata = await getMetadataFromKV(env);
+  
+  if (!metadata?.lastRefresh) {
+    throw new Error("No completed refresh to sync from. Call /refresh?reset=true first.");
+  }
+  
+  // Taken before fetching so changes made during the sync are picked up next time
+  const syncStartedAt = new Date().toISOString();
+  const changes = await fetchChangesFromODH(env, metadata.lastRefresh);
+  const merge = await saveFeatureChunks(env, datasetVersion(metadata), changes.features, changes.removedIds);
+  
+  const lastDelta = {
+    since: metadata.lastRefresh,
+    changedItems: changes.changedItems,
+    added: merge.added,
+    updated: merge.updated,
+    removed: merge.removed,
+    rejected: changes.quality.rejected,
+    pages: changes.pages,
+    elapsed: changes.elapsed
+  };
+  
+  const quality = (await getQualityReport(env)) || createQualityReport();
+  quality.delta = changes.quality;
+  await saveQualityReport(env, quality);
+  
+  const updated = {
+    ...metadata,
+    lastRefresh: syncStartedAt,
+    lastFullRefresh: metadata.lastFullRefresh || metadata.lastRefresh,
+    totalFeatures: merge.totalFeatures,
+    languages: [...new Set([...(metadata.languages || []), ...changes.languages])].sort(),
+    lastDelta
+  };
+  await updateLiveMetadata(env, updated);
+  
+  return { metadata: updated, lastDelta };
+}
+
+async function handleBatchedRefresh(request, env) {
+  const url = new URL(request.url);
+  const reset = url.searchParams.get("reset") === "true";
+  const mode = url.searchParams.get("mode") || "full";
+  
+  if (mode !== "full" && mode !== "delta") {
+    return new Response(JSON.stringify({ error: "Unsupported mode, use full or delta" }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+  
+  try {
+    if (mode === "delta") {
+      const { metadata, lastDelta } = await runDeltaRefresh(env);
+      return new Response(JSON.stringify({
+        success: true,
+        message: "Delta sync complete",
+        totalFeatures: metadata.totalFeatures,
+        lastRefresh: metadata.lastRefresh,
+        delta: lastDelta
+      }, null, 2), {
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+      });
+    }
+    
+    const result = await runRefreshBatch(env, { reset });
+    const { progress } = result;
+    
+    if (!result.processed) {
+      return new Response(JSON.stringify({
+        success: true,
+        message: "Refresh already complete",
+        progress
+      }, null, 2), {
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+      });
+    }
+    
+    // Progress up to the failed page is saved; the next call resumes there
+    if (progress.lastError) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: `Page ${progress.lastError.page} failed after retries: ${progress.lastError.message}`,
+        progress: {
+          ...progress,
+          percentComplete: result.percentComplete,
+          instruction: `POST /refresh again to resume from page ${progress.currentPage}`
+        }
+      }, null, 2), {
+        status: 502,
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+      });
+    }
+    
+    // Complete but held back by validateBuild: the live version keeps serving
+    if (progress.heldBack) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: `Refresh complete, but the new dataset was not published: ${progress.heldBack.reason}`,
+        progress: {
+          ...progress,
+          percentComplete: result.percentComplete,
+          instruction: "POST /datasets?action=publish to publish it anyway, or /refresh?reset=true to load again"
+        }
+      }, null, 2), {
+        status: 422,
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+      });
+    }
+    
+    const message = progress.isComplete ? "Refresh complete!" : "Batch processed";
+    
+    // Paging shifts when upstream adds or removes items mid-refresh
+    const lastChange = progress.totalChanges?.at(-1);
+    const warning = lastChange
+      ? `TotalResults changed during the refresh (${lastChange.from} -> ${lastChange.to} at page ${lastChange.page}); items may have been skipped or repeated, POST /refresh?reset=true for a consistent copy`
+      : undefined;
+    
+    return new Response(JSON.stringify({
+      success: true,
+      message,
+      warning,
+      progress: {
+        ...progress,
+        percentComplete: result.percentComplete,
+        instruction: progress.isComplete 
+          ? "All data loaded! Your tiles are ready." 
+          : "POST /refresh again to load next batch"
+      }
+    }, null, 2), {
+      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+    });
+    
+  } catch (error) {
+    console.error("Refresh error:", error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
+
+// ========================================
+// SCHEDULED REFRESH (cron)
+// ========================================
+
+function isOlderThan(timestamp, intervalMs) {
+  if (!timestamp) return true;
+  const time = new Date(timestamp).getTime();
+  if (!Number.isFinite(time)) return true;
+  return Date.now() - time >= intervalMs;
+}
+
+async function getScheduledRuns(env) {
+  const data = await env.URBANGREEN_KV.get(CONFIG.KV_KEY_RUNS);
+  return data ? JSON.parse(data) : [];
+}
+
+async function recordScheduledRun(env, run) {
+  const runs = await getScheduledRuns(env);
+  runs.unshift(run);
+  await env.URBANGREEN_KV.put(
+    CONFIG.KV_KEY_RUNS,
+    JSON.stringify(runs.slice(0, CONFIG.SCHEDULE.RUN_HISTORY))
+  );
+}
+
+// One cron step: continue a running full refresh, delta-sync a complete
+// dataset once REFRESH_INTERVAL_MS has passed, or start a new full refresh
+// once FULL_REFRESH_INTERVAL_MS has passed.
+async function advanceRefresh(env) {
+  const progress = await getProgress(env);
+  let reset = false;
+  
+  if (progress.isComplete) {
+    const metadata = await getMetadataFromKV(env);
+    if (!isOlderThan(metadata?.lastRefresh, CONFIG.SCHEDULE.REFRESH_INTERVAL_MS)) {
+      return { status: "up-to-date", lastRefresh: metadata.lastRefresh };
+    }
+    
+    const lastFull = metadata?.lastFullRefresh || metadata?.lastRefresh;
+    if (!isOlderThan(lastFull, CONFIG.SCHEDULE.FULL_REFRESH_INTERVAL_MS)) {
+      const { lastDelta } = await runDeltaRefresh(env);
+      return { status: "synced", mode: "delta", ...lastDelta };
+    }
+    reset = true;
+  }
+  
+  // A new full refresh builds a version of its own; the live one is served until it is published
+  const result = await runRefreshBatch(env, { reset, pages: CONFIG.SCHEDULE.PAGES_PER_RUN });
+  const latest = result.progress;
+  const status = latest.isComplete
+    ? (latest.heldBack ? "held-back" : "complete")
+    : (latest.lastError ? "retrying" : "in-progress");
+  
+  return {
+    status,
+    mode: "full",
+    reset,
+    pages: latest.lastBatch?.pages || null,
+    features: latest.lastBatch?.features || 0,
+    totalFeatures: latest.totalFeatures,
+    percentComplete: result.percentComplete,
+    ...(latest.lastError && { error: latest.lastError.message, resumeFrom: latest.currentPage }),
+    ...(latest.heldBack && { error: `Not published: ${latest.heldBack.reason}` })
+  };
+}
+
+/**
+ * Advance the batched refresh by one batch, then continue building the tile
+ * cache of each TILE_CACHE.PREBUILD_LANGS language once the dataset is
+ * complete. A language whose prebuild fails does not stop the others.
+ */
+async function handleScheduledRefresh(event, env) {
+  const run = {
+    cron: event?.cron || null,
+    startedAt: new Date().toISOString()
+  };
+  
+  try {
+    run.result = await advanceRefresh(env);
+  } catch (error) {
+    console.error("Scheduled refresh failed:", error);
+    run.result = { status: "error", error: error.message };
+  }
+  
+  if (run.result.status !== "error" && run.result.status !== "in-progress" && run.result.status !== "retrying") {
+    run.tileCache = {};
+    for (const lang of CONFIG.TILE_CACHE.PREBUILD_LANGS) {
+      try {
+        const tileCache = await prebuildTileCache(env, lang);
+        if (tileCache) {
+          run.tileCache[lang] = {
+            built: tileCache.nextTile,
+            total: tileCache.totalTiles,
+            isComplete: tileCache.isComplete
+          };
+        }
+      } catch (error) {
+        console.error(`Tile cache prebuild failed for ${lang}:`, error);
+        run.tileCache[lang] = { error: error.message };
+      }
+    }
+  }
+  
+  run.finishedAt = new Date().toISOString();
+  await recordScheduledRun(env, run);
+  
+  return run;
+}
+
+/**
+ * Metadata of the live dataset. Until the first multilingual refresh is
+ * published this is the DEFAULT_LANG dataset loaded per language before,
+ * with datasetVersion naming its keys ("en" or "en:{version}").
+ */
+async function getMetadataFromKV(env) {
+  const data = await env.URBANGREEN_KV.get(CONFIG.KV_KEY_METADATA);
+  if (data) return JSON.parse(data);
+  
+  const lang = CONFIG.DEFAULT_LANG;
+  const legacy = await env.URBANGREEN_KV.get(`${CONFIG.KV_KEY_METADATA}:${lang}`);
+  if (!legacy) return null;
+  
+  const metadata = JSON.parse(legacy);
+  return { ...metadata, datasetVersion: metadata.datasetVersion ? `${lang}:${metadata.datasetVersion}` : lang };
+}
+
+// ========================================
+// LANGUAGES
+// ========================================
+
+// Features are stored with name_xx for every language ODH has a title in.
+// A request in any language gets `title` from the first of titleLanguages
+// the feature has a name in, else the stored DEFAULT_LANG title.
+
+function isLanguageCode(value) {
+  return /^[a-z]{2,3}$/.test(value || "");
+}
+
+// CONFIG.LANGUAGE_FALLBACKS, or the LANGUAGE_FALLBACKS var when it parses
+function languageFallbacks(env) {
+  if (!env.LANGUAGE_FALLBACKS) return CONFIG.LANGUAGE_FALLBACKS;
+  try {
+    return JSON.parse(env.LANGUAGE_FALLBACKS);
+  } catch (error) {
+    console.warn(`Ignoring LANGUAGE_FALLBACKS: ${error.message}`);
+    return CONFIG.LANGUAGE_FALLBACKS;
+  }
+}
+
+/**
+ * Languages tried for a title in `lang`: the language itself, its fallbacks,
+ * then DEFAULT_LANG. With the dataset's languages from the metadata, those
+ * it has no title in are left out, so every language that resolves to the
+ * same titles shares one set of cached tiles.
+ */
+function titleLanguages(env, lang, metadata) {
+  const chain = [...new Set([lang, ...(languageFallbacks(env)[lang] || []), CONFIG.DEFAULT_LANG])];
+  const available = metadata?.languages;
+  return available ? chain.filter(l => available.includes(l)) : chain;
+}
+
+// Properties for `langs`: the resolved title, without the name_xx titles unless `names`
+function localizeFeature(feature, langs, { names = false } = {}) {
+  const properties = { ...feature.properties, title: titleFromNames(feature.properties, langs) };
+  if (!names) {
+    for (const key of Object.keys(properties)) {
+      if (key.startsWith("name_")) delete properties[key];
+    }
+  }
+  return { ...feature, properties };
+}
+
+// Tile generation, titles in the first of `langs` each feature has and the
+// tile rules of zoom `z` applied
+async function generateTileFromKV(env, version, langs, z, x, y) {
+  const tileBbox = tileToBbox(x, y, z);
+  const candidates = await getFeaturesInBbox(env, version, tileBbox);
+  
+  if (!candidates) {
+    throw new Error("Data not cached. Please call /refresh first.");
+  }
+  
+  const featuresInTile = candidates.filter(feature => {
+    const featureBbox = getFeatureBbox(feature);
+    if (!featureBbox) return false;
+    return bboxesIntersect(tileBbox, featureBbox);
+  });
+  
+  const tileFeatures = featuresForZoom(featuresInTile.map(feature => localizeFeature(feature, langs)), z);
+  if (tileFeatures.length === 0) return null;
+  
+  const tileGeoJSON = {
+    type: "FeatureCollection",
+    features: tileFeatures
+  };
+  
+  const tileIndex = geojsonvt(tileGeoJSON, CONFIG.TILE_OPTIONS);
+  const tile = tileIndex.getTile(z, x, y);
+  
+  if (!tile || !tile.features || tile.features.length === 0) return null;
+  
+  const pbf = vtpbf.fromGeojsonVt({ 'urbangreen': tile });
+  
+  return {
+    pbf,
+    featureCount: tile.features.length
+  };
+}
+
+// ========================================
+// TILE CACHE (PBF per title languages/z/x/y)
+// ========================================
+
+// Cached tiles carry the dataset version (metadata.lastRefresh) they were
+// built from; a refresh or delta sync makes every older entry stale. They
+// are keyed by the title languages (see titleLanguages) rather than the
+// requested language.
+
+function tileVariant(langs) {
+  return langs.length ? langs.join("-") : CONFIG.DEFAULT_LANG;
+}
+
+function tileCacheKey(langs, z, x, y) {
+  return `${CONFIG.KV_KEY_TILES}:${tileVariant(langs)}:${z}/${x}/${y}`;
+}
+
+// Web Crypto is a global in Workers and Node 19+; Node 18 has it in node:crypto.
+// The specifier is not a literal so the Worker bundle does not try to resolve it
+async function webCrypto() {
+  if (globalThis.crypto?.subtle) return globalThis.crypto;
+  const nodeCrypto = "node:crypto";
+  return (await import(nodeCrypto)).webcrypto;
+}
+
+async function computeEtag(buffer) {
+  const { subtle } = await webCrypto();
+  const digest = await subtle.digest("SHA-1", buffer);
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+  return `"${hex}"`;
+}
+
+async function buildTileEntry(result) {
+  const pbf = result ? result.pbf : new Uint8Array(0);
+  return {
+    pbf,
+    etag: await computeEtag(pbf),
+    featureCount: result ? result.featureCount : 0
+  };
+}
+
+async function getCachedTile(env, langs, z, x, y, dataVersion) {
+  const { value, metadata } = await env.URBANGREEN_KV.getWithMetadata(
+    tileCacheKey(langs, z, x, y),
+    { type: "arrayBuffer" }
+  );
+  
+  if (value === null || metadata?.dataVersion !== dataVersion) return null;
+  
+  return { pbf: value, etag: metadata.etag, featureCount: metadata.featureCount };
+}
+
+async function putCachedTile(env, langs, z, x, y, dataVersion, entry) {
+  await env.URBANGREEN_KV.put(tileCacheKey(langs, z, x, y), entry.pbf, {
+    expirationTtl: CONFIG.TILE_CACHE.TTL_SECONDS,
+    metadata: { dataVersion, etag: entry.etag, featureCount: entry.featureCount }
+  });
+}
+
+// Every tile in CONFIG.TILE_CACHE.PREBUILD_ZOOMS covering the data extent
+function listPrebuildTiles(features) {
+  let west = Infinity, south = Infinity, east = -Infinity, north = -Infinity;
+  for (const feature of features) {
+    const bbox = getFeatureBbox(feature);
+    if (!bbox) continue;
+    if (bbox.west < west) west = bbox.west;
+    if (bbox.south < south) south = bbox.south;
+    if (bbox.east > east) east = bbox.east;
+    if (bbox.north > north) north = bbox.north;
+  }
+  if (west === Infinity) return [];
+  
+  const tiles = [];
+  for (const z of CONFIG.TILE_CACHE.PREBUILD_ZOOMS) {
+    const min = lngLatToTile(west, north, z);
+    const max = lngLatToTile(east, south, z);
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  }
+  return tiles;
+}
+
+async function getTileCacheState(env, langs) {
+  const data = await env.URBANGREEN_KV.get(`${CONFIG.KV_KEY_TILE_STATE}:${tileVariant(langs)}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Build cached tiles in `lang` for the low zoom levels from a geojson-vt
+ * index over the whole dataset per zoom, each with that zoom's tile rules
+ * applied. Resumable: each call builds at most
+ * PREBUILD_TILES_PER_RUN tiles and restarts when the dataset version changes.
+ */
+async function prebuildTileCache(env, lang) {
+  const metadata = await getMetadataFromKV(env);
+  if (!metadata?.lastRefresh) return null;
+  
+  const dataVersion = metadata.lastRefresh;
+  const langs = titleLanguages(env, lang, metadata);
+  let state = await getTileCacheState(env, langs);
+  
+  if (!state || state.dataVersion !== dataVersion) {
+    state = { dataVersion, nextTile: 0, totalTiles: null, isComplete: false };
+  }
+  if (state.isComplete) return state;
+  
+  const { features } = await getAllFeatures(env, datasetVersion(metadata));
+  const tiles = listPrebuildTiles(features);
+  const localized = features.map(feature => localizeFeature(feature, langs));
+  const indexes = new Map();
+  const tileIndex = (z) => {
+    if (!indexes.has(z)) {
+      indexes.set(z, geojsonvt({ type: "FeatureCollection", features: featuresForZoom(localized, z) }, CONFIG.TILE_OPTIONS));
+    }
+    return indexes.get(z);
+  };
+  const end = Math.min(state.nextTile + CONFIG.TILE_CACHE.PREBUILD_TILES_PER_RUN, tiles.length);
+  
+  for (let i = state.nextTile; i < end; i++) {
+    const { z, x, y } = tiles[i];
+    const tile = tileIndex(z).getTile(z, x, y);
+    const result = tile && tile.features.length > 0
+      ? { pbf: vtpbf.fromGeojsonVt({ 'urbangreen': tile }), featureCount: tile.features.length }
+      : null;
+    await putCachedTile(env, langs, z, x, y, dataVersion, await buildTileEntry(result));
+  }
+  
+  state = {
+    dataVersion,
+    nextTile: end,
+    totalTiles: tiles.length,
+    isComplete: end >= tiles.length,
+    updatedAt: new Date().toISOString()
+  };
+  await env.URBANGREEN_KV.put(`${CONFIG.KV_KEY_TILE_STATE}:${tileVariant(langs)}`, JSON.stringify(state));
+  
+  return state;
+}
+
+// Readable by map clients on other origins, e.g. to log tile sizes
+const TILE_STAT_HEADERS = "X-Tile-Features, X-Tile-Bytes, X-Tile-Cache, X-Tile-Time";
+
+async function handleTileRequest(request, env, ctx) {
+  const url = new URL(request.url);
+  const match = url.pathname.match(/^\/tiles\/([a-z]{2,3})\/(\d+)\/(\d+)\/(\d+)\.pbf$/);
+  
+  if (!match) {
+    return new Response("Invalid tile URL", { status: 400 });
+  }
+  
+  const [, lang, zStr, xStr, yStr] = match;
+  const z = Number(zStr);
+  const x = Number(xStr);
+  const y = Number(yStr);
+  
+  try {
+    const startTime = Date.now();
+    const metadata = await getMetadataFromKV(env);
+    const dataVersion = metadata?.lastRefresh || null;
+    const langs = titleLanguages(env, lang, metadata);
+    
+    let entry = dataVersion ? await getCachedTile(env, langs, z, x, y, dataVersion) : null;
+    const cacheStatus = entry ? "HIT" : "MISS";
+    
+    if (!entry) {
+      const result = await generateTileFromKV(env, datasetVersion(metadata), langs, z, x, y);
+      entry = await buildTileEntry(result);
+      
+      // Only tiles from a completed refresh are worth keeping
+      if (dataVersion) {
+        ctx.waitUntil(putCachedTile(env, langs, z, x, y, dataVersion, entry));
+      }
+    }
+    
+    const elapsed = Date.now() - startTime;
+    
+    if (entry.featureCount === 0) {
+      return new Response(null, {
+        status: 204,
+        headers: {
+          "Access-Control-Allow-Origin": "*",
+          "Cache-Control": "public, max-age=3600",
+          "X-Tile-Features": "0",
+          "X-Tile-Bytes": "0",
+          "X-Tile-Cache": cacheStatus,
+          "X-Tile-Time": `${elapsed}ms`,
+          "Access-Control-Expose-Headers": TILE_STAT_HEADERS
+        }
+      });
+    }
+    
+    const headers = {
+      "Content-Type": "application/x-protobuf",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600",
+      "ETag": entry.etag,
+      "X-Tile-Features": String(entry.featureCount),
+      "X-Tile-Bytes": String(entry.pbf.byteLength),
+      "X-Tile-Cache": cacheStatus,
+      "X-Tile-Time": `${elapsed}ms`,
+      "Access-Control-Expose-Headers": TILE_STAT_HEADERS
+    };
+    
+    if (request.headers.get("If-None-Match") === entry.etag) {
+      return new Response(null, { status: 304, headers });
+    }
+    
+    return new Response(entry.pbf, { status: 200, headers });
+  } catch (error) {
+    console.error("Tile error:", error);
+    return new Response(error.message, { status: 500 });
+  }
+}
+
+// ========================================
+// TILEJSON AND STYLE
+// ========================================
+
+// Category colors shared with UrbanGreenMapGL.buildStyle: light fill for
+// polygons, dark shade for outlines and points
+const CATEGORY_STYLE = {
+  "1": { name: "Vegetation", fill: "#81C784", stroke: "#2E7D32" },
+  "2": { name: "Furniture", fill: "#A1887F", stroke: "#5D4037" },
+  "3": { name: "Zone", fill: "#64B5F6", stroke: "#1565C0" },
+  other: { name: "Other", fill: "#CE93D8", stroke: "#6A1B9A" }
+};
+
+function categoryColorExpression(shade) {
+  const expression = ["match", ["get", "type"]];
+  for (const [type, style] of Object.entries(CATEGORY_STYLE)) {
+    if (type !== "other") expression.push(type, style[shade]);
+  }
+  expression.push(CATEGORY_STYLE.other[shade]);
+  return expression;
+}
+
+const SUMMARY_CACHE_KEY = `${CONFIG.KV_KEY_TILES}:summary`;
+
+/**
+ * Bounds, tile field list and feature count of the stored dataset. Scanning
+ * every chunk is expensive, so the result is kept in KV per dataset version
+ * like the tiles themselves.
+ */
+async function getDatasetSummary(env) {
+  const metadata = await getMetadataFromKV(env);
+  const dataVersion = metadata?.lastRefresh || null;
+  
+  if (dataVersion) {
+    const { value, metadata: cached } = await env.URBANGREEN_KV.getWithMetadata(SUMMARY_CACHE_KEY);
+    if (value !== null && cached?.dataVersion === dataVersion) return JSON.parse(value);
+  }
+  
+  const version = datasetVersion(metadata);
+  const manifest = await getManifest(env, version);
+  if (!manifest) return null;
+  
+  const { features } = await getAllFeatures(env, version);
+  // Tiles carry the resolved title only, plus the counts of density points
+  const fields = {
+    ...Object.fromEntries(Object.entries(collectFields(features)).filter(([name]) => !name.startsWith("name_"))),
+    ...DENSITY_FIELDS
+  };
+  const summary = {
+    bounds: computeBounds(features),
+    fields,
+    featureCount: features.length,
+    dataVersion
+  };
+  
+  if (dataVersion) {
+    await env.URBANGREEN_KV.put(SUMMARY_CACHE_KEY, JSON.stringify(summary), {
+      expirationTtl: CONFIG.TILE_CACHE.TTL_SECONDS,
+      metadata: { dataVersion }
+    });
+  }
+  
+  return summary;
+}
+
+function buildTileJson(origin, lang, summary) {
+  const { west, south, east, north } = summary.bounds || { west: -180, south: -85.0511, east: 180, north: 85.0511 };
+  const minzoom = CONFIG.TILEJSON.MIN_ZOOM;
+  const maxzoom = CONFIG.TILE_OPTIONS.maxZoom;
+  
+  return {
+    tilejson: "3.0.0",
+    name: `UrbanGreen Padova (${lang})`,
+    description: "Vegetation, urban furniture and zones from the Open Data Hub UrbanGreen dataset",
+    version: summary.dataVersion || undefined,
+    attribution: CONFIG.TILEJSON.ATTRIBUTION,
+    scheme: "xyz",
+    tiles: [`${origin}/tiles/${lang}/{z}/{x}/{y}.pbf`],
+    minzoom,
+    maxzoom,
+    bounds: [west, south, east, north],
+    center: [truncateCoord((west + east) / 2), truncateCoord((south + north) / 2), CONFIG.TILEJSON.CENTER_ZOOM],
+    vector_layers: [{
+      id: "urbangreen",
+      description: `${summary.featureCount} features; type: ${Object.entries(CATEGORY_STYLE)
+        .filter(([type]) => type !== "other")
+        .map(([type, style]) => `${type} = ${style.name}`)
+        .join(", ")}`,
+      minzoom,
+      maxzoom,
+      fields: summary.fields
+    }]
+  };
+}
+
+// The basemap-* options of the map components, from the BASEMAP_* vars;
+// ?basemap= picks another of the basemaps they make available
+function styleBasemapOptions(env, lang, basemap) {
+  return {
+    basemap: basemap || env.BASEMAP || undefined,
+    url: env.BASEMAP_URL || "",
+    flavor: env.BASEMAP_FLAVOR || undefined,
+    rasters: parseRasterBasemaps(env.BASEMAP_RASTERS),
+    assets: env.BASEMAP_ASSETS || undefined,
+    osmTiles: env.BASEMAP_OSM_URL || undefined,
+    lang
+  };
+}
+
+// The UrbanGreen layers over the basemap the components would show. A .pmtiles
+// BASEMAP_URL needs the pmtiles:// protocol registered by the client
+function buildStyleJson(origin, lang, basemapOptions) {
+  const basemap = basemapStyle(basemaps, basemapOptions);
+  return {
+    ...basemap,
+    name: `UrbanGreen Padova (${lang})`,
+    sources: {
+      ...basemap.sources,
+      urbangreen: {
+        type: "vector",
+        url: `${origin}/tiles/${lang}/tiles.json`
+      }
+    },
+    layers: [
+      ...basemap.layers,
+      {
+        id: "urbangreen-polygons",
+        type: "fill",
+        source: "urbangreen",
+        "source-layer": "urbangreen",
+        filter: ["==", ["geometry-type"], "Polygon"],
+        paint: {
+          "fill-color": categoryColorExpression("fill"),
+          "fill-opacity": 0.4
+        }
+      },
+      {
+        id: "urbangreen-polygons-outline",
+        type: "line",
+        source: "urbangreen",
+        "source-layer": "urbangreen",
+        filter: ["==", ["geometry-type"], "Polygon"],
+        paint: {
+          "line-color": categoryColorExpression("stroke"),
+          "line-width": 2,
+          "line-opacity": 0.9
+        }
+      },
+      {
+        id: "urbangreen-lines",
+        type: "line",
+        source: "urbangreen",
+        "source-layer": "urbangreen",
+        filter: ["==", ["geometry-type"], "LineString"],
+        paint: {
+          "line-color": categoryColorExpression("stroke"),
+          "line-width": 3,
+          "line-opacity": 0.9
+        }
+      },
+      {
+        id: "urbangreen-points",
+        type: "circle",
+        source: "urbangreen",
+        "source-layer": "urbangreen",
+        filter: ["==", ["geometry-type"], "Point"],
+        paint: {
+          // Density points grow with the number of trees they stand for
+          "circle-radius": ["interpolate", ["linear"], ["zoom"],
+            10, ["case", ["has", "count"], ["interpolate", ["linear"], ["get", "count"], 1, 3, 100, 12], 4],
+            14, 7,
+            18, 12
+          ],
+          "circle-color": categoryColorExpression("stroke"),
+          "circle-opacity": 0.85,
+          "circle-stroke-color": "#ffffff",
+          "circle-stroke-width": 1.5
+        }
+      }
+    ]
+  };
+}
+
+async function handleTileJson(request, env) {
+  const url = new URL(request.url);
+  const lang = url.pathname.split("/")[2];
+  
+  try {
+    const summary = await getDatasetSummary(env);
+    
+    if (!summary) {
+      return new Response("No data stored, run /refresh first", { status: 404 });
+    }
+    
+    return new Response(JSON.stringify(buildTileJson(url.origin, lang, summary), null, 2), {
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control": "public, max-age=3600"
+      }
+    });
+  } catch (error) {
+    console.error("TileJSON error:", error);
+    return new Response(error.message, { status: 500 });
+  }
+}
+
+function handleStyle(request, env) {
+  const url = new URL(request.url);
+  const match = url.pathname.match(/^\/style\/([a-z]{2,3})\.json$/);
+  
+  if (!match) {
+    return new Response("Unsupported language", { status: 400 });
+  }
+  
+  const basemapOptions = styleBasemapOptions(env, match[1], url.searchParams.get("basemap"));
+  return new Response(JSON.stringify(buildStyleJson(url.origin, match[1], basemapOptions), null, 2), {
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600"
+    }
+  });
+}
+
+// ========================================
+// FEATURE QUERY API
+// ========================================
+
+// Features stored before the canonical schema have no subtype property
+function featureSubtype(feature) {
+  return feature.properties.subtype || codeSubtype(feature.properties.code);
+}
+
+function parseListParam(value) {
+  if (!value) return null;
+  const list = value.split(",").map(v => v.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+function parseBboxParam(value) {
+  const parts = value.split(",").map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+  const [west, south, east, north] = parts;
+  if (west > east || south > north) return null;
+  return { west, south, east, north };
+}
+
+/**
+ * Parse the filter parameters shared by /features and the exports.
+ * Returns { filter } or { error } with a message for a 400 response.
+ */
+function parseFeatureFilter(searchParams) {
+  const filter = {
+    bbox: null,
+    types: parseListParam(searchParams.get("type")),
+    subtypes: parseListParam(searchParams.get("subtype")),
+    active: null
+  };
+  
+  const bbox = searchParams.get("bbox");
+  if (bbox) {
+    filter.bbox = parseBboxParam(bbox);
+    if (!filter.bbox) return { error: "Invalid bbox, expected west,south,east,north" };
+  }
+  
+  const active = searchParams.get("active");
+  if (active !== null) {
+    if (active !== "true" && active !== "false") return { error: "Invalid active, expected true or false" };
+    filter.active = active === "true";
+  }
+  
+  return { filter };
+}
+
+/**
+ * Stored features of the dataset `metadata` describes matching a filter,
+ * ordered by id so pages are stable. Only the chunks whose type and bucket
+ * can match are read. Returns null when nothing is stored.
+ */
+async function queryFeatures(env, metadata, filter) {
+  const version = datasetVersion(metadata);
+  const manifest = await getManifest(env, version);
+  if (!manifest) return null;
+  
+  const buckets = filter.bbox ? new Set(bucketsForBbox(filter.bbox)) : null;
+  const chunkTypes = filter.types
+    ? new Set(filter.types.map(type => chunkTypeOf({ properties: { type } })))
+    : null;
+  const chunks = listManifestChunks(manifest, buckets)
+    .filter(chunk => !chunkTypes || chunkTypes.has(chunk.type));
+  
+  const features = (await loadChunks(env, version, chunks)).filter(feature => {
+    const props = feature.properties;
+    if (filter.types && !filter.types.includes(props.type)) return false;
+    if (filter.subtypes && !filter.subtypes.includes(featureSubtype(feature))) return false;
+    if (filter.active !== null && props.active !== filter.active) return false;
+    if (filter.bbox) {
+      const bbox = getFeatureBbox(feature);
+      if (!bbox || !bboxesIntersect(bbox, filter.bbox)) return false;
+    }
+    return true;
+  });
+  
+  return features.sort((a, b) => String(a.properties.id).localeCompare(String(b.properties.id)));
+}
+
+function geoJsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: {
+      "Content-Type": "application/geo+json",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=300"
+    }
+  });
+}
+
+// Features keep their name_xx titles; `title` is resolved for the requested language
+async function handleFeaturesRequest(request, env) {
+  const url = new URL(request.url);
+  const lang = url.searchParams.get("lang") || CONFIG.DEFAULT_LANG;
+  
+  if (!isLanguageCode(lang)) {
+    return new Response("Unsupported language", { status: 400 });
+  }
+  
+  try {
+    const metadata = await getMetadataFromKV(env);
+    const langs = titleLanguages(env, lang, metadata);
+    
+    // /features/{id}: ids are not indexed, so this scans every chunk
+    const idMatch = url.pathname.match(/^\/features\/(.+)$/);
+    if (idMatch) {
+      const id = decodeURIComponent(idMatch[1]);
+      const features = await queryFeatures(env, metadata, { bbox: null, types: null, subtypes: null, active: null });
+      const feature = features?.find(f => f.properties.id === id);
+      
+      if (!feature) {
+        return new Response(`Feature not found: ${id}`, { status: 404 });
+      }
+      return geoJsonResponse(localizeFeature(feature, langs, { names: true }));
+    }
+    
+    const { filter, error } = parseFeatureFilter(url.searchParams);
+    if (error) {
+      return new Response(error, { status: 400 });
+    }
+    
+    const pageNumber = Number(url.searchParams.get("pagenumber") || 1);
+    const pageSize = Number(url.searchParams.get("pagesize") || CONFIG.FEATURES.DEFAULT_PAGESIZE);
+    
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 ||
+        !Number.isInteger(pageSize) || pageSize < 1 || pageSize > CONFIG.FEATURES.MAX_PAGESIZE) {
+      return new Response(`Invalid paging, pagenumber >= 1 and pagesize 1-${CONFIG.FEATURES.MAX_PAGESIZE}`, { status: 400 });
+    }
+    
+    const features = await queryFeatures(env, metadata, filter);
+    if (!features) {
+      return new Response("No data stored, run /refresh first", { status: 404 });
+    }
+    
+    const totalPages = Math.ceil(features.length / pageSize);
+    let nextPage = null;
+    if (pageNumber < totalPages) {
+      const next = new URL(url);
+      next.searchParams.set("pagenumber", String(pageNumber + 1));
+      nextPage = next.toString();
+    }
+    
+    return geoJsonResponse({
+      type: "FeatureCollection",
+      totalResults: features.length,
+      totalPages,
+      pageNumber,
+      pageSize,
+      nextPage,
+      features: features
+        .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+        .map(feature => localizeFeature(feature, langs, { names: true }))
+    });
+  } catch (error) {
+    console.error("Features error:", error);
+    return new Response(error.message, { status: 500 });
+  }
+}
+
+// ========================================
+// EXPORTS (CSV, KML, NDJSON)
+// ========================================
+
+// Exports take the /features filters. The requested language, with its
+// fallbacks, gives the title column and the KML placemark names; every
+// language the dataset has titles in gets a title_xx column.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  kml: { contentType: "application/vnd.google-earth.kml+xml; charset=utf-8" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8" }
+};
+
+const EXPORT_ROWS_PER_CHUNK = 500;
+
+function wktCoords(coords) {
+  return coords.map(([lng, lat]) => `${lng} ${lat}`).join(", ");
+}
+
+function wktRings(rings) {
+  return rings.map(ring => `(${wktCoords(ring)})`).join(", ");
+}
+
+function geometryToWkt(geometry) {
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case "Point": return `POINT (${c[0]} ${c[1]})`;
+    case "LineString": return `LINESTRING (${wktCoords(c)})`;
+    case "Polygon": return `POLYGON (${wktRings(c)})`;
+    case "MultiPoint": return `MULTIPOINT (${c.map(p => `(${p[0]} ${p[1]})`).join(", ")})`;
+    case "MultiLineString": return `MULTILINESTRING (${wktRings(c)})`;
+    case "MultiPolygon": return `MULTIPOLYGON (${c.map(poly => `(${wktRings(poly)})`).join(", ")})`;
+    case "GeometryCollection": return `GEOMETRYCOLLECTION (${geometry.geometries.map(geometryToWkt).join(", ")})`;
+    default: return "";
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex, alpha) {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+function kmlCoords(coords) {
+  return coords.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+}
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return "<Polygon>" +
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlCoords(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+    holes.map(ring => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoords(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join("") +
+    "</Polygon>";
+}
+
+function kmlGeometry(geometry) {
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case "Point": return `<Point><coordinates>${c[0]},${c[1]}</coordinates></Point>`;
+    case "LineString": return `<LineString><coordinates>${kmlCoords(c)}</coordinates></LineString>`;
+    case "Polygon": return kmlPolygon(c);
+    case "MultiPoint": return `<MultiGeometry>${c.map(p => `<Point><coordinates>${p[0]},${p[1]}</coordinates></Point>`).join("")}</MultiGeometry>`;
+    case "MultiLineString": return `<MultiGeometry>${c.map(l => `<LineString><coordinates>${kmlCoords(l)}</coordinates></LineString>`).join("")}</MultiGeometry>`;
+    case "MultiPolygon": return `<MultiGeometry>${c.map(kmlPolygon).join("")}</MultiGeometry>`;
+    case "GeometryCollection": return `<MultiGeometry>${geometry.geometries.map(kmlGeometry).join("")}</MultiGeometry>`;
+    default: return "";
+  }
+}
+
+function kmlDocumentStart(lang) {
+  const styles = Object.entries(CATEGORY_STYLE).map(([type, style]) =>
+    `<Style id="type-${type}">` +
+    `<IconStyle><color>${kmlColor(style.stroke, "ff")}</color></IconStyle>` +
+    `<LineStyle><color>${kmlColor(style.stroke, "e6")}</color><width>2</width></LineStyle>` +
+    `<PolyStyle><color>${kmlColor(style.fill, "66")}</color></PolyStyle>` +
+    "</Style>"
+  ).join("\n");
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n' +
+    `<name>UrbanGreen Padova (${lang})</name>\n${styles}\n`;
+}
+
+function exportRow(feature, langs, languages) {
+  const props = feature.properties;
+  const row = {
+    id: props.id,
+    type: props.type,
+    subtype: featureSubtype(feature),
+    code: props.code,
+    active: props.active,
+    title: titleFromNames(props, langs)
+  };
+  for (const l of languages) {
+    row[`title_${l}`] = props[`name_${l}`] ?? "";
+  }
+  return row;
+}
+
+const EXPORT_WRITERS = {
+  csv: {
+    start: (lang, languages) => "\uFEFF" + ["id", "type", "subtype", "code", "active", "title",
+      ...languages.map(l => `title_${l}`), "wkt"].join(",") + "\r\n",
+    line: (feature, row) => [...Object.values(row), geometryToWkt(feature.geometry)].map(csvField).join(",") + "\r\n",
+    end: () => ""
+  },
+  kml: {
+    start: lang => kmlDocumentStart(lang),
+    line: (feature, row) => {
+      const styleType = CATEGORY_STYLE[row.type] ? row.type : "other";
+      const data = Object.entries(row)
+        .map(([name, value]) => `<Data name="${name}"><value>${xmlEscape(value)}</value></Data>`)
+        .join("");
+      return `<Placemark><name>${xmlEscape(row.title)}</name>` +
+        `<styleUrl>#type-${styleType}</styleUrl><ExtendedData>${data}</ExtendedData>` +
+        `${kmlGeometry(feature.geometry)}</Placemark>\n`;
+    },
+    end: () => "</Document>\n</kml>\n"
+  },
+  ndjson: {
+    start: () => "",
+    line: (feature, row) => JSON.stringify({ type: "Feature", geometry: feature.geometry, properties: row }) + "\n",
+    end: () => ""
+  }
+};
+
+// Large exports are encoded a slice at a time instead of as one string
+function streamExport(format, lang, langs, languages, features) {
+  const writer = EXPORT_WRITERS[format];
+  const encoder = new TextEncoder();
+  let index = 0;
+  
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(writer.start(lang, languages)));
+    },
+    pull(controller) {
+      const end = Math.min(index + EXPORT_ROWS_PER_CHUNK, features.length);
+      let text = "";
+      for (; index < end; index++) {
+        const feature = features[index];
+        text += writer.line(feature, exportRow(feature, langs, languages));
+      }
+      if (text) controller.enqueue(encoder.encode(text));
+      
+      if (index >= features.length) {
+        controller.enqueue(encoder.encode(writer.end()));
+        controller.close();
+      }
+    }
+  });
 }
 
-// ========================================
-// CHUNKED KV STORAGE (by type)
-// ========================================
-
-async function saveFeaturesByType(env, lang, features) {
-  // Group features by type
-  const byType = {
-    "1": [],  // Vegetation
-    "2": [],  // Furniture
-    "3": [],  // Zones
-    "other": []
-  };
+async function handleExportRequest(request, env) {
+  const url = new URL(request.url);
+  const format = url.pathname.match(/^\/export\.([a-z]+)$/)?.[1];
+  const lang = url.searchParams.get("lang") || CONFIG.DEFAULT_LANG;
   
-  for (const feature of features) {
-    const type = feature.properties.type;
-    if (byType[type]) {
-      byType[type].push(feature);
-    } else {
-      byType["other"].push(feature);
-    }
+  if (!EXPORT_FORMATS[format]) {
+    return new Response(`Unsupported export format, use ${Object.keys(EXPORT_FORMATS).map(f => `/export.${f}`).join(", ")}`, { status: 400 });
   }
-  
-  // Save each type separately
-  for (const [type, typeFeatures] of Object.entries(byType)) {
-    if (typeFeatures.length === 0) continue;
-    
-    const key = `${CONFIG.KV_KEY_PREFIX}:${lang}:type${type}`;
-    const geojson = {
-      type: "FeatureCollection",
-      features: typeFeatures
-    };
-    
-    const json = JSON.stringify(geojson);
-    console.log(`Saving type ${type}: ${typeFeatures.length} features, ${json.length} bytes`);
-    
-    await env.URBANGREEN_KV.put(key, json);
+  if (!isLanguageCode(lang)) {
+    return new Response("Unsupported language", { status: 400 });
   }
-}
-
-async function getAllFeatures(env, lang) {
-  const allFeatures = [];
   
-  // Load all type chunks
-  const types = ["1", "2", "3", "other"];
+  const { filter, error } = parseFeatureFilter(url.searchParams);
+  if (error) {
+    return new Response(error, { status: 400 });
+  }
   
-  for (const type of types) {
-    const key = `${CONFIG.KV_KEY_PREFIX}:${lang}:type${type}`;
-    const data = await env.URBANGREEN_KV.get(key);
+  try {
+    const metadata = await getMetadataFromKV(env);
+    const features = await queryFeatures(env, metadata, filter);
+    if (!features) {
+      return new Response("No data stored, run /refresh first", { status: 404 });
+    }
+    
+    const langs = titleLanguages(env, lang, metadata);
+    const languages = metadata?.languages || [];
+    const filename = `urbangreen-${lang}-${new Date().toISOString().slice(0, 10)}.${format}`;
     
-    if (data) {
-      const geojson = JSON.parse(data);
-      if (geojson.features) {
-        allFeatures.push(...geojson.features);
+    return new Response(streamExport(format, lang, langs, languages, features), {
+      headers: {
+        "Content-Type": EXPORT_FORMATS[format].contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control": "public, max-age=300",
+        "X-Export-Features": String(features.length)
       }
-    }
+    });
+  } catch (error) {
+    console.error("Export error:", error);
+    return new Response(error.message, { status: 500 });
   }
-  
-  return {
-    type: "FeatureCollection",
-    features: allFeatures
-  };
 }
 
 // ========================================
-// BATCHED FETCH
+// PMTILES ARCHIVE (R2)
 // ========================================
 
-async function fetchBatchFromODH(lang, startPage, endPage) {
-  console.log(`Fetching batch: pages ${startPage}-${endPage} for lang: ${lang}`);
-  const startTime = Date.now();
-  
-  const allFeatures = [];
-  let page = startPage;
-  
-  while (page <= endPage) {
-    const url = new URL(`${CONFIG.ODH_API_BASE}${CONFIG.ODH_ENDPOINT}`);
-    url.searchParams.set("pagenumber", String(page));
-    url.searchParams.set("pagesize", String(CONFIG.PAGESIZE));
-    url.searchParams.set("language", lang);
-
-    try {
-      const response = await fetch(url.toString(), {
-        headers: { Accept: "application/json" }
-      });
-
-      if (!response.ok) {
-        if (response.status === 404) break;
-        throw new Error(`ODH API error: ${response.status}`);
-      }
-
-      const json = await response.json();
-      const items = json?.Items ?? json?.items ?? [];
-
-      if (items.length === 0) break;
+// Clients that cannot use the pmtiles:// protocol get the same tiles as
+// /pmtiles/{z}/{x}/{y}.mvt. Only the header, the directories on the path
+// and the tile itself are read from R2, as range requests.
 
-      const features = items.map(item => itemToGeoJSON(item, lang)).filter(Boolean);
-      allFeatures.push(...features);
-
-      if (items.length < CONFIG.PAGESIZE) break;
-      
-      page++;
-      
-    } catch (error) {
-      console.error(`Error fetching page ${page}:`, error);
-      break;
-    }
+class R2Source {
+  constructor(bucket, key) {
+    this.bucket = bucket;
+    this.key = key;
   }
-
-  const elapsed = Date.now() - startTime;
-  console.log(`Batch complete: ${allFeatures.length} features in ${elapsed}ms`);
-
-  return {
-    features: allFeatures,
-    lastPage: page,
-    elapsed
-  };
-}
-
-// Progress tracking
-async function getProgress(env, lang) {
-  const key = `${CONFIG.KV_KEY_PROGRESS}:${lang}`;
-  const data = await env.URBANGREEN_KV.get(key);
   
-  if (!data) {
+  getKey() {
+    return this.key;
+  }
+  
+  async getBytes(offset, length, signal, etag) {
+    const object = await this.bucket.get(this.key, {
+      range: { offset, length },
+      onlyIf: etag ? { etagMatches: etag } : undefined
+    });
+    
+    if (!object) {
+      const error = new Error(`PMTiles archive not found: ${this.key}`);
+      error.status = 404;
+      throw error;
+    }
+    // R2 answers a failed onlyIf without a body: the archive was replaced
+    // since its header was read, so PMTiles drops its cache and retries
+    if (!("body" in object)) {
+      throw new EtagMismatch(`PMTiles archive changed: ${this.key}`);
+    }
+    
     return {
-      currentPage: 1,
-      totalFeatures: 0,
-      isComplete: false
+      data: await object.arrayBuffer(),
+      etag: object.etag,
+      cacheControl: object.httpMetadata?.cacheControl,
+      expires: object.httpMetadata?.cacheExpiry?.toUTCString()
     };
   }
-  
-  return JSON.parse(data);
 }
 
-async function saveProgress(env, lang, progress) {
-  const key = `${CONFIG.KV_KEY_PROGRESS}:${lang}`;
-  await env.URBANGREEN_KV.put(key, JSON.stringify(progress));
-}
+// One reader per bucket binding, so header and directories stay cached
+// across requests handled by the same isolate
+const pmtilesArchives = new WeakMap();
 
-// ========================================
-// BATCHED REFRESH
-// ========================================
+function getPMTilesArchive(env) {
+  let archive = pmtilesArchives.get(env.URBANGREEN_R2);
+  if (!archive) {
+    archive = new PMTiles(new R2Source(env.URBANGREEN_R2, CONFIG.PMTILES.ARCHIVE_KEY));
+    pmtilesArchives.set(env.URBANGREEN_R2, archive);
+  }
+  return archive;
+}
 
-async function handleBatchedRefresh(request, env) {
+async function handlePMTilesRequest(request, env) {
   const url = new URL(request.url);
-  const lang = url.searchParams.get("lang") || "en";
-  const reset = url.searchParams.get("reset") === "true";
   
-  if (!CONFIG.SUPPORTED_LANGS.includes(lang)) {
-    return new Response(JSON.stringify({ error: "Unsupported language" }), {
-      status: 400,
-      headers: { "Content-Type": "application/json" }
-    });
+  if (!env.URBANGREEN_R2) {
+    return new Response("PMTiles storage (URBANGREEN_R2) is not configured", { status: 503 });
   }
   
+  const cacheControl = `public, max-age=${CONFIG.PMTILES.CACHE_SECONDS}`;
+  
   try {
-    let progress = await getProgress(env, lang);
-    
-    if (reset) {
-      progress = { currentPage: 1, totalFeatures: 0, isComplete: false };
-      await saveProgress(env, lang, progress);
-      
-      // Clear all type chunks
-      const types = ["1", "2", "3", "other"];
-      for (const type of types) {
-        await env.URBANGREEN_KV.delete(`${CONFIG.KV_KEY_PREFIX}:${lang}:type${type}`);
-      }
-    }
+    const archive = getPMTilesArchive(env);
     
-    if (progress.isComplete) {
-      return new Response(JSON.stringify({
-        success: true,
-        message: "Refresh already complete",
-        progress
-      }, null, 2), {
-        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+    if (url.pathname === "/pmtiles/tiles.json") {
+      const tileJson = await archive.getTileJson(`${url.origin}/pmtiles`);
+      return new Response(JSON.stringify(tileJson, null, 2), {
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Cache-Control": cacheControl
+        }
       });
     }
     
-    const startPage = progress.currentPage;
-    const endPage = Math.min(startPage + CONFIG.BATCH_SIZE - 1, 1200);
-    
-    const batch = await fetchBatchFromODH(lang, startPage, endPage);
-    
-    // Save by type (chunked)
-    await saveFeaturesByType(env, lang, batch.features);
+    const match = url.pathname.match(/^\/pmtiles\/(\d+)\/(\d+)\/(\d+)\.mvt$/);
+    if (!match) {
+      return new Response("Invalid tile URL", { status: 400 });
+    }
     
-    // Get total features across all chunks
-    const allData = await getAllFeatures(env, lang);
-    const totalFeatures = allData.features.length;
+    const z = Number(match[1]);
+    const x = Number(match[2]);
+    const y = Number(match[3]);
     
-    const isComplete = batch.lastPage >= 1200 || batch.features.length === 0;
+    if (x >= 2 ** z || y >= 2 ** z) {
+      return new Response("Tile out of range", { status: 400 });
+    }
     
-    progress = {
-      currentPage: batch.lastPage + 1,
-      totalFeatures,
-      isComplete,
-      lastBatch: {
-        pages: `${startPage}-${batch.lastPage}`,
-        features: batch.features.length,
-        elapsed: batch.elapsed
-      }
+    // Reading the tile first checks the cached header against R2, so the
+    // archive etag used below is the one of the current upload
+    const tile = await archive.getZxy(z, x, y);
+    const header = await archive.getHeader();
+    const etag = header.etag ? `"${header.etag}-${z}-${x}-${y}"` : null;
+    const headers = {
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": cacheControl,
+      "Access-Control-Expose-Headers": "X-Tile-Bytes"
     };
+    if (etag) headers["ETag"] = etag;
     
-    await saveProgress(env, lang, progress);
+    if (etag && request.headers.get("If-None-Match") === etag) {
+      return new Response(null, { status: 304, headers });
+    }
     
-    if (isComplete) {
-      const metadata = {
-        lastRefresh: new Date().toISOString(),
-        totalFeatures,
-        language: lang,
-        version: "6.2.0-kv-chunked"
-      };
-      await env.URBANGREEN_KV.put(`${CONFIG.KV_KEY_METADATA}:${lang}`, JSON.stringify(metadata));
+    if (!tile || tile.data.byteLength === 0) {
+      return new Response(null, { status: 204, headers: { ...headers, "X-Tile-Bytes": "0" } });
     }
     
-    return new Response(JSON.stringify({
-      success: true,
-      message: isComplete ? "Refresh complete!" : "Batch processed",
-      progress: {
-        ...progress,
-        percentComplete: Math.round((batch.lastPage / 1200) * 100),
-        instruction: isComplete 
-          ? "All data loaded! Your tiles are ready." 
-          : "Call /refresh again to load next batch"
-      }
-    }, null, 2), {
-      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+    return new Response(tile.data, {
+      status: 200,
+      headers: { ...headers, "Content-Type": "application/x-protobuf", "X-Tile-Bytes": String(tile.data.byteLength) }
     });
-    
   } catch (error) {
-    console.error("Refresh error:", error);
-    return new Response(JSON.stringify({
-      error: error.message
-    }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" }
+    console.error("PMTiles error:", error);
+    return new Response(error.message, {
+      status: error.status === 404 ? 404 : 500,
+      headers: { "Access-Control-Allow-Origin": "*" }
     });
   }
 }
 
-async function getMetadataFromKV(env, lang) {
-  const metaKey = `${CONFIG.KV_KEY_METADATA}:${lang}`;
-  const data = await env.URBANGREEN_KV.get(metaKey);
-  
-  if (!data) return null;
-  
-  return JSON.parse(data);
+// ========================================
+// ADMIN API (token-protected POST)
+// ========================================
+
+// Compare digests so the time taken does not depend on where the tokens differ
+async function tokensMatch(given, expected) {
+  const encoder = new TextEncoder();
+  const { subtle } = await webCrypto();
+  const [a, b] = await Promise.all([
+    subtle.digest("SHA-256", encoder.encode(given)),
+    subtle.digest("SHA-256", encoder.encode(expected))
+  ]);
+  const bytesA = new Uint8Array(a);
+  const bytesB = new Uint8Array(b);
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) diff |= bytesA[i] ^ bytesB[i];
+  return diff === 0;
 }
 
-// Tile generation
-async function generateTileFromKV(env, lang, z, x, y) {
-  const geojson = await getAllFeatures(env, lang);
+/**
+ * Check method and bearer token of an admin request.
+ * Returns null when allowed, otherwise the error response to send.
+ */
+async function authorizeAdmin(request, env) {
+  const headers = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
   
-  if (!geojson || geojson.features.length === 0) {
-    throw new Error("Data not cached. Please call /refresh first.");
+  if (!env.ADMIN_TOKEN) {
+    return new Response(JSON.stringify({ error: "Admin API disabled, ADMIN_TOKEN secret is not set" }), {
+      status: 503,
+      headers
+    });
   }
   
-  const tileBbox = tileToBbox(x, y, z);
-  
-  const featuresInTile = geojson.features.filter(feature => {
-    const featureBbox = getFeatureBbox(feature);
-    if (!featureBbox) return false;
-    return bboxesIntersect(tileBbox, featureBbox);
-  });
+  if (request.method !== "POST") {
+    return new Response(JSON.stringify({ error: "Use POST with Authorization: Bearer <ADMIN_TOKEN>" }), {
+      status: 405,
+      headers: { ...headers, "Allow": "POST" }
+    });
+  }
   
-  if (featuresInTile.length === 0) return null;
+  const auth = request.headers.get("Authorization") || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : "";
   
-  const tileGeoJSON = {
-    type: "FeatureCollection",
-    features: featuresInTile
-  };
+  if (!token || !(await tokensMatch(token, env.ADMIN_TOKEN))) {
+    return new Response(JSON.stringify({ error: "Unauthorized" }), {
+      status: 401,
+      headers: { ...headers, "WWW-Authenticate": "Bearer" }
+    });
+  }
   
-  const tileIndex = geojsonvt(tileGeoJSON, CONFIG.TILE_OPTIONS);
-  const tile = tileIndex.getTile(z, x, y);
+  return null;
+}
+
+async function getAdminAudit(env) {
+  const data = await env.URBANGREEN_KV.get(CONFIG.KV_KEY_AUDIT);
+  return data ? JSON.parse(data) : [];
+}
+
+async function recordAdminAction(env, entry) {
+  const audit = await getAdminAudit(env);
+  audit.unshift(entry);
+  await env.URBANGREEN_KV.put(
+    CONFIG.KV_KEY_AUDIT,
+    JSON.stringify(audit.slice(0, CONFIG.ADMIN.AUDIT_HISTORY))
+  );
+}
+
+/**
+ * Run an admin handler after authorization and audit the outcome.
+ * Every admin holds the same token, so who called is not known: the entry
+ * keeps the X-Admin-Actor header as claimedActor, unverified, or null.
+ */
+async function handleAdminRequest(request, env, action, handler) {
+  const denied = await authorizeAdmin(request, env);
+  if (denied) return denied;
   
-  if (!tile || !tile.features || tile.features.length === 0) return null;
+  const url = new URL(request.url);
+  const response = await handler(request, env);
   
-  const pbf = vtpbf.fromGeojsonVt({ 'urbangreen': tile });
+  await recordAdminAction(env, {
+    action,
+    params: Object.fromEntries(url.searchParams),
+    claimedActor: request.headers.get("X-Admin-Actor")?.slice(0, 64) || null,
+    ip: request.headers.get("CF-Connecting-IP") || null,
+    userAgent: (request.headers.get("User-Agent") || "").slice(0, 200) || null,
+    status: response.status,
+    at: new Date().toISOString()
+  });
   
-  return {
-    pbf,
-    featureCount: featuresInTile.length
-  };
+  return response;
 }
 
-async function handleTileRequest(request, env) {
-  const url = new URL(request.url);
-  const match = url.pathname.match(/^\/tiles\/([a-z]{2})\/(\d+)\/(\d+)\/(\d+)\.pbf$/);
+const PURGE_PREFIXES = [`${CONFIG.KV_KEY_TILES}:`, `${CONFIG.KV_KEY_TILE_STATE}:`];
+
+/**
+ * Drop up to PURGE_BATCH cached tiles, prebuild states and the tile summary.
+ * `cursor` is the one a previous call returned ("<prefix index>:<KV cursor>");
+ * the returned cursor is null once every key is deleted.
+ */
+async function purgeTileCache(env, cursor = null) {
+  const at = cursor ? cursor.indexOf(":") : -1;
+  let index = at > 0 ? Number(cursor.slice(0, at)) : 0;
+  let listCursor = at > 0 ? cursor.slice(at + 1) : "";
+  let deleted = 0;
   
-  if (!match) {
-    return new Response("Invalid tile URL", { status: 400 });
+  if (cursor && !(Number.isInteger(index) && index >= 0 && index < PURGE_PREFIXES.length)) {
+    const error = new Error("Invalid purge cursor");
+    error.status = 400;
+    throw error;
   }
   
-  const [, lang, zStr, xStr, yStr] = match;
-  const z = Number(zStr);
-  const x = Number(xStr);
-  const y = Number(yStr);
+  while (index < PURGE_PREFIXES.length && deleted < CONFIG.ADMIN.PURGE_BATCH) {
+    const page = await env.URBANGREEN_KV.list({
+      prefix: PURGE_PREFIXES[index],
+      cursor: listCursor || undefined,
+      limit: CONFIG.ADMIN.PURGE_BATCH - deleted
+    });
+    for (const { name } of page.keys) {
+      await env.URBANGREEN_KV.delete(name);
+      deleted++;
+    }
+    if (page.list_complete) {
+      index++;
+      listCursor = "";
+    } else {
+      listCursor = page.cursor;
+    }
+  }
   
-  if (!CONFIG.SUPPORTED_LANGS.includes(lang)) {
-    return new Response("Unsupported language", { status: 400 });
+  return { deleted, cursor: index < PURGE_PREFIXES.length ? `${index}:${listCursor}` : null };
+}
+
+const DATASET_ACTIONS = ["rollback", "publish"];
+
+// Roll back to a kept dataset version, or publish a held-back refresh
+async function handleDatasets(request, env) {
+  const url = new URL(request.url);
+  const action = url.searchParams.get("action");
+  
+  if (!DATASET_ACTIONS.includes(action)) {
+    return new Response(JSON.stringify({ error: `Unsupported action, use ${DATASET_ACTIONS.join(" or ")}` }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" }
+    });
   }
   
   try {
-    const startTime = Date.now();
-    const result = await generateTileFromKV(env, lang, z, x, y);
-    const elapsed = Date.now() - startTime;
-    
-    if (!result) {
-      return new Response(new ArrayBuffer(0), {
-        status: 204,
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "X-Tile-Features": "0",
-          "X-Tile-Time": `${elapsed}ms`
-        }
-      });
-    }
+    const metadata = action === "rollback"
+      ? await rollbackDataset(env, url.searchParams.get("version"))
+      : await publishHeldBuild(env);
     
-    return new Response(result.pbf, {
-      status: 200,
-      headers: {
-        "Content-Type": "application/x-protobuf",
-        "Access-Control-Allow-Origin": "*",
-        "Cache-Control": "public, max-age=3600",
-        "X-Tile-Features": String(result.featureCount),
-        "X-Tile-Time": `${elapsed}ms`
-      }
+    return new Response(JSON.stringify({
+      success: true,
+      message: action === "rollback" ? "Rolled back" : "Held-back dataset published",
+      live: datasetVersion(metadata),
+      lastRefresh: metadata.lastRefresh,
+      totalFeatures: metadata.totalFeatures
+    }, null, 2), {
+      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
     });
   } catch (error) {
-    console.error("Tile error:", error);
-    return new Response(error.message, { status: 500 });
+    console.error("Dataset error:", error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 409,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
+
+// One bounded batch per call; the caller repeats with the returned cursor
+async function handlePurge(request, env) {
+  const url = new URL(request.url);
+  
+  try {
+    const { deleted, cursor } = await purgeTileCache(env, url.searchParams.get("cursor"));
+    return new Response(JSON.stringify({
+      success: true,
+      message: cursor ? "Batch purged" : "Tile cache purged",
+      deletedKeys: deleted,
+      isComplete: !cursor,
+      cursor,
+      instruction: cursor ? `POST /purge?cursor=${encodeURIComponent(cursor)} to purge the next batch` : undefined
+    }, null, 2), {
+      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+    });
+  } catch (error) {
+    console.error("Purge error:", error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error.status || 500,
+      headers: { "Content-Type": "application/json" }
+    });
   }
 }
 
 async function handleInfo(env) {
-  const metadata = {};
-  const progress = {};
+  const metadata = await getMetadataFromKV(env);
+  const progress = await getProgress(env);
+  const manifest = await getManifest(env, datasetVersion(metadata));
+  const report = await getQualityReport(env);
+  const versions = await getDatasetVersions(env);
   
-  for (const lang of CONFIG.SUPPORTED_LANGS) {
-    const meta = await getMetadataFromKV(env, lang);
-    const prog = await getProgress(env, lang);
-    
-    if (meta) metadata[lang] = meta;
-    if (prog) progress[lang] = prog;
+  const tileCache = {};
+  for (const lang of CONFIG.TILE_CACHE.PREBUILD_LANGS) {
+    const cache = await getTileCacheState(env, titleLanguages(env, lang, metadata));
+    if (cache) tileCache[lang] = cache;
   }
   
+  const datasets = versions.length || progress.version
+    ? {
+      live: datasetVersion(metadata),
+      building: !progress.isComplete || progress.heldBack ? progress.version || null : null,
+      versions: versions.map(({ version, publishedAt, metadata: { lastRefresh, totalFeatures } }) => ({
+        version, publishedAt, lastRefresh, totalFeatures
+      }))
+    }
+    : null;
+  
+  const storage = manifest
+    ? {
+      bucketZoom: manifest.bucketZoom,
+      chunks: listManifestChunks(manifest).length,
+      totalFeatures: manifest.totalFeatures,
+      updatedAt: manifest.updatedAt
+    }
+    : null;
+  
+  const scheduledRuns = await getScheduledRuns(env);
+  const adminAudit = await getAdminAudit(env);
+  
   return new Response(JSON.stringify({
     service: "UrbanGreen PRODUCTION Vector Tile Server",
     version: "6.2.0-kv-chunked",
     status: "running",
-    approach: "KV cache with chunked storage (25MB limit workaround)",
+    approach: "KV cache with type and tile-bucket partitioned storage (25MB limit workaround)",
     metadata,
     progress,
+    storage,
+    tileCache,
+    quality: qualitySummary(report),
+    datasets,
+    languages: {
+      available: metadata?.languages || [],
+      default: CONFIG.DEFAULT_LANG,
+      fallbacks: languageFallbacks(env)
+    },
+    scheduledRuns: scheduledRuns.slice(0, 5),
+    // Caller address and user agent stay in KV only
+    adminActions: adminAudit
+      .slice(0, CONFIG.ADMIN.INFO_ACTIONS)
+      .map(({ action, params, claimedActor, status, at }) => ({ action, params, claimedActor, status, at })),
     endpoints: {
       info: "/",
+      quality: "/info/quality?class={issue classes}&severity={reject|flag}",
       health: "/health",
-      refresh: "/refresh?lang={en|it|de}",
-      refreshReset: "/refresh?lang={en|it|de}&reset=true",
-      tiles: "/tiles/{lang}/{z}/{x}/{y}.pbf"
+      refresh: "POST /refresh (admin)",
+      refreshReset: "POST /refresh?reset=true (admin)",
+      refreshDelta: "POST /refresh?mode=delta (admin), changed items only: deletions come with the next full refresh",
+      purge: "POST /purge[?cursor=...] (admin, one batch per call)",
+      rollback: "POST /datasets?action=rollback[&version={version}] (admin)",
+      publish: "POST /datasets?action=publish (admin, publishes a held-back refresh)",
+      tiles: "/tiles/{lang}/{z}/{x}/{y}.pbf",
+      tileJson: "/tiles/{lang}/tiles.json",
+      style: "/style/{lang}.json",
+      features: "/features?lang={lang}&bbox={w,s,e,n}&type=&subtype=&active=&pagenumber=&pagesize=",
+      feature: "/features/{id}?lang={lang}",
+      export: "/export.{csv|kml|ndjson}?lang={lang} (same filters as /features)",
+      pmtiles: "/pmtiles/{z}/{x}/{y}.mvt",
+      pmtilesTileJson: "/pmtiles/tiles.json"
     }
   }, null, 2), {
     headers: {
@@ -576,14 +2568,18 @@ export default {
           headers: {
             "Access-Control-Allow-Origin": "*",
             "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type",
+            "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Admin-Actor",
             "Access-Control-Max-Age": "86400"
           }
         });
       }
 
+      if (url.pathname === "/info/quality") {
+        return await handleQualityReport(request, env);
+      }
+      
       if (url.pathname === "/" || url.pathname === "/info") {
-        return handleInfo(env);
+        return await handleInfo(env);
       }
 
       if (url.pathname === "/health") {
@@ -593,11 +2589,41 @@ export default {
       }
 
       if (url.pathname === "/refresh") {
-        return handleBatchedRefresh(request, env);
+        const action = url.searchParams.get("reset") === "true" ? "reset" : "refresh";
+        return await handleAdminRequest(request, env, action, handleBatchedRefresh);
+      }
+
+      if (url.pathname === "/purge") {
+        return await handleAdminRequest(request, env, "purge", handlePurge);
+      }
+
+      if (url.pathname === "/datasets") {
+        const action = url.searchParams.get("action");
+        return await handleAdminRequest(request, env, DATASET_ACTIONS.includes(action) ? action : "datasets", handleDatasets);
+      }
+
+      if (/^\/tiles\/[a-z]{2,3}\/tiles\.json$/.test(url.pathname)) {
+        return await handleTileJson(request, env);
+      }
+
+      if (url.pathname.startsWith("/style/")) {
+        return await handleStyle(request, env);
       }
 
       if (url.pathname.startsWith("/tiles/")) {
-        return handleTileRequest(request, env);
+        return await handleTileRequest(request, env, ctx);
+      }
+
+      if (url.pathname === "/features" || url.pathname.startsWith("/features/")) {
+        return await handleFeaturesRequest(request, env);
+      }
+
+      if (url.pathname.startsWith("/export.")) {
+        return await handleExportRequest(request, env);
+      }
+
+      if (url.pathname.startsWith("/pmtiles/")) {
+        return await handlePMTilesRequest(request, env);
       }
 
       return new Response("Not Found", { status: 404 });
@@ -606,5 +2632,9 @@ export default {
       console.error("Worker error:", error);
       return new Response(`Error: ${error.message}`, { status: 500 });
     }
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduledRefresh(event, env));
   }
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Local stand-in for the URBANGREEN_R2 bucket binding
+ *
+ * Serves files from a directory with the part of the R2 API the worker's
+ * /pmtiles routes use: get(key, { range, onlyIf }) and head(key).
+ * Lets the worker read a locally generated archive under Node:
+ *
+ *   import worker from './index.js';
+ *   import { createLocalBucket } from './local-bucket.mjs';
+ *
+ *   const env = { URBANGREEN_R2: createLocalBucket('.') };
+ *   const res = await worker.fetch(new Request('http://local/pmtiles/14/8732/5867.mvt'), env);
+ */
+
+import { open, stat } from 'fs/promises';
+import path from 'path';
+
+export function createLocalBucket(dir) {
+  async function head(key) {
+    let info;
+    try {
+      info = await stat(path.join(dir, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    // Changes whenever the file is rewritten, like an R2 etag on upload
+    const etag = `${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}`;
+    return {
+      key,
+      size: info.size,
+      etag,
+      httpEtag: `"${etag}"`,
+      uploaded: info.mtime,
+      httpMetadata: {}
+    };
+  }
+
+  async function get(key, options = {}) {
+    const object = await head(key);
+    if (!object) return null;
+
+    // R2 returns the object without a body when a condition fails
+    const etagMatches = options.onlyIf?.etagMatches;
+    if (etagMatches && etagMatches !== object.etag) return object;
+
+    const offset = options.range?.offset ?? 0;
+    const length = Math.min(options.range?.length ?? object.size, object.size - offset);
+    const bytes = new Uint8Array(Math.max(length, 0));
+
+    const file = await open(path.join(dir, key));
+    try {
+      await file.read(bytes, 0, bytes.length, offset);
+    } finally {
+      await file.close();
+    }
+
+    return {
+      ...object,
+      range: { offset, length: bytes.length },
+      body: bytes,
+      arrayBuffer: async () => bytes.buffer
+    };
+  }
+
+  return { get, head };
+}
@@ -0,0 +1,396 @@
+/**
+ * UrbanGreen PMTiles v3 Writer
+ *
+ * Builds a PMTiles archive from a GeoJSON FeatureCollection with the same
+ * geojson-vt / vt-pbf stack the tile worker uses. No native binaries needed.
+ *
+ * Archive layout: header (127 bytes) | root directory | metadata |
+ * leaf directories | tile data. Spec: https://github.com/protomaps/PMTiles
+ */
+
+import geojsonvt from "geojson-vt";
+import vtpbf from "vt-pbf";
+import { eachPosition } from "../shared/wkt.js";
+
+const HEADER_SIZE = 127;
+const ROOT_DIR_MAX_BYTES = 16384 - HEADER_SIZE;  // Header + root must fit in the first 16KB
+
+const COMPRESSION = { none: 1, gzip: 2 };
+const TILE_TYPE_MVT = 1;
+
+const DEFAULTS = {
+  layerName: "urbangreen",
+  minZoom: 10,
+  maxZoom: 16,
+  compression: "gzip",
+  tileOptions: {
+    tolerance: 3,
+    extent: 4096,
+    buffer: 64,
+    debug: 0,
+    indexMaxZoom: 5,
+    indexMaxPoints: 100000,
+  },
+  metadata: {},
+};
+
+// ========================================
+// TILE IDS (Hilbert curve)
+// ========================================
+
+function rotate(n, xy, rx, ry) {
+  if (ry === 0) {
+    if (rx === 1) {
+      xy[0] = n - 1 - xy[0];
+      xy[1] = n - 1 - xy[1];
+    }
+    const t = xy[0];
+    xy[0] = xy[1];
+    xy[1] = t;
+  }
+}
+
+export function zxyToTileId(z, x, y) {
+  if (z > 26) throw new Error("Zoom levels above 26 exceed safe integer tile ids");
+  const n = 2 ** z;
+  if (x < 0 || y < 0 || x >= n || y >= n) throw new Error(`Tile ${z}/${x}/${y} outside zoom bounds`);
+
+  // Tiles of all lower zoom levels come first
+  let id = (4 ** z - 1) / 3;
+  const xy = [x, y];
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (xy[0] & s) > 0 ? 1 : 0;
+    const ry = (xy[1] & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+    rotate(s, xy, rx, ry);
+  }
+  return id;
+}
+
+// ========================================
+// BINARY HELPERS
+// ========================================
+
+function writeVarint(bytes, value) {
+  // Tile ids go beyond 2^32, so no bitwise ops here
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+async function compress(bytes, compression) {
+  if (compression === "none") return bytes;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Tile bytes as a string key, one character per byte: a Map key for
+// deduplication without the crypto global, which Node 18 lacks
+function contentKey(bytes) {
+  let key = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    key += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return key;
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+// ========================================
+// DIRECTORIES
+// ========================================
+
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+
+  let lastId = 0;
+  for (const e of entries) {
+    writeVarint(bytes, e.tileId - lastId);
+    lastId = e.tileId;
+  }
+  for (const e of entries) writeVarint(bytes, e.runLength);
+  for (const e of entries) writeVarint(bytes, e.length);
+
+  for (let i = 0; i < entries.length; i++) {
+    const prev = entries[i - 1];
+    // 0 means "directly after the previous entry"
+    if (prev && entries[i].offset === prev.offset + prev.length) {
+      writeVarint(bytes, 0);
+    } else {
+      writeVarint(bytes, entries[i].offset + 1);
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Split entries into leaf directories until the root directory fits in the
+ * first 16KB, growing the leaf size the same way go-pmtiles does.
+ */
+async function buildDirectories(entries, compression) {
+  const root = await compress(serializeDirectory(entries), compression);
+  if (root.length <= ROOT_DIR_MAX_BYTES) {
+    return { root, leaves: new Uint8Array(0) };
+  }
+
+  let leafSize = Math.max(4096, Math.ceil(entries.length / 3500));
+  while (true) {
+    const rootEntries = [];
+    const leafParts = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = await compress(serializeDirectory(entries.slice(i, i + leafSize)), compression);
+      // runLength 0 marks a pointer to a leaf directory
+      rootEntries.push({ tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0 });
+      leafParts.push(leaf);
+      offset += leaf.length;
+    }
+
+    const candidate = await compress(serializeDirectory(rootEntries), compression);
+    if (candidate.length <= ROOT_DIR_MAX_BYTES) {
+      return { root: candidate, leaves: concatBytes(leafParts) };
+    }
+    leafSize = Math.ceil(leafSize * 1.2);
+  }
+}
+
+// ========================================
+// HEADER
+// ========================================
+
+function serializeHeader(h) {
+  const buffer = new ArrayBuffer(HEADER_SIZE);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  bytes.set([0x50, 0x4d, 0x54, 0x69, 0x6c, 0x65, 0x73], 0);  // "PMTiles"
+  view.setUint8(7, 3);
+
+  const u64 = [
+    h.rootOffset, h.rootLength,
+    h.metadataOffset, h.metadataLength,
+    h.leafOffset, h.leafLength,
+    h.tileDataOffset, h.tileDataLength,
+    h.addressedTiles, h.tileEntries, h.tileContents,
+  ];
+  u64.forEach((value, i) => view.setBigUint64(8 + i * 8, BigInt(value), true));
+
+  view.setUint8(96, 1);  // Clustered: tile data is ordered by tile id
+  view.setUint8(97, h.internalCompression);
+  view.setUint8(98, h.tileCompression);
+  view.setUint8(99, TILE_TYPE_MVT);
+  view.setUint8(100, h.minZoom);
+  view.setUint8(101, h.maxZoom);
+  view.setInt32(102, Math.round(h.bounds.west * 1e7), true);
+  view.setInt32(106, Math.round(h.bounds.south * 1e7), true);
+  view.setInt32(110, Math.round(h.bounds.east * 1e7), true);
+  view.setInt32(114, Math.round(h.bounds.north * 1e7), true);
+  view.setUint8(118, h.centerZoom);
+  view.setInt32(119, Math.round(h.center[0] * 1e7), true);
+  view.setInt32(123, Math.round(h.center[1] * 1e7), true);
+
+  return bytes;
+}
+
+// ========================================
+// GEOJSON -> TILES
+// ========================================
+
+export function computeBounds(features) {
+  const b = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  for (const f of features) {
+    if (!f?.geometry) continue;
+    eachPosition(f.geometry, ([lng, lat]) => {
+      if (lng < b.west) b.west = lng;
+      if (lng > b.east) b.east = lng;
+      if (lat < b.south) b.south = lat;
+      if (lat > b.north) b.north = lat;
+    });
+  }
+  return b.west === Infinity ? null : b;
+}
+
+function lngLatToTile(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const latRad = lat * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1)
+  };
+}
+
+// MapLibre-style field list for a vector_layers entry (also used by the
+// worker's tiles.json)
+export function collectFields(features) {
+  const fields = {};
+  for (const f of features) {
+    for (const [key, value] of Object.entries(f.properties || {})) {
+      if (fields[key]) continue;
+      if (typeof value === "number") fields[key] = "Number";
+      else if (typeof value === "boolean") fields[key] = "Boolean";
+      else fields[key] = "String";
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build a PMTiles v3 archive.
+ *
+ * @param {Object} geojson - FeatureCollection
+ * @param {Object} [options] - layerName, minZoom, maxZoom, compression
+ *   ("gzip" | "none"), tileOptions (geojson-vt), metadata (merged into the
+ *   archive JSON metadata), onProgress(zoom, tilesWritten, bytes),
+ *   featuresForZoom(features, zoom) (the features to tile at each zoom,
+ *   e.g. the shared tile rules; all of them at every zoom when unset)
+ * @returns {Promise<{archive: Uint8Array, stats: Object}>}
+ */
+export async function writePMTiles(geojson, options = {}) {
+  const opts = {
+    ...DEFAULTS,
+    ...options,
+    tileOptions: { ...DEFAULTS.tileOptions, ...options.tileOptions },
+  };
+  const compression = COMPRESSION[opts.compression];
+  if (!compression) throw new Error(`Unsupported compression: ${opts.compression}`);
+
+  const features = geojson?.features || [];
+  const bounds = computeBounds(features);
+
+  if (!bounds) {
+    throw new Error("No features with coordinates to tile");
+  }
+
+  const tileOptions = { ...opts.tileOptions, maxZoom: opts.maxZoom };
+  const fields = collectFields(features);
+  let index = opts.featuresForZoom ? null : geojsonvt(geojson, tileOptions);
+
+  // Tiles in tile id order; identical tiles share one copy of the data
+  const tiles = [];
+  for (let z = opts.minZoom; z <= opts.maxZoom; z++) {
+    const min = lngLatToTile(bounds.west, bounds.north, z);
+    const max = lngLatToTile(bounds.east, bounds.south, z);
+    let written = 0;
+    let bytes = 0;
+
+    if (opts.featuresForZoom) {
+      const zoomFeatures = opts.featuresForZoom(features, z);
+      for (const [key, type] of Object.entries(collectFields(zoomFeatures))) fields[key] ??= type;
+      index = geojsonvt({ type: "FeatureCollection", features: zoomFeatures }, tileOptions);
+    }
+
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        const tile = index.getTile(z, x, y);
+        if (!tile || tile.features.length === 0) continue;
+
+        const pbf = vtpbf.fromGeojsonVt({ [opts.layerName]: tile });
+        const data = await compress(pbf, opts.compression);
+        tiles.push({ tileId: zxyToTileId(z, x, y), data });
+        written++;
+        bytes += data.length;
+      }
+    }
+
+    opts.onProgress?.(z, written, bytes);
+  }
+  tiles.sort((a, b) => a.tileId - b.tileId);
+
+  const entries = [];
+  const tileParts = [];
+  const offsetsByContent = new Map();
+  let tileDataLength = 0;
+
+  for (const tile of tiles) {
+    const key = contentKey(tile.data);
+    let offset = offsetsByContent.get(key);
+
+    if (offset === undefined) {
+      offset = tileDataLength;
+      offsetsByContent.set(key, offset);
+      tileParts.push(tile.data);
+      tileDataLength += tile.data.length;
+    }
+
+    const last = entries[entries.length - 1];
+    if (last && last.offset === offset && last.tileId + last.runLength === tile.tileId) {
+      last.runLength++;
+    } else {
+      entries.push({ tileId: tile.tileId, offset, length: tile.data.length, runLength: 1 });
+    }
+  }
+
+  const center = [(bounds.west + bounds.east) / 2, (bounds.south + bounds.north) / 2];
+  const metadata = {
+    name: opts.layerName,
+    format: "pbf",
+    type: "overlay",
+    generator: "urbangreen pmtiles-writer",
+    ...opts.metadata,
+    vector_layers: [{
+      id: opts.layerName,
+      fields,
+      minzoom: opts.minZoom,
+      maxzoom: opts.maxZoom,
+    }],
+  };
+
+  const { root, leaves } = await buildDirectories(entries, opts.compression);
+  const metadataBytes = await compress(new TextEncoder().encode(JSON.stringify(metadata)), opts.compression);
+
+  const rootOffset = HEADER_SIZE;
+  const metadataOffset = rootOffset + root.length;
+  const leafOffset = metadataOffset + metadataBytes.length;
+  const tileDataOffset = leafOffset + leaves.length;
+
+  const header = serializeHeader({
+    rootOffset,
+    rootLength: root.length,
+    metadataOffset,
+    metadataLength: metadataBytes.length,
+    leafOffset,
+    leafLength: leaves.length,
+    tileDataOffset,
+    tileDataLength,
+    addressedTiles: tiles.length,
+    tileEntries: entries.length,
+    tileContents: offsetsByContent.size,
+    internalCompression: compression,
+    tileCompression: compression,
+    minZoom: opts.minZoom,
+    maxZoom: opts.maxZoom,
+    bounds,
+    centerZoom: opts.minZoom,
+    center,
+  });
+
+  const archive = concatBytes([header, root, metadataBytes, leaves, ...tileParts]);
+
+  return {
+    archive,
+    stats: {
+      addressedTiles: tiles.length,
+      tileEntries: entries.length,
+      tileContents: offsetsByContent.size,
+      leafDirectoryBytes: leaves.length,
+      bytes: archive.length,
+      bounds,
+    },
+  };
+}
@@ -1,7 +1,18 @@
 # UrbanGreen Auto-Refresh Script
 # Automatically loads all 226k items in batches
 
-$url = "https://urbangreen-tiles.urbangreen1.workers.dev/refresh?lang=en"
+$url = "https://urbangreen-tiles.urbangreen1.workers.dev/refresh"
+
+# /refresh is an admin endpoint: set $env:URBANGREEN_ADMIN_TOKEN to the
+# worker's ADMIN_TOKEN secret before running this script
+if (-not $env:URBANGREEN_ADMIN_TOKEN) {
+    Write-Host "URBANGREEN_ADMIN_TOKEN is not set" -ForegroundColor Red
+    exit 1
+}
+$headers = @{
+    "Authorization" = "Bearer $($env:URBANGREEN_ADMIN_TOKEN)"
+    "X-Admin-Actor" = "refresh-en.ps1 ($env:USERNAME)"
+}
 
 Write-Host ""
 Write-Host "========================================" -ForegroundColor Green
@@ -14,18 +25,23 @@ Write-Host ""
 
 $maxBatches = 15
 $batchNum = 0
+$batchTotal = "?"  # Known after the first batch
 
 for ($i = 1; $i -le $maxBatches; $i++) {
     $batchNum++
     Write-Host "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━" -ForegroundColor DarkGray
-    Write-Host "Batch $batchNum of ~12..." -ForegroundColor Cyan
+    Write-Host "Batch $batchNum of $batchTotal..." -ForegroundColor Cyan
     Write-Host ""
     
     try {
-        $response = Invoke-RestMethod -Uri $url -Method Get
+        $response = Invoke-RestMethod -Uri $url -Method Post -Headers $headers
         
         if ($response.success) {
             $progress = $response.progress
+            # 100 pages per batch, page count from the ODH TotalResults
+            if ($progress.totalPages) {
+                $batchTotal = [math]::Ceiling($progress.totalPages / 100)
+            }
             
             # Display progress
             Write-Host "  ✓ " -NoNewline -ForegroundColor Green
@@ -40,6 +56,10 @@ for ($i = 1; $i -le $maxBatches; $i++) {
             Write-Host "Status: " -NoNewline
             Write-Host "$($response.message)" -ForegroundColor Yellow
             
+            if ($response.warning) {
+                Write-Host "  ⚠ $($response.warning)" -ForegroundColor Yellow
+            }
+            
             # Show last batch details if available
             if ($progress.lastBatch) {
                 Write-Host "  → Pages $($progress.lastBatch.pages): $($progress.lastBatch.features) features in $($progress.lastBatch.elapsed)ms" -ForegroundColor DarkGray
@@ -65,6 +85,13 @@ for ($i = 1; $i -le $maxBatches; $i++) {
             break
         }
     } catch {
+        # 422: loaded, but the new dataset was held back and the old one stays live
+        $errorBody = $_.ErrorDetails.Message | ConvertFrom-Json -ErrorAction SilentlyContinue
+        if ($errorBody.progress.heldBack) {
+            Write-Host "  ✗ $($errorBody.error)" -ForegroundColor Red
+            Write-Host "  → $($errorBody.progress.instruction)" -ForegroundColor Yellow
+            break
+        }
         Write-Host "  ✗ Request failed: $_" -ForegroundColor Red
         Write-Host "  Retrying in 3 seconds..." -ForegroundColor Yellow
         Start-Sleep -Seconds 3
@@ -90,17 +117,18 @@ Write-Host "Checking final status..." -ForegroundColor Cyan
 try {
     $status = Invoke-RestMethod -Uri "https://urbangreen-tiles.urbangreen1.workers.dev/" -Method Get
     
-    if ($status.metadata -and $status.metadata.en) {
-        $meta = $status.metadata.en
+    if ($status.metadata) {
+        $meta = $status.metadata
         Write-Host ""
         Write-Host "Final Statistics:" -ForegroundColor Yellow
         Write-Host "  Total Features: $($meta.totalFeatures.ToString('N0'))" -ForegroundColor White
         Write-Host "  Last Refresh: $($meta.lastRefresh)" -ForegroundColor White
         Write-Host "  Version: $($meta.version)" -ForegroundColor White
+        Write-Host "  Languages: $($meta.languages -join ', ')" -ForegroundColor White
     }
     
-    if ($status.progress -and $status.progress.en) {
-        $prog = $status.progress.en
+    if ($status.progress) {
+        $prog = $status.progress
         if ($prog.isComplete) {
             Write-Host ""
             Write-Host "✓ Data loading confirmed complete!" -ForegroundColor Green
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadFixtures } from "../../scripts/odh-standin/standin.mjs";
+import { createTestEnv, request, adminRequest, tileFor, quietConsole, FIXTURES_DIR } from "./helpers.js";
+
+const refresh = (env, query = "") => adminRequest(env, `/refresh${query}`);
+const datasets = (env, query) => adminRequest(env, `/datasets${query}`);
+const info = async (env) => (await request(env, "/info")).json();
+
+// Keys of one dataset version ("en" for the English dataset from before the multilingual ingest)
+function datasetKeys(env, version) {
+  const prefix = `urbangreen:data:v2:${version}:`;
+  return [...env.URBANGREEN_KV.store.keys()].filter((key) =>
+    key.startsWith(prefix) && /^(type|manifest)/.test(key.slice(prefix.length))
+  );
+}
+
+describe("dataset versions", () => {
+  let env;
+  let odh;
+  let items;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    items = loadFixtures(FIXTURES_DIR);
+    ({ env, odh, restore } = createTestEnv({ items }));
+  });
+
+  afterEach(() => restore());
+
+  it("keeps serving the live version while a reset refresh loads", async () => {
+    await refresh(env);
+    const live = await info(env);
+    const { Latitude, Longitude } = items[0].Geo.position;
+    const tilePath = (({ z, x, y }) => `/tiles/en/${z}/${x}/${y}.pbf`)(tileFor(Longitude, Latitude, 12));
+    const before = await request(env, tilePath);
+
+    // The new build stops after page 1 of 2
+    odh.setFaults({ errorPages: [2] });
+    assert.equal((await refresh(env, "?reset=true")).status, 502);
+
+    const during = await info(env);
+    assert.equal(during.metadata.lastRefresh, live.metadata.lastRefresh);
+    assert.equal(during.storage.totalFeatures, 225);
+    assert.equal(during.datasets.live, live.datasets.live);
+    assert.ok(during.datasets.building);
+    assert.notEqual(during.datasets.building, live.datasets.live);
+    const tile = await request(env, tilePath);
+    assert.equal(tile.headers.get("X-Tile-Features"), before.headers.get("X-Tile-Features"));
+    assert.equal(tile.headers.get("ETag"), before.headers.get("ETag"));
+
+    odh.setFaults({});
+    await refresh(env);
+    const after = await info(env);
+    assert.equal(after.datasets.live, during.datasets.building);
+    assert.equal(after.datasets.building, null);
+    assert.deepEqual(after.datasets.versions.map((v) => v.version), [after.datasets.live, live.datasets.live]);
+  });
+
+  it("holds back a build much smaller than the live dataset", async () => {
+    await refresh(env);
+    const live = (await info(env)).datasets.live;
+
+    items.splice(0, 150);
+    const response = await refresh(env, "?reset=true");
+    const body = await response.json();
+
+    assert.equal(response.status, 422);
+    assert.match(body.error, /75 features, the live dataset has 225/);
+    const held = await info(env);
+    assert.equal(held.datasets.live, live);
+    assert.equal(held.metadata.totalFeatures, 225);
+    assert.equal(held.datasets.building, body.progress.version);
+
+    const published = await (await datasets(env, "?action=publish")).json();
+    assert.equal(published.live, body.progress.version);
+    assert.equal(published.totalFeatures, 75);
+    assert.equal((await info(env)).progress.heldBack, undefined);
+    assert.equal((await datasets(env, "?action=publish")).status, 409);
+  });
+
+  it("rolls back to the previous version and forward again", async () => {
+    await refresh(env);
+    const first = (await info(env)).metadata;
+    items.splice(0, 25);
+    await refresh(env, "?reset=true");
+    const second = (await info(env)).metadata;
+    assert.equal(second.totalFeatures, 200);
+
+    const back = await datasets(env, "?action=rollback");
+    assert.equal(back.status, 200);
+    const rolledBack = (await info(env)).metadata;
+    assert.equal(rolledBack.datasetVersion, first.datasetVersion);
+    assert.equal(rolledBack.lastRefresh, first.lastRefresh);
+    assert.equal(rolledBack.totalFeatures, 225);
+    assert.equal((await info(env)).storage.totalFeatures, 225);
+
+    const forward = await (await datasets(env, `?action=rollback&version=${second.datasetVersion}`)).json();
+    assert.equal(forward.live, second.datasetVersion);
+    assert.equal(forward.totalFeatures, 200);
+
+    assert.equal((await datasets(env, "?action=rollback&version=nope")).status, 409);
+    assert.equal((await datasets(env, "?action=delete")).status, 400);
+
+    const audit = (await info(env)).adminActions.map((a) => a.action);
+    assert.deepEqual(audit.slice(0, 4), ["datasets", "rollback", "rollback", "rollback"]);
+  });
+
+  it("keeps KEEP_VERSIONS versions and deletes older ones", async () => {
+    const versions = [];
+    for (let run = 0; run < 4; run++) {
+      await refresh(env, "?reset=true");
+      versions.push((await info(env)).datasets.live);
+    }
+
+    const kept = (await info(env)).datasets.versions.map((v) => v.version);
+    assert.deepEqual(kept, versions.slice(1).reverse());
+    assert.deepEqual(datasetKeys(env, versions[0]), []);
+    for (const version of kept) assert.ok(datasetKeys(env, version).length > 0);
+  });
+
+  it("discards an unpublished build when reset again", async () => {
+    await refresh(env);
+    odh.setFaults({ errorPages: [2] });
+    const abandoned = (await (await refresh(env, "?reset=true")).json()).progress.version;
+    assert.ok(datasetKeys(env, abandoned).length > 0);
+
+    await refresh(env, "?reset=true");
+    assert.deepEqual(datasetKeys(env, abandoned), []);
+  });
+
+  it("serves the English dataset loaded per language until a multilingual one is published", async () => {
+    await refresh(env);
+
+    // Rewrite the stored dataset into the per-language layout: unversioned, English titles only
+    const kv = env.URBANGREEN_KV;
+    const { datasetVersion, languages, ...legacyMetadata } = JSON.parse(await kv.get("urbangreen:metadata:v2"));
+    for (const key of datasetKeys(env, datasetVersion)) {
+      await kv.put(key.replace(`:${datasetVersion}:`, ":en:"), await kv.get(key));
+      await kv.delete(key);
+    }
+    await kv.put("urbangreen:metadata:v2:en", JSON.stringify(legacyMetadata));
+    for (const key of ["urbangreen:metadata:v2", "urbangreen:versions:v2", "urbangreen:progress:v2"]) {
+      await kv.delete(key);
+    }
+
+    const legacy = await info(env);
+    assert.equal(legacy.datasets.live, "en");
+    assert.equal(legacy.storage.totalFeatures, 225);
+    const { Latitude, Longitude } = items[0].Geo.position;
+    const { z, x, y } = tileFor(Longitude, Latitude, 12);
+    assert.equal((await request(env, `/tiles/it/${z}/${x}/${y}.pbf`)).status, 200);
+
+    items.splice(0, 25);
+    await refresh(env);
+    const { datasets: migrated } = await info(env);
+    assert.deepEqual(migrated.versions.map((v) => v.version), [migrated.live, "en"]);
+    assert.ok(datasetKeys(env, "en").length > 0);
+
+    const back = await (await datasets(env, "?action=rollback&version=en")).json();
+    assert.equal(back.live, "en");
+    assert.equal((await info(env)).storage.totalFeatures, 225);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestEnv, request, refreshUntilComplete, odhItem, quietConsole } from "./helpers.js";
+
+// Titles with the characters CSV and KML have to escape
+const ITEMS = [
+  odhItem("park", {
+    type: 1,
+    code: "S101000",
+    wkt: "POLYGON ((11.8801 45.4001, 11.8809 45.4001, 11.8809 45.4007, 11.8801 45.4001))",
+    title: "Park & Garden <north>"
+  }),
+  odhItem("hedge", { type: 1, code: "S102000", wkt: "LINESTRING (11.8802 45.4002, 11.8808 45.4006)" }),
+  odhItem("bench", {
+    type: 2,
+    code: "S213000",
+    wkt: "POINT (11.8805 45.4004)",
+    active: false,
+    title: "Bench \"Nord\", by the pond"
+  })
+];
+
+// Rows of a CSV response; text() would drop the byte order mark
+async function csvRows(response) {
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  assert.deepEqual([...bytes.slice(0, 3)], [0xef, 0xbb, 0xbf]);
+  return new TextDecoder().decode(bytes).trimEnd().split("\r\n");
+}
+
+describe("GET /export.{format}", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("asks for a refresh when nothing is stored", async () => {
+    const response = await request(env, "/export.csv");
+    assert.equal(response.status, 404);
+    assert.match(await response.text(), /run \/refresh first/);
+  });
+
+  it("rejects unsupported formats, languages and filters", async () => {
+    await refreshUntilComplete(env);
+
+    const response = await request(env, "/export.xlsx");
+    assert.equal(response.status, 400);
+    assert.equal(await response.text(), "Unsupported export format, use /export.csv, /export.kml, /export.ndjson");
+
+    for (const query of ["lang=e1", "bbox=1,2", "active=1"]) {
+      assert.equal((await request(env, `/export.csv?${query}`)).status, 400, query);
+    }
+  });
+
+  it("exports CSV with a WKT column and escaped fields", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/export.csv");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "text/csv; charset=utf-8");
+    assert.match(response.headers.get("Content-Disposition"), /^attachment; filename="urbangreen-en-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(response.headers.get("X-Export-Features"), "3");
+
+    const [header, ...rows] = await csvRows(response);
+    assert.equal(header, "id,type,subtype,code,active,title,title_en,wkt");
+    assert.deepEqual(rows, [
+      "bench,2,13,S213000,false,\"Bench \"\"Nord\"\", by the pond\",\"Bench \"\"Nord\"\", by the pond\",POINT (11.8805 45.4004)",
+      "hedge,1,02,S102000,true,Item hedge,Item hedge,\"LINESTRING (11.8802 45.4002, 11.8808 45.4006)\"",
+      "park,1,01,S101000,true,Park & Garden <north>,Park & Garden <north>," +
+        "\"POLYGON ((11.8801 45.4001, 11.8809 45.4001, 11.8809 45.4007, 11.8801 45.4001))\""
+    ]);
+  });
+
+  it("exports KML placemarks styled by type", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/export.kml");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "application/vnd.google-earth.kml+xml; charset=utf-8");
+
+    const kml = await response.text();
+    assert.ok(kml.startsWith("<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<kml xmlns=\"http://www.opengis.net/kml/2.2\">"));
+    assert.ok(kml.endsWith("</Document>\n</kml>\n"));
+    assert.equal(kml.match(/<Placemark>/g).length, 3);
+
+    const park = kml.split("\n").find((line) => line.includes("<Data name=\"id\"><value>park</value></Data>"));
+    assert.ok(park.startsWith("<Placemark><name>Park &amp; Garden &lt;north&gt;</name><styleUrl>#type-1</styleUrl>"));
+    assert.ok(park.includes("<outerBoundaryIs><LinearRing><coordinates>11.8801,45.4001 11.8809,45.4001"));
+
+    const bench = kml.split("\n").find((line) => line.includes("<value>bench</value>"));
+    assert.ok(bench.includes("<styleUrl>#type-2</styleUrl>"));
+    assert.ok(bench.includes("<Data name=\"active\"><value>false</value></Data>"));
+    assert.ok(bench.includes("<Point><coordinates>11.8805,45.4004</coordinates></Point>"));
+  });
+
+  it("exports one GeoJSON feature per NDJSON line", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/export.ndjson");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "application/x-ndjson; charset=utf-8");
+
+    const lines = (await response.text()).trimEnd().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((f) => f.properties.id), ["bench", "hedge", "park"]);
+    assert.deepEqual(lines[1], {
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: [[11.8802, 45.4002], [11.8808, 45.4006]] },
+      properties: { id: "hedge", type: "1", subtype: "02", code: "S102000", active: true, title: "Item hedge", title_en: "Item hedge" }
+    });
+  });
+
+  it("exports the features matching the /features filters", async () => {
+    await refreshUntilComplete(env);
+
+    const response = await request(env, "/export.ndjson?type=1&bbox=11.8801,45.4001,11.8803,45.4003");
+    assert.equal(response.headers.get("X-Export-Features"), "2");
+    const ids = (await response.text()).trimEnd().split("\n").map((line) => JSON.parse(line).properties.id);
+    assert.deepEqual(ids, ["hedge", "park"]);
+
+    const inactive = await request(env, "/export.csv?active=false");
+    assert.equal(inactive.headers.get("X-Export-Features"), "1");
+    assert.equal((await csvRows(inactive)).length, 2);
+  });
+});
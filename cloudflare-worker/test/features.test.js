@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestEnv, request, refreshUntilComplete, odhItem, quietConsole } from "./helpers.js";
+
+// Three features near the Padova center and two about 6 km east
+const ITEMS = [
+  odhItem("park", {
+    type: 1,
+    code: "S101000",
+    wkt: "POLYGON ((11.8801 45.4001, 11.8809 45.4001, 11.8809 45.4007, 11.8801 45.4007, 11.8801 45.4001))"
+  }),
+  odhItem("hedge", { type: 1, code: "S102000", wkt: "LINESTRING (11.8802 45.4002, 11.8808 45.4006)" }),
+  odhItem("bench", { type: 2, code: "S213000", wkt: "POINT (11.8805 45.4004)", active: false }),
+  odhItem("oak", { type: 1, code: "S101000", wkt: "POINT (11.95 45.43)" }),
+  odhItem("bin", { type: 2, code: "S214000", wkt: "POINT (11.9502 45.4302)" })
+];
+
+const CENTER_BBOX = "11.88,45.40,11.881,45.401";
+
+async function featureIds(env, query) {
+  const response = await request(env, `/features?${query}`);
+  assert.equal(response.status, 200, query);
+  return (await response.json()).features.map((f) => f.properties.id);
+}
+
+describe("GET /features", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("asks for a refresh when nothing is stored", async () => {
+    const response = await request(env, "/features");
+    assert.equal(response.status, 404);
+    assert.match(await response.text(), /run \/refresh first/);
+  });
+
+  it("returns every stored feature ordered by id", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/features");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "application/geo+json");
+
+    const body = await response.json();
+    assert.equal(body.type, "FeatureCollection");
+    assert.equal(body.totalResults, 5);
+    assert.equal(body.totalPages, 1);
+    assert.equal(body.nextPage, null);
+    assert.deepEqual(body.features.map((f) => f.properties.id), ["bench", "bin", "hedge", "oak", "park"]);
+
+    const bench = body.features[0];
+    assert.deepEqual(bench.geometry, { type: "Point", coordinates: [11.8805, 45.4004] });
+    assert.equal(bench.properties.title, "Item bench");
+    assert.equal(bench.properties.active, false);
+  });
+
+  it("keeps the features that intersect the bbox", async () => {
+    await refreshUntilComplete(env);
+
+    assert.deepEqual(await featureIds(env, `bbox=${CENTER_BBOX}`), ["bench", "hedge", "park"]);
+    assert.deepEqual(await featureIds(env, "bbox=11.9499,45.4299,11.9501,45.4301"), ["oak"]);
+    assert.deepEqual(await featureIds(env, "bbox=12.5,41.8,12.6,41.9"), []);
+  });
+
+  it("filters by type, subtype and active", async () => {
+    await refreshUntilComplete(env);
+
+    assert.deepEqual(await featureIds(env, "type=2"), ["bench", "bin"]);
+    assert.deepEqual(await featureIds(env, "type=1&subtype=02"), ["hedge"]);
+    assert.deepEqual(await featureIds(env, "subtype=13,14"), ["bench", "bin"]);
+    assert.deepEqual(await featureIds(env, "active=false"), ["bench"]);
+    assert.deepEqual(await featureIds(env, `type=1&bbox=${CENTER_BBOX}`), ["hedge", "park"]);
+  });
+
+  it("pages the results and links the next page", async () => {
+    await refreshUntilComplete(env);
+
+    const first = await (await request(env, "/features?pagesize=2")).json();
+    assert.equal(first.totalResults, 5);
+    assert.equal(first.totalPages, 3);
+    assert.deepEqual(first.features.map((f) => f.properties.id), ["bench", "bin"]);
+    assert.equal(first.nextPage, "https://worker.test/features?pagesize=2&pagenumber=2");
+
+    const last = await (await request(env, "/features?pagesize=2&pagenumber=3")).json();
+    assert.deepEqual(last.features.map((f) => f.properties.id), ["park"]);
+    assert.equal(last.nextPage, null);
+  });
+
+  it("rejects invalid filters and paging", async () => {
+    await refreshUntilComplete(env);
+
+    for (const query of ["bbox=1,2,3", "bbox=12,45,11,46", "active=yes", "pagesize=0", "pagesize=1001", "pagenumber=x", "lang=e1"]) {
+      assert.equal((await request(env, `/features?${query}`)).status, 400, query);
+    }
+  });
+});
+
+describe("GET /features/{id}", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("returns one feature with its names", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/features/hedge");
+
+    assert.equal(response.status, 200);
+    const feature = await response.json();
+    assert.equal(feature.type, "Feature");
+    assert.equal(feature.geometry.type, "LineString");
+    assert.equal(feature.properties.id, "hedge");
+    assert.equal(feature.properties.code, "S102000");
+    assert.equal(feature.properties.title, "Item hedge");
+    assert.equal(feature.properties.name_en, "Item hedge");
+  });
+
+  it("answers 404 for an unknown id", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/features/maple");
+
+    assert.equal(response.status, 404);
+    assert.equal(await response.text(), "Feature not found: maple");
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Test harness for the worker: an in-memory KV namespace, the ODH stand-in
+ * (scripts/odh-standin) as the global fetch, and small request helpers.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import Pbf from "pbf";
+import { VectorTile } from "@mapbox/vector-tile";
+import worker from "../index.js";
+import { loadFixtures, createStandin } from "../../scripts/odh-standin/standin.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+export const ADMIN_TOKEN = "test-admin-token";
+export const FIXTURES_DIR = path.join(here, "../../scripts/odh-standin/fixtures");
+
+/**
+ * KV namespace kept in a Map. Supports the calls the worker makes: get with
+ * a type, getWithMetadata, put with metadata, delete and paged prefix list.
+ */
+export function createKV() {
+  const store = new Map();
+
+  const read = (entry, options) => {
+    const type = typeof options === "string" ? options : options?.type || "text";
+    const { value } = entry;
+    if (type === "arrayBuffer") {
+      return typeof value === "string" ? new TextEncoder().encode(value).buffer : value.slice(0);
+    }
+    const text = typeof value === "string" ? value : new TextDecoder().decode(value);
+    return type === "json" ? JSON.parse(text) : text;
+  };
+
+  return {
+    store,
+    async get(key, options) {
+      const entry = store.get(key);
+      return entry ? read(entry, options) : null;
+    },
+    async getWithMetadata(key, options) {
+      const entry = store.get(key);
+      return entry
+        ? { value: read(entry, options), metadata: entry.metadata }
+        : { value: null, metadata: null };
+    },
+    async put(key, value, options = {}) {
+      let stored = value;
+      if (ArrayBuffer.isView(value)) {
+        stored = value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+      } else if (value instanceof ArrayBuffer) {
+        stored = value.slice(0);
+      }
+      store.set(key, { value: stored, metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    // Pages of `limit` keys; the cursor is the last key of the previous page
+    async list({ prefix = "", limit = 1000, cursor } = {}) {
+      const keys = [...store.keys()]
+        .filter((name) => name.startsWith(prefix) && (!cursor || name > cursor))
+        .sort();
+      const page = keys.slice(0, limit);
+      const complete = page.length === keys.length;
+      return { keys: page.map((name) => ({ name })), list_complete: complete, cursor: complete ? "" : page.at(-1) };
+    }
+  };
+}
+
+/**
+ * Worker environment backed by the ODH stand-in. The stand-in replaces
+ * globalThis.fetch until restore() is called.
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.items] - ODH items (default: the stand-in fixtures)
+ * @param {Object} [options.faults] - stand-in faults, see DEFAULT_FAULTS
+ * @param {boolean} [options.reduceDetail] - the stand-in keeps only the requested language's Detail
+ * @returns {{ env: Object, odh: Object, restore: Function }}
+ */
+export function createTestEnv({ items = loadFixtures(FIXTURES_DIR), faults, reduceDetail } = {}) {
+  const odh = createStandin({ items, faults, reduceDetail });
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = odh.fetch;
+
+  const env = {
+    URBANGREEN_KV: createKV(),
+    ADMIN_TOKEN,
+    ODH_API_BASE: "http://odh.test"
+  };
+
+  return { env, odh, restore: () => { globalThis.fetch = originalFetch; } };
+}
+
+// Execution context that keeps waitUntil promises so tests can await them
+export function createContext() {
+  const pending = [];
+  return {
+    pending,
+    waitUntil: (promise) => pending.push(promise),
+    passThroughOnException: () => {},
+    settle: () => Promise.all(pending.splice(0))
+  };
+}
+
+export function request(env, pathname, init = {}, ctx = createContext()) {
+  return worker.fetch(new Request(`https://worker.test${pathname}`, init), env, ctx);
+}
+
+export function adminRequest(env, pathname, init = {}) {
+  return request(env, pathname, {
+    method: "POST",
+    ...init,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...init.headers }
+  });
+}
+
+// POST /refresh until the refresh completes or `maxCalls` is reached
+export async function refreshUntilComplete(env, maxCalls = 10) {
+  let body;
+  for (let call = 0; call < maxCalls; call++) {
+    const response = await adminRequest(env, "/refresh");
+    body = await response.json();
+    if (body.progress?.isComplete) return body;
+  }
+  return body;
+}
+
+// Features of one layer of a PBF tile as { type, properties }, type being Point, LineString or Polygon
+export function decodeTile(buffer, layerName = "urbangreen") {
+  const tile = new VectorTile(new Pbf(new Uint8Array(buffer)));
+  const layer = tile.layers[layerName];
+  if (!layer) return [];
+
+  const features = [];
+  for (let i = 0; i < layer.length; i++) {
+    const feature = layer.feature(i);
+    features.push({
+      type: ["Unknown", "Point", "LineString", "Polygon"][feature.type],
+      properties: feature.properties
+    });
+  }
+  return features;
+}
+
+// Tile column and row containing a position
+export function tileFor(lng, lat, z) {
+  const n = 2 ** z;
+  const rad = (lat * Math.PI) / 180;
+  return {
+    z,
+    x: Math.floor(((lng + 180) / 360) * n),
+    y: Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n)
+  };
+}
+
+// An ODH UrbanGreen item as the API returns it, `titles` by language
+export function odhItem(id, { type = 1, code = `S${type}01000`, wkt, active = true, title = `Item ${id}`, titles = { en: title } } = {}) {
+  return {
+    Id: id,
+    Active: active,
+    GreenCode: code,
+    GreenCodeType: String(type),
+    GreenCodeSubtype: code.slice(2, 4),
+    LastChange: "2025-11-20T00:00:00",
+    Geo: { position: { Default: true, Geometry: wkt } },
+    Detail: Object.fromEntries(Object.entries(titles).map(([lang, text]) => [lang, { Title: text, Language: lang }]))
+  };
+}
+
+// Silence the worker's progress logging for test `t`
+export function quietConsole(t) {
+  for (const method of ["log", "warn", "error"]) {
+    t.mock.method(console, method, () => {});
+  }
+}
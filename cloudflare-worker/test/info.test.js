@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestEnv, request, adminRequest, quietConsole } from "./helpers.js";
+
+describe("GET /info", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv());
+  });
+
+  afterEach(() => restore());
+
+  it("describes an empty deployment", async () => {
+    const response = await request(env, "/info");
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "*");
+    assert.equal(body.status, "running");
+    assert.equal(body.metadata, null);
+    assert.equal(body.storage, null);
+    assert.equal(body.quality, null);
+    assert.deepEqual(body.adminActions, []);
+    assert.equal(body.progress.isComplete, false);
+    assert.deepEqual(body.languages.available, []);
+    assert.equal(body.endpoints.tiles, "/tiles/{lang}/{z}/{x}/{y}.pbf");
+  });
+
+  it("is also served at /", async () => {
+    const body = await (await request(env, "/")).json();
+    assert.equal(body.status, "running");
+  });
+
+  it("reports metadata, storage, quality and admin actions after a refresh", async () => {
+    await adminRequest(env, "/refresh", { headers: { "X-Admin-Actor": "tests" } });
+    const body = await (await request(env, "/info")).json();
+
+    assert.equal(body.metadata.totalFeatures, 225);
+    assert.equal(body.progress.isComplete, true);
+    assert.deepEqual(body.languages.available, body.metadata.languages);
+    assert.ok(body.languages.available.includes("en"));
+
+    assert.equal(body.storage.totalFeatures, 225);
+    assert.ok(body.storage.chunks > 0);
+
+    assert.equal(body.quality.checked, 225);
+    assert.equal(body.quality.issues, undefined);
+
+    assert.equal(body.adminActions.length, 1);
+    assert.deepEqual(
+      { action: body.adminActions[0].action, claimedActor: body.adminActions[0].claimedActor, status: body.adminActions[0].status },
+      { action: "refresh", claimedActor: "tests", status: 200 }
+    );
+  });
+
+  it("answers 500 when KV fails", async (t) => {
+    t.mock.method(env.URBANGREEN_KV, "get", async () => {
+      throw new Error("KV unavailable");
+    });
+
+    for (const pathname of ["/info", "/info/quality"]) {
+      const response = await request(env, pathname);
+      assert.equal(response.status, 500, pathname);
+      assert.equal(await response.text(), "Error: KV unavailable");
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTestEnv,
+  createContext,
+  request,
+  refreshUntilComplete,
+  decodeTile,
+  tileFor,
+  odhItem,
+  quietConsole
+} from "./helpers.js";
+
+// One z14 tile with titles in three, two and one language
+const ITEMS = [
+  odhItem("park", {
+    wkt: "POLYGON ((11.8801 45.4001, 11.8809 45.4001, 11.8809 45.4007, 11.8801 45.4007, 11.8801 45.4001))",
+    titles: { en: "Park", it: "Parco", de: "Grünanlage" }
+  }),
+  odhItem("hedge", {
+    wkt: "LINESTRING (11.8802 45.4002, 11.8808 45.4006)",
+    titles: { en: "Hedge", de: "Hecke" }
+  }),
+  odhItem("bench", { type: 2, code: "S213000", wkt: "POINT (11.8805 45.4004)", titles: { en: "Bench" } })
+];
+
+const TILE = tileFor(11.8805, 45.4004, 14);
+const tilePath = (lang) => `/tiles/${lang}/${TILE.z}/${TILE.x}/${TILE.y}.pbf`;
+
+async function tileTitles(env, lang) {
+  const features = decodeTile(await (await request(env, tilePath(lang))).arrayBuffer());
+  return Object.fromEntries(features.map((f) => [f.properties.id, f.properties.title]));
+}
+
+describe("languages", () => {
+  let env;
+  let odh;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, odh, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("loads every language in one refresh", async () => {
+    const body = await refreshUntilComplete(env);
+    const metadata = JSON.parse(await env.URBANGREEN_KV.get("urbangreen:metadata:v2"));
+
+    assert.equal(body.progress.isComplete, true);
+    assert.deepEqual(metadata.languages, ["de", "en", "it"]);
+    assert.equal(odh.requests.length, 1);
+    assert.doesNotMatch(odh.requests[0].url, /language=/);
+  });
+
+  it("keeps every title when ODH cuts Detail down to a requested language", async () => {
+    restore();
+    ({ env, odh, restore } = createTestEnv({ items: ITEMS, reduceDetail: true }));
+
+    const reduced = await (await odh.fetch("http://odh.test/v1/UrbanGreen?language=it")).json();
+    assert.deepEqual(Object.keys(reduced.Items[0].Detail), ["it"]);
+
+    await refreshUntilComplete(env);
+    assert.deepEqual(await tileTitles(env, "de"), { park: "Grünanlage", hedge: "Hecke", bench: "Bench" });
+  });
+
+  it("serves tiles in any language along the fallback chain", async () => {
+    await refreshUntilComplete(env);
+
+    assert.deepEqual(await tileTitles(env, "en"), { park: "Park", hedge: "Hedge", bench: "Bench" });
+    assert.deepEqual(await tileTitles(env, "it"), { park: "Parco", hedge: "Hedge", bench: "Bench" });
+    assert.deepEqual(await tileTitles(env, "de"), { park: "Grünanlage", hedge: "Hecke", bench: "Bench" });
+    // Ladin: it, then de, then en
+    assert.deepEqual(await tileTitles(env, "lld"), { park: "Parco", hedge: "Hecke", bench: "Bench" });
+    assert.deepEqual(await tileTitles(env, "fr"), { park: "Park", hedge: "Hedge", bench: "Bench" });
+
+    const [feature] = decodeTile(await (await request(env, tilePath("it"))).arrayBuffer());
+    assert.deepEqual(Object.keys(feature.properties).filter((key) => key.startsWith("name_")), []);
+  });
+
+  it("takes the fallbacks from LANGUAGE_FALLBACKS when set", async () => {
+    env.LANGUAGE_FALLBACKS = JSON.stringify({ lld: ["de", "it"] });
+    await refreshUntilComplete(env);
+
+    assert.deepEqual(await tileTitles(env, "lld"), { park: "Grünanlage", hedge: "Hecke", bench: "Bench" });
+    assert.deepEqual((await (await request(env, "/info")).json()).languages.fallbacks, { lld: ["de", "it"] });
+  });
+
+  it("shares cached tiles between languages that resolve to the same titles", async () => {
+    await refreshUntilComplete(env);
+
+    const ctx = createContext();
+    assert.equal((await request(env, tilePath("en"), {}, ctx)).headers.get("X-Tile-Cache"), "MISS");
+    await ctx.settle();
+
+    assert.equal((await request(env, tilePath("fr"))).headers.get("X-Tile-Cache"), "HIT");
+    assert.equal((await request(env, tilePath("it"))).headers.get("X-Tile-Cache"), "MISS");
+  });
+
+  it("resolves titles in /features and the exports and keeps every name", async () => {
+    await refreshUntilComplete(env);
+
+    const feature = await (await request(env, "/features/hedge?lang=lld")).json();
+    assert.equal(feature.properties.title, "Hecke");
+    assert.equal(feature.properties.name_en, "Hedge");
+    assert.equal(feature.properties.name_de, "Hecke");
+
+    const csv = (await (await request(env, "/export.csv?lang=it")).text()).replace(/^﻿/, "");
+    const [header, ...rows] = csv.trim().split("\r\n");
+    assert.equal(header, "id,type,subtype,code,active,title,title_de,title_en,title_it,wkt");
+    assert.ok(rows.find((row) => row.startsWith("park,")).includes(",Parco,Grünanlage,Park,Parco,"));
+    assert.ok(rows.find((row) => row.startsWith("hedge,")).includes(",Hedge,Hecke,Hedge,,"));
+
+    assert.equal((await request(env, "/features?lang=e1")).status, 400);
+  });
+});
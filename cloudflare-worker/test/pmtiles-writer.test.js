@@ -0,0 +1,149 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PMTiles, zxyToTileId as libTileId } from "pmtiles";
+import { decodeTile, tileFor } from "./helpers.js";
+import { writePMTiles, zxyToTileId } from "../pmtiles-writer.js";
+
+// A PMTiles source over an archive in memory
+class BytesSource {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+
+  getKey() {
+    return "memory";
+  }
+
+  async getBytes(offset, length) {
+    return { data: this.bytes.slice(offset, offset + length).buffer };
+  }
+}
+
+function feature(id, coordinates, properties = {}) {
+  return {
+    type: "Feature",
+    properties: { id, type: 1, code: "S101000", ...properties },
+    geometry: { type: "Point", coordinates }
+  };
+}
+
+const collection = (features) => ({ type: "FeatureCollection", features });
+
+const PARK = feature("park", [11.8805, 45.4004], { active: true });
+const BENCH = feature("bench", [11.8705, 45.4104], { type: 2, code: "S213000", active: false });
+
+describe("writePMTiles", () => {
+  it("writes a v3 header that describes the archive", async () => {
+    const { archive, stats } = await writePMTiles(collection([PARK, BENCH]), { minZoom: 12, maxZoom: 15 });
+    const header = await new PMTiles(new BytesSource(archive)).getHeader();
+
+    assert.equal(header.specVersion, 3);
+    assert.equal(header.tileType, 1);
+    assert.equal(header.tileCompression, 2);
+    assert.equal(header.internalCompression, 2);
+    assert.equal(header.minZoom, 12);
+    assert.equal(header.maxZoom, 15);
+    assert.equal(header.numAddressedTiles, stats.addressedTiles);
+    assert.equal(header.numTileEntries, stats.tileEntries);
+    assert.equal(header.numTileContents, stats.tileContents);
+    assert.equal(header.tileDataOffset + header.tileDataLength, archive.length);
+    assert.deepEqual(
+      [header.minLon, header.minLat, header.maxLon, header.maxLat],
+      [11.8705, 45.4004, 11.8805, 45.4104]
+    );
+  });
+
+  it("writes the layer and its fields into the metadata", async () => {
+    const { archive } = await writePMTiles(collection([PARK, BENCH]), {
+      minZoom: 12,
+      maxZoom: 15,
+      metadata: { attribution: "Open Data Hub" }
+    });
+    const metadata = await new PMTiles(new BytesSource(archive)).getMetadata();
+
+    assert.equal(metadata.attribution, "Open Data Hub");
+    assert.deepEqual(metadata.vector_layers, [{
+      id: "urbangreen",
+      fields: { id: "String", type: "Number", code: "String", active: "Boolean" },
+      minzoom: 12,
+      maxzoom: 15
+    }]);
+  });
+
+  for (const compression of ["gzip", "none"]) {
+    it(`writes tiles that read back by z/x/y (${compression})`, async () => {
+      const { archive } = await writePMTiles(collection([PARK, BENCH]), { minZoom: 12, maxZoom: 15, compression });
+      const reader = new PMTiles(new BytesSource(archive));
+
+      const { z, x, y } = tileFor(11.8805, 45.4004, 15);
+      const tile = await reader.getZxy(z, x, y);
+      assert.deepEqual(decodeTile(tile.data), [{
+        type: "Point",
+        properties: { id: "park", type: 1, code: "S101000", active: true }
+      }]);
+
+      const empty = tileFor(12.5, 41.9, 15);
+      assert.equal(await reader.getZxy(empty.z, empty.x, empty.y), undefined);
+      assert.equal(await reader.getZxy(16, x * 2, y * 2), undefined);
+    });
+  }
+
+  it("tiles the features featuresForZoom returns at each zoom", async () => {
+    const { archive } = await writePMTiles(collection([PARK, BENCH]), {
+      minZoom: 12,
+      maxZoom: 13,
+      featuresForZoom: (features, zoom) => (zoom < 13 ? features.filter((f) => f.properties.type === 2) : features)
+    });
+    const reader = new PMTiles(new BytesSource(archive));
+
+    const low = tileFor(11.8805, 45.4004, 12);
+    const lowIds = decodeTile((await reader.getZxy(low.z, low.x, low.y)).data).map((f) => f.properties.id);
+    assert.deepEqual(lowIds, ["bench"]);
+
+    const high = tileFor(11.8805, 45.4004, 13);
+    const highIds = decodeTile((await reader.getZxy(high.z, high.x, high.y)).data).map((f) => f.properties.id);
+    assert.ok(highIds.includes("park"));
+  });
+
+  it("moves entries into leaf directories when the root outgrows 16KB", async () => {
+    // One point per z16 tile over a 60 x 60 grid
+    const features = [];
+    for (let i = 0; i < 3600; i++) {
+      features.push(feature(`tree-${i}`, [11.7 + (i % 60) * 0.006, 45.3 + Math.floor(i / 60) * 0.006]));
+    }
+    const { archive, stats } = await writePMTiles(collection(features), { compression: "none" });
+    const reader = new PMTiles(new BytesSource(archive));
+    const header = await reader.getHeader();
+
+    assert.ok(stats.leafDirectoryBytes > 0);
+    assert.ok(header.rootDirectoryOffset + header.rootDirectoryLength <= 16384);
+
+    const { z, x, y } = tileFor(11.7 + 59 * 0.006, 45.3 + 59 * 0.006, 16);
+    const ids = decodeTile((await reader.getZxy(z, x, y)).data).map((f) => f.properties.id);
+    assert.deepEqual(ids, ["tree-3599"]);
+  });
+
+  it("stores identical tiles once", async () => {
+    // Ten z15 tiles apart, at the same position inside their tiles
+    const twins = [feature("a", [11.8805, 45.4004]), feature("a", [11.8805 + 10 * (360 / 2 ** 15), 45.4004])];
+    const { stats } = await writePMTiles(collection(twins), { minZoom: 15, maxZoom: 15 });
+
+    assert.equal(stats.addressedTiles, 2);
+    assert.equal(stats.tileContents, 1);
+  });
+
+  it("rejects a collection without coordinates", async () => {
+    await assert.rejects(writePMTiles(collection([])), /No features with coordinates/);
+  });
+});
+
+describe("zxyToTileId", () => {
+  it("numbers tiles along the Hilbert curve like the PMTiles reader", () => {
+    assert.equal(zxyToTileId(0, 0, 0), 0);
+    assert.deepEqual([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => zxyToTileId(1, x, y)), [1, 2, 3, 4]);
+
+    for (const { z, x, y } of [tileFor(11.8805, 45.4004, 10), tileFor(11.8805, 45.4004, 16), { z: 20, x: 1000000, y: 5 }]) {
+      assert.equal(zxyToTileId(z, x, y), libTileId(z, x, y));
+    }
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, stat, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { request, decodeTile, tileFor, quietConsole } from "./helpers.js";
+import { writePMTiles } from "../pmtiles-writer.js";
+import { createLocalBucket } from "../local-bucket.mjs";
+
+// CONFIG.PMTILES in index.js
+const ARCHIVE_KEY = "urbangreen-multilang.pmtiles";
+const CACHE_SECONDS = 86400;
+
+// A grid of points around the Padova center, enough tile data that the
+// archive is larger than the 16KB the reader fetches with the header
+function points(count, props = {}) {
+  const features = [];
+  for (let i = 0; i < count; i++) {
+    features.push({
+      type: "Feature",
+      properties: { id: `tree-${i}`, type: 1, subtype: "01", code: "S101000", active: true, ...props },
+      geometry: {
+        type: "Point",
+        coordinates: [11.86 + (i % 50) * 0.001, 45.39 + Math.floor(i / 50) * 0.001]
+      }
+    });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+async function writeArchive(dir, geojson) {
+  const { archive } = await writePMTiles(geojson, { minZoom: 10, maxZoom: 16, compression: "none" });
+  await writeFile(path.join(dir, ARCHIVE_KEY), archive);
+}
+
+// The local bucket, recording the options of every get
+function spyBucket(dir) {
+  const bucket = createLocalBucket(dir);
+  const reads = [];
+  return {
+    reads,
+    head: bucket.head,
+    async get(key, options) {
+      reads.push(options);
+      return bucket.get(key, options);
+    }
+  };
+}
+
+const TILE = tileFor(11.8805, 45.4004, 14);
+const tilePath = ({ z, x, y }) => `/pmtiles/${z}/${x}/${y}.mvt`;
+
+describe("GET /pmtiles", () => {
+  let dir;
+  let bucket;
+  let env;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "urbangreen-pmtiles-"));
+    await writeArchive(dir, points(1000));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  // A new bucket object per test: the worker caches one reader per binding
+  beforeEach((t) => {
+    quietConsole(t);
+    bucket = spyBucket(dir);
+    env = { URBANGREEN_R2: bucket };
+  });
+
+  it("serves TileJSON for the archive", async () => {
+    const res = await request(env, "/pmtiles/tiles.json");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Content-Type"), "application/json");
+    assert.equal(res.headers.get("Access-Control-Allow-Origin"), "*");
+
+    const tileJson = await res.json();
+    assert.deepEqual(tileJson.tiles, ["https://worker.test/pmtiles/{z}/{x}/{y}.mvt"]);
+    assert.equal(tileJson.minzoom, 10);
+    assert.equal(tileJson.maxzoom, 16);
+  });
+
+  it("serves a tile with its size and an etag", async () => {
+    const res = await request(env, tilePath(TILE));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Content-Type"), "application/x-protobuf");
+    assert.equal(res.headers.get("Cache-Control"), `public, max-age=${CACHE_SECONDS}`);
+    assert.equal(res.headers.get("Access-Control-Expose-Headers"), "X-Tile-Bytes");
+    assert.match(res.headers.get("ETag"), new RegExp(`-${TILE.z}-${TILE.x}-${TILE.y}"$`));
+
+    const body = await res.arrayBuffer();
+    assert.equal(res.headers.get("X-Tile-Bytes"), String(body.byteLength));
+
+    const features = decodeTile(body);
+    assert.ok(features.length > 0);
+    assert.ok(features.every((f) => f.type === "Point" && f.properties.code === "S101000"));
+  });
+
+  it("reads the archive in ranges", async () => {
+    const res = await request(env, tilePath(TILE));
+    assert.equal(res.status, 200);
+
+    const { size } = await stat(path.join(dir, ARCHIVE_KEY));
+    assert.ok(bucket.reads.length > 0);
+    assert.ok(bucket.reads.every((options) => options?.range), "every read asks for a range");
+
+    const bytesRead = bucket.reads.reduce((sum, { range }) => sum + Math.min(range.length, size - range.offset), 0);
+    assert.ok(bytesRead < size, `read ${bytesRead} of ${size} bytes`);
+  });
+
+  it("answers 304 to a matching If-None-Match", async () => {
+    const first = await request(env, tilePath(TILE));
+    const etag = first.headers.get("ETag");
+
+    const res = await request(env, tilePath(TILE), { headers: { "If-None-Match": etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.headers.get("ETag"), etag);
+  });
+
+  it("answers 204 for a tile without data", async () => {
+    const res = await request(env, tilePath(tileFor(12.5, 41.9, 14)));
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get("X-Tile-Bytes"), "0");
+  });
+
+  it("rejects invalid and out of range tile URLs", async () => {
+    assert.equal((await request(env, "/pmtiles/14/8732/abc.mvt")).status, 400);
+    assert.equal((await request(env, "/pmtiles/2/4/0.mvt")).status, 400);
+  });
+
+  it("serves the new archive after it is replaced", async () => {
+    const otherDir = await mkdtemp(path.join(os.tmpdir(), "urbangreen-pmtiles-"));
+    try {
+      await writeArchive(otherDir, points(1000));
+      env = { URBANGREEN_R2: createLocalBucket(otherDir) };
+      assert.equal((await request(env, tilePath(TILE))).status, 200);
+
+      // Same bucket binding, so the reader still holds the old header
+      await writeArchive(otherDir, points(1200, { code: "S102000", subtype: "02" }));
+      const res = await request(env, tilePath(TILE));
+      assert.equal(res.status, 200);
+      assert.ok(decodeTile(await res.arrayBuffer()).every((f) => f.properties.code === "S102000"));
+    } finally {
+      await rm(otherDir, { recursive: true, force: true });
+    }
+  });
+
+  it("answers 404 when the archive is missing", async () => {
+    const emptyDir = await mkdtemp(path.join(os.tmpdir(), "urbangreen-pmtiles-"));
+    try {
+      env = { URBANGREEN_R2: createLocalBucket(emptyDir) };
+      const res = await request(env, tilePath(TILE));
+      assert.equal(res.status, 404);
+      assert.equal(res.headers.get("Access-Control-Allow-Origin"), "*");
+      assert.equal((await request(env, "/pmtiles/tiles.json")).status, 404);
+    } finally {
+      await rm(emptyDir, { recursive: true, force: true });
+    }
+  });
+
+  it("answers 503 without the bucket binding", async () => {
+    const res = await request({}, tilePath(TILE));
+    assert.equal(res.status, 503);
+  });
+});
@@ -0,0 +1,315 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadFixtures } from "../../scripts/odh-standin/standin.mjs";
+import { createTestEnv, createContext, request, adminRequest, quietConsole, odhItem, FIXTURES_DIR } from "./helpers.js";
+import worker from "../index.js";
+
+// The stand-in fixtures: 225 items, two ODH pages of 200
+const FIXTURE_ITEMS = 225;
+const PAGESIZE = 200;
+
+// ODH list pages made up on request, for totals too large to keep as items
+function syntheticOdh(totalResults) {
+  const requests = [];
+  const fetch = async (input) => {
+    const url = new URL(String(input));
+    const page = Number(url.searchParams.get("pagenumber"));
+    requests.push(page);
+    const count = Math.max(0, Math.min(PAGESIZE, totalResults - (page - 1) * PAGESIZE));
+    const Items = Array.from({ length: count }, (_, i) =>
+      odhItem(`p${page}-${i}`, { wkt: `POINT (11.88 ${(45.35 + i * 0.0001).toFixed(4)})` })
+    );
+    return new Response(JSON.stringify({ TotalResults: totalResults, CurrentPage: page, Items }));
+  };
+  return { fetch, requests };
+}
+
+const refresh = (env, query = "") => adminRequest(env, `/refresh${query}`);
+const storedJson = async (env, key) => JSON.parse(await env.URBANGREEN_KV.get(key));
+
+describe("POST /refresh", () => {
+  let env;
+  let odh;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, odh, restore } = createTestEnv());
+  });
+
+  afterEach(() => restore());
+
+  it("needs POST and the admin token", async () => {
+    assert.equal((await request(env, "/refresh")).status, 405);
+    assert.equal((await request(env, "/refresh", { method: "POST" })).status, 401);
+    assert.equal(odh.requests.length, 0);
+  });
+
+  it("rejects unsupported modes", async () => {
+    assert.equal((await refresh(env, "?mode=partial")).status, 400);
+  });
+
+  it("loads every page and writes the completion metadata", async () => {
+    const response = await refresh(env);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.message, "Refresh complete!");
+    assert.equal(body.progress.isComplete, true);
+    assert.equal(body.progress.totalFeatures, FIXTURE_ITEMS);
+    assert.equal(body.progress.fetchedItems, FIXTURE_ITEMS);
+    assert.equal(body.progress.totalResults, FIXTURE_ITEMS);
+    assert.equal(body.progress.lastBatch.pages, "1-2");
+
+    const metadata = await storedJson(env, "urbangreen:metadata:v2");
+    assert.ok(metadata.languages.includes("en"));
+    assert.equal(metadata.totalFeatures, FIXTURE_ITEMS);
+    assert.ok(!Number.isNaN(Date.parse(metadata.lastRefresh)));
+    assert.equal(metadata.lastFullRefresh, metadata.lastRefresh);
+    assert.equal(metadata.quality.checked, FIXTURE_ITEMS);
+    assert.equal(metadata.quality.rejected, 0);
+    assert.equal(metadata.incomplete, undefined);
+
+    const again = await (await refresh(env)).json();
+    assert.equal(again.message, "Refresh already complete");
+  });
+
+  it("keeps progress at a failed page and resumes there", async () => {
+    odh.setFaults({ errorPages: [2], status: 503 });
+
+    const failed = await refresh(env);
+    const body = await failed.json();
+    assert.equal(failed.status, 502);
+    assert.equal(body.success, false);
+    assert.equal(body.progress.currentPage, 2);
+    assert.equal(body.progress.totalFeatures, 200);
+    assert.equal(body.progress.isComplete, false);
+    assert.equal(body.progress.lastError.page, 2);
+    assert.equal(body.progress.totalPages, 2);
+    assert.equal(body.progress.percentComplete, 50);
+    assert.equal(await env.URBANGREEN_KV.get("urbangreen:metadata:v2"), null);
+
+    odh.setFaults({});
+    const pagesBefore = odh.requests.length;
+    const resumed = await (await refresh(env)).json();
+
+    assert.equal(resumed.progress.isComplete, true);
+    assert.equal(resumed.progress.totalFeatures, FIXTURE_ITEMS);
+    assert.equal(resumed.progress.fetchedItems, FIXTURE_ITEMS);
+    assert.equal(resumed.progress.lastError, undefined);
+    assert.equal(resumed.progress.percentComplete, 100);
+    assert.deepEqual(odh.requests.slice(pagesBefore).map((r) => r.page), [2]);
+  });
+
+  it("reads as many pages as TotalResults needs, past 1200", async () => {
+    const total = 1201 * PAGESIZE + 5;
+    const odhPages = syntheticOdh(total);
+    globalThis.fetch = odhPages.fetch;
+    // Resume near the end instead of loading 240k items
+    await env.URBANGREEN_KV.put("urbangreen:progress:v2", JSON.stringify({
+      currentPage: 1199,
+      totalFeatures: 0,
+      fetchedItems: 1198 * PAGESIZE,
+      totalResults: total,
+      isComplete: false
+    }));
+
+    const body = await (await refresh(env)).json();
+
+    assert.deepEqual(odhPages.requests, [1199, 1200, 1201, 1202]);
+    assert.equal(body.progress.isComplete, true);
+    assert.equal(body.progress.incomplete, undefined);
+    assert.equal(body.progress.totalPages, 1202);
+    assert.equal(body.progress.fetchedItems, total);
+    assert.equal(body.progress.lastBatch.pages, "1199-1202");
+  });
+
+  it("stops at the last page for TotalResults without asking for an empty one", async () => {
+    const odhPages = syntheticOdh(2 * PAGESIZE);
+    globalThis.fetch = odhPages.fetch;
+
+    const body = await (await refresh(env)).json();
+    assert.deepEqual(odhPages.requests, [1, 2]);
+    assert.equal(body.progress.isComplete, true);
+    assert.equal(body.progress.totalFeatures, 2 * PAGESIZE);
+  });
+
+  it("follows a TotalResults change between batches and reports it", async () => {
+    restore();
+    const items = loadFixtures(FIXTURES_DIR);
+    ({ env, odh, restore } = createTestEnv({ items, faults: { errorPages: [2] } }));
+    await refresh(env);
+
+    // 25 items added upstream while the refresh waits at page 2
+    items.push(...items.slice(0, 25).map((item) => ({ ...item, Id: `${item.Id}-new` })));
+    odh.setFaults({});
+    const body = await (await refresh(env)).json();
+
+    assert.equal(body.progress.isComplete, true);
+    assert.equal(body.progress.totalResults, 250);
+    assert.equal(body.progress.totalPages, 2);
+    assert.equal(body.progress.fetchedItems, 250);
+    assert.deepEqual(
+      body.progress.totalChanges.map(({ page, from, to }) => ({ page, from, to })),
+      [{ page: 2, from: 225, to: 250 }]
+    );
+    assert.match(body.warning, /225 -> 250 at page 2/);
+
+    const metadata = await storedJson(env, "urbangreen:metadata:v2");
+    assert.equal(metadata.totalChanges.length, 1);
+  });
+
+  it("holds back a refresh that fetched fewer items than TotalResults", async () => {
+    odh.setFaults({ truncatePages: [1] });
+
+    const response = await refresh(env);
+    const body = await response.json();
+    assert.equal(response.status, 422);
+    assert.equal(body.success, false);
+    assert.match(body.error, /fetched 100 of 225 items/);
+    assert.equal(body.progress.isComplete, true);
+    assert.equal(body.progress.incomplete, true);
+    assert.equal(body.progress.heldBack.metadata.totalFeatures, 100);
+    assert.equal(await env.URBANGREEN_KV.get("urbangreen:metadata:v2"), null);
+  });
+
+  it("starts over on reset and drops features gone upstream", async () => {
+    restore();
+    const items = loadFixtures(FIXTURES_DIR);
+    ({ env, restore } = createTestEnv({ items }));
+    await refresh(env);
+
+    items.splice(0, 25);
+
+    const body = await (await refresh(env, "?reset=true")).json();
+    assert.equal(body.progress.isComplete, true);
+    assert.equal(body.progress.totalFeatures, 200);
+    assert.equal(body.progress.lastBatch.pages, "1-1");
+  });
+});
+
+describe("scheduled refresh", () => {
+  let env;
+  let odh;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, odh, restore } = createTestEnv());
+  });
+
+  afterEach(() => restore());
+
+  const cron = async () => {
+    const ctx = createContext();
+    await worker.scheduled({ cron: "test" }, env, ctx);
+    await ctx.settle();
+    return (await storedJson(env, "urbangreen:runs:v2"))[0];
+  };
+
+  it("reads a few pages per run, fewer than a /refresh batch", async () => {
+    const odhPages = syntheticOdh(30 * PAGESIZE);
+    globalThis.fetch = odhPages.fetch;
+
+    const run = await cron();
+    assert.equal(run.result.status, "in-progress");
+    assert.equal(run.result.pages, "1-10");
+    assert.deepEqual(odhPages.requests, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  it("keeps the live dataset while the weekly full refresh builds", async () => {
+    await refresh(env);
+    const live = await (await request(env, "/info")).json();
+
+    // A week later, and the new build stops after page 1 of 2
+    const metadata = await storedJson(env, "urbangreen:metadata:v2");
+    const weekAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    await env.URBANGREEN_KV.put("urbangreen:metadata:v2", JSON.stringify({
+      ...metadata, lastRefresh: weekAgo, lastFullRefresh: weekAgo
+    }));
+    odh.setFaults({ errorPages: [2] });
+
+    const run = await cron();
+    assert.equal(run.result.reset, true);
+    assert.equal(run.result.status, "retrying");
+
+    const during = await (await request(env, "/info")).json();
+    assert.equal(during.datasets.live, live.datasets.live);
+    assert.equal(during.storage.totalFeatures, FIXTURE_ITEMS);
+  });
+});
+
+describe("POST /refresh?mode=delta", () => {
+  let env;
+  let items;
+  let restore;
+
+  beforeEach(async (t) => {
+    quietConsole(t);
+    items = loadFixtures(FIXTURES_DIR);
+    ({ env, restore } = createTestEnv({ items }));
+    await refresh(env);
+  });
+
+  afterEach(() => restore());
+
+  const delta = async () => (await refresh(env, "?mode=delta")).json();
+  // Changed after the refresh, so the next delta sync picks it up
+  const touch = (index) => {
+    items[index] = { ...items[index], LastChange: new Date(Date.now() + 60_000).toISOString() };
+    return items[index].Id;
+  };
+  const isChunkKey = (key) => /:type[^:]+:z\d+:/.test(key);
+  const chunksHolding = (id) => [...env.URBANGREEN_KV.store.keys()]
+    .filter((key) => isChunkKey(key) && env.URBANGREEN_KV.store.get(key).value.includes(`"${id}"`));
+
+  it("reads only the chunks of the changed items", async () => {
+    const id = touch(0);
+    const expected = chunksHolding(id);
+    const reads = [];
+    const get = env.URBANGREEN_KV.get;
+    env.URBANGREEN_KV.get = (key, options) => {
+      if (isChunkKey(key)) reads.push(key);
+      return get(key, options);
+    };
+
+    const body = await delta();
+
+    assert.equal(body.delta.updated, 1);
+    assert.ok([...env.URBANGREEN_KV.store.keys()].filter(isChunkKey).length > expected.length);
+    assert.deepEqual([...new Set(reads)].sort(), expected.sort());
+  });
+
+  it("keeps items deleted upstream until the next full refresh", async () => {
+    const [deleted] = items.splice(0, 1);
+    touch(0);
+
+    const body = await delta();
+    assert.equal(body.delta.removed, 0);
+    assert.equal(body.totalFeatures, FIXTURE_ITEMS);
+    assert.ok(chunksHolding(deleted.Id).length > 0);
+
+    const full = await (await refresh(env, "?reset=true")).json();
+    assert.equal(full.progress.totalFeatures, FIXTURE_ITEMS - 1);
+    assert.deepEqual(chunksHolding(deleted.Id).filter((key) => key.includes(full.progress.version)), []);
+  });
+
+  it("builds the id index of a version written without one", async () => {
+    const { datasets } = await (await request(env, "/info")).json();
+    const indexKey = `urbangreen:data:v2:${datasets.live}:manifest:ids`;
+    const index = await storedJson(env, indexKey);
+    assert.equal(Object.keys(index).length, FIXTURE_ITEMS);
+
+    await env.URBANGREEN_KV.delete(indexKey);
+    touch(0);
+    const body = await delta();
+
+    assert.equal(body.delta.updated, 1);
+    assert.equal(body.totalFeatures, FIXTURE_ITEMS);
+    const rebuilt = await storedJson(env, indexKey);
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(rebuilt).map(([id, refs]) => [id, [...refs].sort()])),
+      Object.fromEntries(Object.entries(index).map(([id, refs]) => [id, [...refs].sort()]))
+    );
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestEnv, request, refreshUntilComplete, decodeTile, tileFor, odhItem, quietConsole } from "./helpers.js";
+
+const ITEMS = [
+  odhItem("park", {
+    type: 1,
+    code: "S101000",
+    wkt: "POLYGON ((11.8801 45.4001, 11.8809 45.4001, 11.8809 45.4007, 11.8801 45.4007, 11.8801 45.4001))"
+  }),
+  odhItem("bench", { type: 2, code: "S213000", wkt: "POINT (11.8905 45.4104)" })
+];
+
+describe("GET /tiles/{lang}/tiles.json", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("asks for a refresh when nothing is stored", async () => {
+    const response = await request(env, "/tiles/en/tiles.json");
+    assert.equal(response.status, 404);
+    assert.match(await response.text(), /run \/refresh first/);
+  });
+
+  it("describes the tiles of the stored dataset", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, "/tiles/it/tiles.json");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "application/json");
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "*");
+
+    const tileJson = await response.json();
+    const info = await (await request(env, "/info")).json();
+    assert.equal(tileJson.tilejson, "3.0.0");
+    assert.equal(tileJson.name, "UrbanGreen Padova (it)");
+    assert.equal(tileJson.version, info.metadata.lastRefresh);
+    assert.equal(tileJson.attribution, "UrbanGreen data © Open Data Hub");
+    assert.deepEqual(tileJson.tiles, ["https://worker.test/tiles/it/{z}/{x}/{y}.pbf"]);
+    assert.equal(tileJson.minzoom, 10);
+    assert.equal(tileJson.maxzoom, 16);
+    assert.deepEqual(tileJson.bounds, [11.8801, 45.4001, 11.8905, 45.4104]);
+    assert.deepEqual(tileJson.center, [11.8853, 45.40525, 13]);
+
+    const [layer] = tileJson.vector_layers;
+    assert.equal(tileJson.vector_layers.length, 1);
+    assert.equal(layer.id, "urbangreen");
+    assert.match(layer.description, /^2 features; type: 1 = Vegetation, 2 = Furniture, 3 = Zone$/);
+    assert.deepEqual(layer.fields, {
+      id: "String",
+      type: "String",
+      subtype: "String",
+      code: "String",
+      active: "Boolean",
+      title: "String",
+      count: "Number",
+      density: "Boolean"
+    });
+  });
+
+  it("lists every property the tiles carry", async () => {
+    await refreshUntilComplete(env);
+    const { vector_layers: [layer] } = await (await request(env, "/tiles/en/tiles.json")).json();
+
+    const { z, x, y } = tileFor(11.8805, 45.4004, 14);
+    const features = decodeTile(await (await request(env, `/tiles/en/${z}/${x}/${y}.pbf`)).arrayBuffer());
+    assert.ok(features.length > 0);
+    for (const feature of features) {
+      for (const key of Object.keys(feature.properties)) {
+        assert.ok(key in layer.fields, key);
+      }
+    }
+  });
+});
+
+describe("GET /style/{lang}.json", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("rejects an invalid language", async () => {
+    for (const pathname of ["/style/english.json", "/style/e1.json", "/style/en"]) {
+      const response = await request(env, pathname);
+      assert.equal(response.status, 400, pathname);
+      assert.equal(await response.text(), "Unsupported language");
+    }
+  });
+
+  it("styles the tiles of the language's TileJSON", async () => {
+    const response = await request(env, "/style/de.json");
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "application/json");
+
+    const style = await response.json();
+    assert.equal(style.version, 8);
+    assert.equal(style.name, "UrbanGreen Padova (de)");
+    assert.deepEqual(style.sources.urbangreen, { type: "vector", url: "https://worker.test/tiles/de/tiles.json" });
+    assert.deepEqual(style.layers.map((layer) => layer.id), [
+      "basemap-osm",
+      "urbangreen-polygons",
+      "urbangreen-polygons-outline",
+      "urbangreen-lines",
+      "urbangreen-points"
+    ]);
+
+    for (const layer of style.layers) {
+      assert.ok(style.sources[layer.source], layer.id);
+      if (layer.source === "urbangreen") assert.equal(layer["source-layer"], "urbangreen");
+    }
+  });
+
+  it("draws the basemap the BASEMAP_* vars configure", async () => {
+    const osm = await (await request({ ...env, BASEMAP_OSM_URL: "https://osm.test/{z}/{x}/{y}.png" }, "/style/en.json")).json();
+    assert.deepEqual(osm.sources["basemap-osm"].tiles, ["https://osm.test/{z}/{x}/{y}.png"]);
+
+    const vectorEnv = { ...env, BASEMAP_URL: "https://maps.test/padova.pmtiles", BASEMAP_FLAVOR: "dark" };
+    const vector = await (await request(vectorEnv, "/style/it.json")).json();
+    assert.equal(vector.sources.protomaps.url, "pmtiles://https://maps.test/padova.pmtiles");
+    assert.equal(vector.sprite, "https://protomaps.github.io/basemaps-assets/sprites/v4/dark");
+    assert.match(vector.glyphs, /\/fonts\/\{fontstack\}\/\{range\}\.pbf$/);
+    assert.ok(vector.layers.some((layer) => layer.source === "protomaps"));
+    assert.equal(vector.layers.at(-1).id, "urbangreen-points");
+
+    const none = await (await request(vectorEnv, "/style/it.json?basemap=none")).json();
+    assert.deepEqual(none.layers[0], {
+      id: "basemap-none",
+      type: "background",
+      paint: { "background-color": "#f4f4f1" },
+      metadata: { "urbangreen:basemap": true }
+    });
+    assert.deepEqual(Object.keys(none.sources), ["urbangreen"]);
+  });
+
+  it("colors features by the type values the tiles carry", async () => {
+    await refreshUntilComplete(env);
+    const style = await (await request(env, "/style/en.json")).json();
+    const polygons = style.layers.find((layer) => layer.id === "urbangreen-polygons");
+    const [, input, ...cases] = polygons.paint["fill-color"];
+
+    assert.deepEqual(input, ["get", "type"]);
+    assert.deepEqual(cases, ["1", "#81C784", "2", "#A1887F", "3", "#64B5F6", "#CE93D8"]);
+
+    const { z, x, y } = tileFor(11.8805, 45.4004, 14);
+    const [park] = decodeTile(await (await request(env, `/tiles/en/${z}/${x}/${y}.pbf`)).arrayBuffer());
+    assert.equal(park.properties.type, "1");
+  });
+});
@@ -0,0 +1,289 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTestEnv,
+  createContext,
+  request,
+  adminRequest,
+  refreshUntilComplete,
+  decodeTile,
+  tileFor,
+  odhItem,
+  quietConsole
+} from "./helpers.js";
+import worker from "../index.js";
+import { featuresForZoom } from "../../shared/tile-rules.js";
+
+// Three features in one z14 tile near the Padova center
+const ITEMS = [
+  odhItem("park", {
+    type: 1,
+    code: "S101000",
+    wkt: "POLYGON ((11.8801 45.4001, 11.8809 45.4001, 11.8809 45.4007, 11.8801 45.4007, 11.8801 45.4001))"
+  }),
+  odhItem("hedge", {
+    type: 1,
+    code: "S102000",
+    wkt: "LINESTRING (11.8802 45.4002, 11.8808 45.4006)"
+  }),
+  odhItem("bench", { type: 2, code: "S213000", wkt: "POINT (11.8805 45.4004)", active: false })
+];
+
+const TILE = tileFor(11.8805, 45.4004, 14);
+const tilePath = (lang, { z, x, y }) => `/tiles/${lang}/${z}/${x}/${y}.pbf`;
+
+describe("GET /tiles/{lang}/{z}/{x}/{y}.pbf", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  it("rejects malformed tile URLs", async () => {
+    for (const pathname of ["/tiles/en/14/x/1.pbf", "/tiles/en/14/1.pbf", "/tiles/english/14/1/1.pbf", "/tiles/e1/14/1/1.pbf", "/tiles/en/14/1/1.png"]) {
+      const response = await request(env, pathname);
+      assert.equal(response.status, 400, pathname);
+      assert.equal(await response.text(), "Invalid tile URL");
+    }
+  });
+
+  it("asks for a refresh when nothing is stored", async () => {
+    const response = await request(env, tilePath("en", TILE));
+    assert.equal(response.status, 500);
+    assert.match(await response.text(), /call \/refresh first/);
+  });
+
+  it("returns 204 for a tile without features", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, tilePath("en", tileFor(11.99, 45.33, 14)));
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get("X-Tile-Features"), "0");
+  });
+
+  it("counts the features the tile carries, not those whose bbox touches it", async () => {
+    restore();
+    ({ env, restore } = createTestEnv({
+      items: [
+        // Runs along the top and right of its bbox, away from the bench's tile
+        odhItem("hedge", { type: 1, code: "S102000", wkt: "LINESTRING (11.8805 45.4004, 11.95 45.4004, 11.95 45.35)" }),
+        odhItem("bench", { type: 2, code: "S213000", wkt: "POINT (11.885 45.36)" })
+      ]
+    }));
+    await refreshUntilComplete(env);
+
+    const response = await request(env, tilePath("en", tileFor(11.885, 45.36, 14)));
+    assert.deepEqual(decodeTile(await response.arrayBuffer()).map((f) => f.properties.id), ["bench"]);
+    assert.equal(response.headers.get("X-Tile-Features"), "1");
+  });
+
+  it("encodes the stored features with their canonical properties", async () => {
+    await refreshUntilComplete(env);
+    const response = await request(env, tilePath("en", TILE));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "application/x-protobuf");
+    assert.equal(response.headers.get("X-Tile-Features"), "3");
+
+    const features = decodeTile(await response.arrayBuffer());
+    const byId = Object.fromEntries(features.map((f) => [f.properties.id, f]));
+
+    assert.deepEqual(Object.keys(byId).sort(), ["bench", "hedge", "park"]);
+    assert.equal(byId.park.type, "Polygon");
+    assert.equal(byId.hedge.type, "LineString");
+    assert.equal(byId.bench.type, "Point");
+    assert.deepEqual(
+      { type: byId.bench.properties.type, subtype: byId.bench.properties.subtype, code: byId.bench.properties.code },
+      { type: "2", subtype: "13", code: "S213000" }
+    );
+    assert.equal(byId.bench.properties.active, false);
+    assert.equal(byId.park.properties.title, "Item park");
+  });
+
+  it("caches built tiles and answers If-None-Match with 304", async () => {
+    await refreshUntilComplete(env);
+
+    const ctx = createContext();
+    const first = await request(env, tilePath("en", TILE), {}, ctx);
+    assert.equal(first.headers.get("X-Tile-Cache"), "MISS");
+    await ctx.settle();
+
+    const second = await request(env, tilePath("en", TILE));
+    assert.equal(second.headers.get("X-Tile-Cache"), "HIT");
+    assert.equal(second.headers.get("ETag"), first.headers.get("ETag"));
+
+    const notModified = await request(env, tilePath("en", TILE), {
+      headers: { "If-None-Match": first.headers.get("ETag") }
+    });
+    assert.equal(notModified.status, 304);
+  });
+});
+
+describe("per-zoom tile rules", () => {
+  // Three trees in one density cell and one in the next, around the bench
+  const TREES = [
+    ["tree-1", "POINT (11.8804 45.4003)"],
+    ["tree-2", "POINT (11.8805 45.4004)"],
+    ["tree-3", "POINT (11.8806 45.4005)"],
+    ["tree-4", "POINT (11.8830 45.4020)"]
+  ].map(([id, wkt]) => odhItem(id, { type: 1, code: "P101000", wkt }));
+
+  let env;
+  let restore;
+
+  beforeEach(async (t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: [...ITEMS, ...TREES] }));
+    await refreshUntilComplete(env);
+  });
+
+  afterEach(() => restore());
+
+  const features = async (response) => decodeTile(await response.arrayBuffer());
+
+  it("keeps every feature with all properties from z14", async () => {
+    const response = await request(env, tilePath("en", TILE));
+    const tile = await features(response);
+
+    assert.equal(response.headers.get("X-Tile-Features"), "7");
+    assert.equal(tile.filter((f) => f.properties.id.startsWith("tree-")).length, 4);
+    assert.ok(tile.every((f) => f.properties.title && f.properties.density === undefined));
+  });
+
+  it("drops furniture, leaves out titles and aggregates trees below z13", async () => {
+    const response = await request(env, tilePath("en", tileFor(11.8805, 45.4004, 12)));
+    const tile = await features(response);
+    const byId = Object.fromEntries(tile.map((f) => [f.properties.id, f]));
+
+    assert.equal(response.headers.get("X-Tile-Features"), "4");
+    assert.equal(byId.bench, undefined);
+    assert.deepEqual(byId.park.properties, { id: "park", type: "1", subtype: "01", code: "S101000", active: true });
+    assert.deepEqual(byId.hedge.properties, { id: "hedge", type: "1", subtype: "02", code: "S102000", active: true });
+
+    const density = tile.filter((f) => f.properties.density);
+    assert.deepEqual(density.map((f) => f.properties.count).sort(), [1, 3]);
+    assert.ok(density.every((f) => f.type === "Point" && f.properties.type === "1"));
+  });
+
+  it("keeps trees but not furniture at z13", async () => {
+    const tile = await features(await request(env, tilePath("en", tileFor(11.8805, 45.4004, 13))));
+    const ids = tile.map((f) => f.properties.id).sort();
+
+    assert.deepEqual(ids, ["hedge", "park", "tree-1", "tree-2", "tree-3", "tree-4"]);
+  });
+
+  // What the PMTiles component filters and colours by and UrbanGreenMapGL's popups show
+  const CLIENT_PROPERTIES = ["id", "type", "subtype", "code", "active"];
+  const DENSITY_PROPERTIES = ["id", "type", "subtype", "count", "density"];
+
+  it("keeps the properties the clients read at every zoom", async () => {
+    for (let z = 10; z <= 15; z++) {
+      const tile = await features(await request(env, tilePath("en", tileFor(11.8805, 45.4004, z))));
+      assert.ok(tile.length > 0, `z${z}`);
+      for (const feature of tile) {
+        const expected = feature.properties.density ? DENSITY_PROPERTIES : CLIENT_PROPERTIES;
+        for (const key of expected) {
+          assert.notEqual(feature.properties[key], undefined, `z${z} ${feature.properties.id} has ${key}`);
+        }
+      }
+    }
+  });
+
+  it("aggregates each subtype into its own density points", () => {
+    const point = (id, subtype, lng) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [lng, 45.4004] },
+      properties: { id, type: "1", subtype }
+    });
+    const density = featuresForZoom([
+      point("a", "03", 11.8804), point("b", "03", 11.8805), point("c", "01", 11.8806)
+    ], 12);
+
+    assert.deepEqual(
+      density.map((f) => [f.properties.subtype, f.properties.count]).sort(),
+      [["01", 1], ["03", 2]]
+    );
+    assert.ok(density.every((f) => f.properties.density && f.properties.id.startsWith("density:")));
+  });
+
+  it("reports the tile size in bytes", async () => {
+    const response = await request(env, tilePath("en", tileFor(11.8805, 45.4004, 12)));
+    const body = await response.arrayBuffer();
+
+    assert.equal(response.headers.get("X-Tile-Bytes"), String(body.byteLength));
+    assert.match(response.headers.get("Access-Control-Expose-Headers"), /X-Tile-Bytes/);
+
+    const empty = await request(env, tilePath("en", tileFor(11.99, 45.33, 12)));
+    assert.equal(empty.headers.get("X-Tile-Bytes"), "0");
+  });
+
+  it("prebuilds the same low zoom tiles as it generates on request", async () => {
+    const { z, x, y } = tileFor(11.8805, 45.4004, 11);
+    const ctx = createContext();
+    await worker.scheduled({ cron: "test" }, env, ctx);
+    await ctx.settle();
+
+    const prebuilt = await request(env, tilePath("en", { z, x, y }));
+    assert.equal(prebuilt.headers.get("X-Tile-Cache"), "HIT");
+
+    await env.URBANGREEN_KV.delete(`urbangreen:tiles:v2:en:${z}/${x}/${y}`);
+    const generated = await request(env, tilePath("en", { z, x, y }));
+    assert.equal(generated.headers.get("X-Tile-Cache"), "MISS");
+    assert.deepEqual(await features(prebuilt), await features(generated));
+  });
+});
+
+describe("POST /purge", () => {
+  let env;
+  let restore;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    ({ env, restore } = createTestEnv({ items: ITEMS }));
+  });
+
+  afterEach(() => restore());
+
+  const cacheKeys = () => [...env.URBANGREEN_KV.store.keys()]
+    .filter((key) => key.startsWith("urbangreen:tiles:v2:") || key.startsWith("urbangreen:tilestate:v2:"));
+
+  it("deletes the tile cache a bounded batch per call", async () => {
+    await refreshUntilComplete(env);
+    const ctx = createContext();
+    await request(env, tilePath("en", TILE), {}, ctx);
+    await ctx.settle();
+    for (let i = 0; i < 900; i++) {
+      await env.URBANGREEN_KV.put(`urbangreen:tiles:v2:en:16/${i}/0`, "tile");
+    }
+    await env.URBANGREEN_KV.put("urbangreen:tilestate:v2:en", "{}");
+    const total = cacheKeys().length;
+    const otherKeys = env.URBANGREEN_KV.store.size - total;
+
+    const calls = [];
+    let cursor = null;
+    do {
+      const response = await adminRequest(env, `/purge${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ""}`);
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.ok(body.deletedKeys <= 400);
+      assert.equal(body.isComplete, body.cursor === null);
+      calls.push(body);
+      cursor = body.cursor;
+    } while (cursor);
+
+    assert.equal(calls.length, 3);
+    assert.equal(calls.reduce((sum, body) => sum + body.deletedKeys, 0), total);
+    assert.equal(calls.at(-1).message, "Tile cache purged");
+    assert.deepEqual(cacheKeys(), []);
+    assert.equal(env.URBANGREEN_KV.store.size, otherKeys);
+  });
+
+  it("rejects an invalid cursor", async () => {
+    const response = await adminRequest(env, "/purge?cursor=7:abc");
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: "Invalid purge cursor" });
+  });
+});
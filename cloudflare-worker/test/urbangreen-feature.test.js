@@ -0,0 +1,134 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  codeSubtype,
+  getAllTitles,
+  getLocalizedTitle,
+  itemGeometry,
+  itemProperties,
+  itemToFeature,
+  pickFirstGeo,
+  titleFromNames,
+  toNumber
+} from "../../shared/urbangreen-feature.js";
+
+const ITEM = {
+  Id: "oak",
+  GreenCode: "P103108",
+  GreenCodeType: 1,
+  Active: true,
+  Shortname: "Oak",
+  Detail: { en: { Title: "Oak" }, it: { Title: "Quercia" }, de: {} },
+  Geo: { position: { Geometry: "POINT (11.8805 45.4004)", Latitude: 45, Longitude: 11 } }
+};
+
+describe("codeSubtype", () => {
+  it("takes digits 3-4 of the GreenCode", () => {
+    assert.equal(codeSubtype("P103108"), "03");
+    assert.equal(codeSubtype("S213000"), "13");
+    assert.equal(codeSubtype("A102"), "02");
+  });
+
+  it("is empty for short or missing codes", () => {
+    for (const code of ["P10", "", null, undefined]) assert.equal(codeSubtype(code), "", String(code));
+  });
+});
+
+describe("itemProperties", () => {
+  it("maps an item to the canonical properties", () => {
+    assert.deepEqual(itemProperties(ITEM), {
+      id: "oak",
+      type: "1",
+      subtype: "03",
+      code: "P103108",
+      active: true,
+      title: "Oak"
+    });
+  });
+
+  it("prefers GreenCodeSubtype, padded to two digits, over the code", () => {
+    assert.equal(itemProperties({ ...ITEM, GreenCodeSubtype: 7 }).subtype, "07");
+    assert.equal(itemProperties({ ...ITEM, GreenCodeSubtype: "" }).subtype, "03");
+    assert.equal(itemProperties({ ...ITEM, GreenCode: undefined }).subtype, "");
+    assert.equal(itemProperties({ ...ITEM, GreenCode: undefined }).code, "");
+  });
+
+  it("adds name_xx for every language with a title or the listed ones", () => {
+    const all = itemProperties(ITEM, { lang: "it", names: true });
+    assert.equal(all.title, "Quercia");
+    assert.equal(all.name_en, "Oak");
+    assert.equal(all.name_it, "Quercia");
+    assert.equal("name_de" in all, false);
+
+    const listed = itemProperties(ITEM, { names: ["it", "fr"] });
+    assert.deepEqual(Object.keys(listed).filter((key) => key.startsWith("name_")), ["name_it"]);
+  });
+});
+
+describe("titles", () => {
+  it("fall back to en, then any language, then Shortname and Id", () => {
+    assert.equal(getLocalizedTitle(ITEM, "de"), "Oak");
+    assert.equal(getLocalizedTitle({ Detail: { it: { Title: "Panchina" } } }, "fr"), "Panchina");
+    assert.equal(getLocalizedTitle({ Id: "x", Shortname: "Bench", Detail: {} }, "en"), "Bench");
+    assert.equal(getLocalizedTitle({ Id: "x" }, "en"), "x");
+    assert.equal(getLocalizedTitle(null, "en"), "Unknown");
+  });
+
+  it("list every language with a title", () => {
+    assert.deepEqual(getAllTitles(ITEM), { en: "Oak", it: "Quercia" });
+    assert.deepEqual(getAllTitles({ Id: "x", Shortname: "Bench" }), { en: "Bench" });
+  });
+
+  it("come from the first name_xx of the languages asked for", () => {
+    const properties = { title: "Oak", name_it: "Quercia", name_de: "" };
+    assert.equal(titleFromNames(properties, ["de", "it", "en"]), "Quercia");
+    assert.equal(titleFromNames(properties, ["fr"]), "Oak");
+  });
+});
+
+describe("itemGeometry", () => {
+  it("reads the WKT of the default Geo entry", () => {
+    const Geo = [
+      { Geometry: "POINT (1 2)" },
+      { Geometry: "POINT (11.8805 45.4004)", Default: true }
+    ];
+    assert.deepEqual(pickFirstGeo(Geo), Geo[1]);
+    assert.deepEqual(itemGeometry({ Geo }), { type: "Point", coordinates: [11.8805, 45.4004] });
+    assert.deepEqual(pickFirstGeo({ a: Geo[0] }), Geo[0]);
+    assert.equal(pickFirstGeo([]), null);
+  });
+
+  it("falls back to Latitude/Longitude, with decimal commas", () => {
+    const geo = { Geometry: "POINT EMPTY", Latitude: "45,4004", Longitude: 11.8805 };
+    assert.deepEqual(itemGeometry({ Geo: [geo] }), { type: "Point", coordinates: [11.8805, 45.4004] });
+    assert.deepEqual(itemGeometry({ Geo: [{ Latitude: 45.40041234 }], Longitude: 11.8805 }, { precision: 3 }), {
+      type: "Point",
+      coordinates: [11.881, 45.4]
+    });
+  });
+
+  it("is null without a geometry or position", () => {
+    assert.equal(itemGeometry({}), null);
+    assert.equal(itemGeometry({ Geo: [{ Geometry: "POINT (1 2) junk" }] }), null);
+    assert.equal(itemToFeature({ ...ITEM, Geo: [{ Latitude: "n/a", Longitude: 11 }] }), null);
+  });
+});
+
+describe("itemToFeature", () => {
+  it("builds the canonical feature", () => {
+    assert.deepEqual(itemToFeature(ITEM, { names: ["it"] }), {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [11.8805, 45.4004] },
+      properties: { id: "oak", type: "1", subtype: "03", code: "P103108", active: true, title: "Oak", name_it: "Quercia" }
+    });
+  });
+});
+
+describe("toNumber", () => {
+  it("reads numbers and decimal comma strings", () => {
+    assert.equal(toNumber("45,40"), 45.4);
+    assert.equal(toNumber(0), 0);
+    assert.equal(toNumber("x"), null);
+    assert.equal(toNumber(null), null);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createValidator,
+  createQualityReport,
+  mergeQualityReports,
+  summarizeQualityReport,
+  addIssue,
+  MAX_REPORT_ISSUES
+} from "../../shared/urbangreen-quality.js";
+
+function item(id, { wkt = "POINT (11.8805 45.4004)", code = "P103108", type = 1, geo } = {}) {
+  return { Id: id, GreenCode: code, GreenCodeType: type, Active: true, Geo: geo || [{ Geometry: wkt }] };
+}
+
+// The issue classes and severities found for one item
+function check(odhItem) {
+  const { report, toFeature } = createValidator();
+  const feature = toFeature(odhItem);
+  return { feature, report, issues: report.issues.map((issue) => `${issue.class}:${issue.severity}`) };
+}
+
+describe("createValidator", () => {
+  it("accepts a valid item as its canonical feature", () => {
+    const { feature, report, issues } = check(item("oak"));
+    assert.deepEqual(feature.geometry, { type: "Point", coordinates: [11.8805, 45.4004] });
+    assert.equal(feature.properties.subtype, "03");
+    assert.deepEqual(issues, []);
+    assert.equal(report.accepted, 1);
+    assert.equal(report.flagged, 0);
+  });
+
+  it("rejects items without an Id or geometry", () => {
+    assert.deepEqual(check(item(undefined)).issues, ["missing_id:reject"]);
+    assert.deepEqual(check(item("a", { geo: [] })).issues, ["missing_geo:reject"]);
+    assert.deepEqual(check(item("a", { geo: [{ Default: true }] })).issues, ["missing_geo:reject"]);
+
+    const empty = check(item("a", { wkt: "POINT EMPTY" }));
+    assert.equal(empty.feature, null);
+    assert.equal(empty.report.issues[0].detail, "EMPTY geometry");
+  });
+
+  it("rejects malformed and degenerate WKT with a sample of it", () => {
+    const junk = check(item("a", { wkt: "POINT (11.88 45.40) junk" }));
+    assert.deepEqual(junk.issues, ["malformed_wkt:reject"]);
+    assert.equal(junk.report.issues[0].wkt, "POINT (11.88 45.40) junk");
+    assert.equal(junk.report.rejected, 1);
+
+    assert.deepEqual(check(item("a", { wkt: "LINESTRING (11.88 45.40)" })).issues, ["degenerate_geometry:reject"]);
+
+    const long = check(item("a", { wkt: `LINESTRING (${"11.88 45.40, ".repeat(20)}x)` }));
+    assert.equal(long.report.issues[0].wkt.length, 123);
+  });
+
+  it("flags bad WKT instead when Latitude/Longitude give a point", () => {
+    const { feature, report, issues } = check(item("a", { geo: [{ Geometry: "POINT (1 x)", Latitude: "45,4004", Longitude: "11,8805" }] }));
+    assert.deepEqual(issues, ["malformed_wkt:flag"]);
+    assert.match(report.issues[0].detail, /used Latitude\/Longitude$/);
+    assert.deepEqual(feature.geometry, { type: "Point", coordinates: [11.8805, 45.4004] });
+    assert.equal(report.flagged, 1);
+  });
+
+  it("flags degenerate parts it dropped", () => {
+    const wkt = "POLYGON ((11.88 45.40, 11.89 45.40, 11.89 45.41, 11.88 45.40), (11.885 45.405, 11.886 45.406))";
+    const { feature, issues } = check(item("a", { wkt }));
+    assert.deepEqual(issues, ["degenerate_part:flag"]);
+    assert.equal(feature.geometry.coordinates.length, 1);
+  });
+
+  it("rejects positions outside the envelope", () => {
+    const { feature, report, issues } = check(item("a", { wkt: "LINESTRING (11.88 45.40, 12.5 41.9)" }));
+    assert.equal(feature, null);
+    assert.deepEqual(issues, ["outside_envelope:reject"]);
+    assert.match(report.issues[0].detail, /^position 12.5 41.9 outside /);
+  });
+
+  it("keeps the first copy of a repeated Id", () => {
+    const { report, toFeature } = createValidator();
+    assert.ok(toFeature(item("oak")));
+    assert.equal(toFeature(item("oak")), null);
+    assert.deepEqual(report.issues.map((issue) => issue.class), ["duplicate_id"]);
+
+    // An Id rejected the first time is not a duplicate later
+    const shared = new Set();
+    const first = createValidator({ seenIds: shared });
+    assert.equal(first.toFeature(item("elm", { wkt: "POINT EMPTY" })), null);
+    assert.ok(createValidator({ seenIds: shared }).toFeature(item("elm")));
+  });
+
+  it("flags unknown types and subtypes", () => {
+    assert.deepEqual(check(item("a", { type: 9 })).issues, ["unknown_type:flag"]);
+    const { feature, issues } = check(item("a", { code: "P199000" }));
+    assert.deepEqual(issues, ["unknown_subtype:flag"]);
+    assert.ok(feature);
+  });
+});
+
+describe("quality reports", () => {
+  it("merge counts and issue lists", () => {
+    const a = createValidator();
+    a.toFeature(item("oak"));
+    a.toFeature(item(undefined));
+    const b = createValidator();
+    b.toFeature(item("elm", { type: 9 }));
+
+    const merged = mergeQualityReports(createQualityReport(), a.report);
+    mergeQualityReports(merged, b.report);
+    assert.deepEqual(
+      [merged.checked, merged.accepted, merged.rejected, merged.flagged],
+      [3, 2, 1, 1]
+    );
+    assert.equal(merged.counts.missing_id, 1);
+    assert.equal(merged.counts.unknown_type, 1);
+    assert.equal(merged.issues.length, 2);
+
+    const summary = summarizeQualityReport(merged);
+    assert.equal(summary.listedIssues, 2);
+    assert.equal("issues" in summary, false);
+    assert.equal(summarizeQualityReport(null), null);
+  });
+
+  it("stop listing issues at MAX_REPORT_ISSUES but keep counting", () => {
+    const report = createQualityReport();
+    for (let i = 0; i <= MAX_REPORT_ISSUES; i++) addIssue(report, { id: String(i), class: "missing_geo", severity: "reject" });
+    assert.equal(report.issues.length, MAX_REPORT_ISSUES);
+    assert.equal(report.counts.missing_geo, MAX_REPORT_ISSUES + 1);
+    assert.equal(report.truncated, true);
+  });
+});
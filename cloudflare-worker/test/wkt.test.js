@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readWkt, parseWkt, extractWktString, eachPosition } from "../../shared/wkt.js";
+
+const SQUARE = "(0 0, 10 0, 10 10, 0 10, 0 0)";
+
+describe("readWkt", () => {
+  it("reads every simple-feature type", () => {
+    assert.deepEqual(parseWkt("POINT (11.8805 45.4004)"), { type: "Point", coordinates: [11.8805, 45.4004] });
+    assert.deepEqual(parseWkt("LINESTRING (1 2, 3 4)"), { type: "LineString", coordinates: [[1, 2], [3, 4]] });
+    assert.deepEqual(parseWkt("MULTIPOINT (1 2, 3 4)"), parseWkt("MULTIPOINT ((1 2), (3 4))"));
+    assert.equal(parseWkt("MULTILINESTRING ((1 2, 3 4), (5 6, 7 8))").coordinates.length, 2);
+    assert.equal(parseWkt(`MULTIPOLYGON ((${SQUARE}), (${SQUARE}))`).coordinates.length, 2);
+    assert.deepEqual(parseWkt("GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (1 2, 3 4))").geometries.map((g) => g.type), [
+      "Point",
+      "LineString"
+    ]);
+  });
+
+  it("reads EMPTY geometries as empty", () => {
+    for (const wkt of ["POINT EMPTY", "POLYGON EMPTY", "MULTIPOLYGON EMPTY", "GEOMETRYCOLLECTION (POINT EMPTY)"]) {
+      assert.deepEqual(readWkt(wkt), { geometry: null, status: "empty", dropped: 0 }, wkt);
+    }
+    assert.deepEqual(parseWkt("MULTIPOINT ((1 2), EMPTY)"), { type: "MultiPoint", coordinates: [[1, 2]] });
+  });
+
+  it("strips SRID prefixes and the ODH suffix", () => {
+    const point = { type: "Point", coordinates: [11.88, 45.4] };
+    assert.deepEqual(parseWkt("SRID=4326;POINT (11.88 45.40)"), point);
+    assert.deepEqual(parseWkt("POINT (11.88 45.40);SRID=4326"), point);
+    assert.deepEqual(parseWkt("POINT (11.88 45.40) ; SRID=4326"), point);
+  });
+
+  it("drops Z and M ordinates", () => {
+    assert.deepEqual(parseWkt("POINT Z (11.88 45.40 12)"), { type: "Point", coordinates: [11.88, 45.4] });
+    assert.deepEqual(parseWkt("POINTZM (1 2 3 4)"), { type: "Point", coordinates: [1, 2] });
+    assert.deepEqual(parseWkt("LINESTRING M (1 2 3, 4 5 6)"), { type: "LineString", coordinates: [[1, 2], [4, 5]] });
+  });
+
+  it("keeps holes and closes unclosed rings", () => {
+    const polygon = parseWkt(`POLYGON (${SQUARE}, (2 2, 4 2, 4 4))`);
+    assert.deepEqual(polygon.coordinates, [
+      [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+      [[2, 2], [4, 2], [4, 4], [2, 2]]
+    ]);
+  });
+
+  it("drops degenerate lines and rings and counts them", () => {
+    assert.deepEqual(readWkt("LINESTRING (1 2)"), { geometry: null, status: "degenerate", dropped: 1 });
+    assert.deepEqual(readWkt("POLYGON ((0 0, 1 1))"), { geometry: null, status: "degenerate", dropped: 1 });
+
+    const hole = readWkt(`POLYGON (${SQUARE}, (2 2, 3 3))`);
+    assert.equal(hole.status, "ok");
+    assert.equal(hole.dropped, 1);
+    assert.equal(hole.geometry.coordinates.length, 1);
+
+    const multi = readWkt(`MULTIPOLYGON ((${SQUARE}), ((5 5, 6 6)))`);
+    assert.equal(multi.dropped, 1);
+    assert.equal(multi.geometry.coordinates.length, 1);
+  });
+
+  it("reads decimal commas in ODH points", () => {
+    assert.deepEqual(parseWkt("POINT (11,87 45,40)"), { type: "Point", coordinates: [11.87, 45.4] });
+  });
+
+  it("rejects trailing junk and syntax errors as malformed", () => {
+    for (const wkt of ["POINT (1 2) junk", "POINT (1 2))", "POINT (1 2) ,", "POINT (1 x)", "POINT (1)", "CIRCLE (1 2)", "hello", "", null]) {
+      assert.deepEqual(readWkt(wkt), { geometry: null, status: "malformed", dropped: 0 }, String(wkt));
+    }
+  });
+
+  it("rounds to the precision asked for", () => {
+    assert.deepEqual(parseWkt("POINT (1.1234567 2)").coordinates, [1.123457, 2]);
+    assert.deepEqual(parseWkt("POINT (1.1234567 2)", { precision: 2 }).coordinates, [1.12, 2]);
+    assert.deepEqual(parseWkt("POINT (1.1234567 2)", { precision: null }).coordinates, [1.1234567, 2]);
+  });
+});
+
+describe("extractWktString", () => {
+  it("finds the geometry in an ODH value", () => {
+    assert.equal(extractWktString("SRID=4326;POINT (1 2)"), "POINT (1 2)");
+    assert.equal(extractWktString("Geometry: POINT (1 2);SRID=4326"), "POINT (1 2)");
+    assert.equal(extractWktString("no geometry"), null);
+    assert.equal(extractWktString(42), null);
+  });
+});
+
+describe("eachPosition", () => {
+  it("visits the positions of collections and nested parts", () => {
+    const positions = [];
+    eachPosition(parseWkt(`GEOMETRYCOLLECTION (POINT (1 2), POLYGON (${SQUARE}))`), (p) => positions.push(p));
+    assert.deepEqual(positions, [[1, 2], [0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]);
+    eachPosition(null, () => assert.fail("called for null"));
+  });
+});
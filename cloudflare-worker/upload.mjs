@@ -2,149 +2,113 @@
  * UrbanGreen Data Loader - Resilient Version
  * 
  * Features:
- * - Retries on ODH API errors (up to 3 times)
- * - Continues on failure (doesn't stop entire upload)
- * - Shows which pages failed
+ * - Retries ODH API errors with exponential backoff
+ * - Stores every language's title as name_{lang}, like the worker's refresh
+ * - Stops on a page that keeps failing; the next run resumes there from
+ *   the checkpoint file (urbangreen-kv.checkpoint.ndjson)
+ * - Fails without touching KV when the item count differs from TotalResults;
+ *   --reset then drops the checkpoint and fetches every page again
+ * - Uploads a new dataset version and switches the worker to it with one
+ *   metadata write, keeping KEEP_VERSIONS versions for rollback like the worker
+ * - Discards a version the worker's refresh was still building, whose
+ *   progress record the upload replaces
  * 
- * Usage: node upload-resilient.mjs
+ * Usage: node upload.mjs [--reset]
  */
 
 import fetch from 'node-fetch';
+import { eachPosition } from '../shared/wkt.js';
+import { createValidator, createQualityReport, mergeQualityReports } from '../shared/urbangreen-quality.js';
+import { ingestPages } from '../shared/odh-ingest.js';
 
 const CONFIG = {
   API_TOKEN: 'YOUR_API_TOKEN_HERE',
   ACCOUNT_ID: '751ea1abdb3fb6ff7f276b3753e4c6a1',
   NAMESPACE_ID: '44bbc911cd8940d3b7a112ebac89ad74',
-  ODH_API_BASE: 'https://api.tourism.testingmachine.eu',
+  ODH_API_BASE: process.env.ODH_API_BASE || 'https://api.tourism.testingmachine.eu',  // e.g. the local stand-in
   ODH_ENDPOINT: '/v1/UrbanGreen',
   PAGESIZE: 200,
-  LANG: 'en',
+  DEFAULT_LANG: 'en', // Must match CONFIG.DEFAULT_LANG in index.js
+  CHECKPOINT_FILE: 'urbangreen-kv.checkpoint.ndjson',
+  RESET: process.argv.includes('--reset'),  // Start from page 1 instead of the checkpoint
   KV_KEY_PREFIX: 'urbangreen:data:v2',
   KV_KEY_METADATA: 'urbangreen:metadata:v2',
   KV_KEY_PROGRESS: 'urbangreen:progress:v2',
-  MAX_RETRIES: 3,
-  RETRY_DELAY: 2000, // 2 seconds
+  KV_KEY_VERSIONS: 'urbangreen:versions:v2',
+  BUCKET_ZOOM: 12, // Must match CONFIG.STORAGE.BUCKET_ZOOM in index.js
+  KEEP_VERSIONS: 3, // Must match CONFIG.DATASETS.KEEP_VERSIONS in index.js
+  MAX_RETRIES: 4, // Exponential backoff, see shared/odh-fetch.js
 };
 
 // Helper functions (same as before)
-function toNumber(v) {
-  if (v === null || v === undefined) return null;
-  const n = typeof v === 'number' ? v : Number(String(v).replace(',', '.'));
-  return Number.isFinite(n) ? n : null;
-}
-
-function truncateCoord(value) {
-  return Math.round(value * 1000000) / 1000000;
-}
-
-function pickFirstGeo(geoObj) {
-  if (!geoObj) return null;
-  if (geoObj.position && typeof geoObj.position === 'object') return geoObj.position;
-  const entries = Array.isArray(geoObj) ? geoObj : Object.values(geoObj);
-  if (!entries.length) return null;
-  const def = entries.find((e) => e && e.Default === true);
-  return def || entries[0];
-}
-
-function getLocalizedTitle(item, lang) {
-  const d = item?.Detail;
-  if (!d || typeof d !== 'object') return item?.Shortname || item?.Id || 'Unknown';
-  if (d[lang]?.Title) return d[lang].Title;
-  if (d.en?.Title) return d.en.Title;
-  for (const v of Object.values(d)) {
-    if (v?.Title) return v.Title;
-  }
-  return item?.Shortname || item?.Id || 'Unknown';
+function getFeatureBbox(feature) {
+  let minLng = Infinity, maxLng = -Infinity;
+  let minLat = Infinity, maxLat = -Infinity;
+  eachPosition(feature.geometry, ([lng, lat]) => {
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  });
+  if (minLng === Infinity) return null;
+  return { west: minLng, east: maxLng, south: minLat, north: maxLat };
 }
 
-function extractWktString(maybeWkt) {
-  if (!maybeWkt || typeof maybeWkt !== 'string') return null;
-  const cleaned = maybeWkt.replace(/;SRID=\d+\s*$/i, '').trim();
-  const m = cleaned.match(/\b(POINT|POLYGON|MULTIPOLYGON|LINESTRING|MULTILINESTRING)\b/i);
-  if (!m) return null;
-  return cleaned.slice(m.index).trim();
+function lngLatToTile(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const latRad = lat * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1)
+  };
 }
 
-function parseCoordList(str) {
-  const parts = String(str).trim().split(',').map((p) => p.trim()).filter(Boolean);
-  const coords = [];
-  for (const p of parts) {
-    const [a, b] = p.split(/\s+/);
-    const lng = toNumber(a);
-    const lat = toNumber(b);
-    if (lng === null || lat === null) continue;
-    coords.push([truncateCoord(lng), truncateCoord(lat)]);
+// Same bucketing as the worker: every z12 bucket the feature bbox touches
+function bucketsForBbox(bbox) {
+  const min = lngLatToTile(bbox.west, bbox.north, CONFIG.BUCKET_ZOOM);
+  const max = lngLatToTile(bbox.east, bbox.south, CONFIG.BUCKET_ZOOM);
+  const buckets = [];
+  for (let x = min.x; x <= max.x; x++) {
+    for (let y = min.y; y <= max.y; y++) {
+      buckets.push(`${x}/${y}`);
+    }
   }
-  return coords.length ? coords : null;
+  return buckets;
 }
 
-function parseWktPoint(wkt) {
-  const m = wkt.match(/POINT\s*\(\s*([-\d.,]+)\s+([-\d.,]+)\s*\)/i);
-  if (!m) return null;
-  const lng = toNumber(m[1]);
-  const lat = toNumber(m[2]);
-  if (lat === null || lng === null) return null;
-  return [truncateCoord(lng), truncateCoord(lat)];
+function kvApiUrl(path) {
+  return `https://api.cloudflare.com/client/v4/accounts/${CONFIG.ACCOUNT_ID}/storage/kv/namespaces/${CONFIG.NAMESPACE_ID}${path}`;
 }
 
-function parseWktPolygonRings(wkt) {
-  const poly = wkt.match(/POLYGON\s*\(\s*\((.+)\)\s*\)\s*$/i);
-  if (poly) {
-    const inside = poly[1];
-    const ringStrings = inside.split('),(');
-    const rings = ringStrings.map((rs) => parseCoordList(rs));
-    return rings.filter((r) => r && r.length);
-  }
-  return null;
-}
-
-function itemToGeoJSON(item, lang) {
-  const g = pickFirstGeo(item.Geo);
-  if (!g) return null;
-
-  const wktRaw = g?.Geometry ?? g?.geometry ?? null;
-  let geometry = null;
-
-  if (wktRaw) {
-    const wkt = extractWktString(wktRaw);
-    if (wkt) {
-      const pt = parseWktPoint(wkt);
-      if (pt) {
-        geometry = { type: 'Point', coordinates: pt };
-      } else {
-        const rings = parseWktPolygonRings(wkt);
-        if (rings && rings[0] && rings[0].length >= 3) {
-          geometry = { type: 'Polygon', coordinates: rings };
-        }
-      }
-    }
-  }
-
-  if (!geometry) {
-    const lat = toNumber(g?.Latitude ?? item?.Latitude);
-    const lng = toNumber(g?.Longitude ?? item?.Longitude);
-    if (lat !== null && lng !== null) {
-      geometry = { type: 'Point', coordinates: [truncateCoord(lng), truncateCoord(lat)] };
+async function listKVKeys(prefix) {
+  const names = [];
+  let cursor = '';
+  
+  do {
+    const params = new URLSearchParams({ prefix });
+    if (cursor) params.set('cursor', cursor);
+    
+    const response = await fetch(kvApiUrl(`/keys?${params}`), {
+      headers: { 'Authorization': `Bearer ${CONFIG.API_TOKEN}` }
+    });
+    
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`KV list failed: ${response.status} - ${error}`);
     }
-  }
-
-  if (!geometry) return null;
-
-  return {
-    type: 'Feature',
-    geometry,
-    properties: {
-      id: item.Id,
-      title: getLocalizedTitle(item, lang),
-      type: String(item.GreenCodeType || ''),
-      code: item.GreenCode || 'N/A',
-      active: !!item.Active,
-    },
-  };
+    
+    const json = await response.json();
+    names.push(...json.result.map(k => k.name));
+    cursor = json.result_info?.cursor || '';
+  } while (cursor);
+  
+  return names;
 }
 
 async function deleteKVKey(key) {
-  const url = `https://api.cloudflare.com/client/v4/accounts/${CONFIG.ACCOUNT_ID}/storage/kv/namespaces/${CONFIG.NAMESPACE_ID}/values/${encodeURIComponent(key)}`;
+  const url = kvApiUrl(`/values/${encodeURIComponent(key)}`);
   
   const response = await fetch(url, {
     method: 'DELETE',
@@ -157,38 +121,57 @@ async function deleteKVKey(key) {
   }
 }
 
-async function clearOldData(lang) {
-  console.log('🗑️  Clearing old data from KV...');
-  console.log('');
+async function readKVValue(key) {
+  const response = await fetch(kvApiUrl(`/values/${encodeURIComponent(key)}`), {
+    headers: { 'Authorization': `Bearer ${CONFIG.API_TOKEN}` }
+  });
   
-  const keysToDelete = [
-    `${CONFIG.KV_KEY_PREFIX}:${lang}:type1`,
-    `${CONFIG.KV_KEY_PREFIX}:${lang}:type2`,
-    `${CONFIG.KV_KEY_PREFIX}:${lang}:type3`,
-    `${CONFIG.KV_KEY_PREFIX}:${lang}:typeother`,
-    `${CONFIG.KV_KEY_METADATA}:${lang}`,
-    `${CONFIG.KV_KEY_PROGRESS}:${lang}`,
-  ];
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`KV read failed: ${response.status} - ${error}`);
+  }
+  return await response.text();
+}
+
+// Same key scheme as the worker; the per-language dataset from before the
+// multilingual ingest is version "en" (unversioned) or "en:{version}"
+function datasetPrefix(version) {
+  return `${CONFIG.KV_KEY_PREFIX}:${version}`;
+}
+
+// Published versions, most recently live first (see getDatasetVersions in index.js)
+async function getDatasetVersions() {
+  const data = await readKVValue(CONFIG.KV_KEY_VERSIONS);
+  if (data) return JSON.parse(data);
   
-  let count = 0;
-  for (const key of keysToDelete) {
-    count++;
-    process.stdout.write(`   [${count}/${keysToDelete.length}] Deleting ${key.split(':').pop()}...`);
-    try {
-      await deleteKVKey(key);
-      console.log(' ✓');
-    } catch (error) {
-      console.log(' ✗');
-    }
+  const metadata = await readKVValue(CONFIG.KV_KEY_METADATA);
+  if (metadata) {
+    const live = JSON.parse(metadata);
+    return [{ version: live.datasetVersion, publishedAt: live.lastRefresh, metadata: live }];
   }
   
-  console.log('');
-  console.log('✓ Old data cleared');
-  console.log('');
+  const legacy = await readKVValue(`${CONFIG.KV_KEY_METADATA}:${CONFIG.DEFAULT_LANG}`);
+  if (!legacy) return [];
+  const live = JSON.parse(legacy);
+  const version = live.datasetVersion ? `${CONFIG.DEFAULT_LANG}:${live.datasetVersion}` : CONFIG.DEFAULT_LANG;
+  return [{ version, publishedAt: live.lastRefresh, metadata: { ...live, datasetVersion: version } }];
+}
+
+async function deleteDatasetVersion(version) {
+  const prefix = `${datasetPrefix(version)}:`;
+  // An unversioned per-language dataset shares its prefix with its versions
+  const keys = (await listKVKeys(prefix))
+    .filter(key => /^(type|manifest)/.test(key.slice(prefix.length)));
+  
+  console.log(`🗑️  Deleting dataset version ${version} (${keys.length} keys)...`);
+  for (const key of keys) {
+    await deleteKVKey(key);
+  }
 }
 
 async function uploadToKV(key, value) {
-  const url = `https://api.cloudflare.com/client/v4/accounts/${CONFIG.ACCOUNT_ID}/storage/kv/namespaces/${CONFIG.NAMESPACE_ID}/values/${encodeURIComponent(key)}`;
+  const url = kvApiUrl(`/values/${encodeURIComponent(key)}`);
   
   const response = await fetch(url, {
     method: 'PUT',
@@ -207,119 +190,111 @@ async function uploadToKV(key, value) {
   return await response.json();
 }
 
-async function fetchPageWithRetry(page, lang) {
-  const url = new URL(`${CONFIG.ODH_API_BASE}${CONFIG.ODH_ENDPOINT}`);
-  url.searchParams.set('pagenumber', String(page));
-  url.searchParams.set('pagesize', String(CONFIG.PAGESIZE));
-  url.searchParams.set('language', lang);
-
-  for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
-    try {
-      const response = await fetch(url.toString(), {
-        headers: { Accept: 'application/json' }
-      });
-
-      if (!response.ok) {
-        if (response.status === 404) return null; // End of data
-        throw new Error(`ODH API error: ${response.status}`);
-      }
-
-      const json = await response.json();
-      return json?.Items ?? json?.items ?? [];
-      
-    } catch (error) {
-      if (attempt === CONFIG.MAX_RETRIES) {
-        console.error(`\n⚠️  Page ${page} failed after ${CONFIG.MAX_RETRIES} attempts: ${error.message}`);
-        return null; // Skip this page
-      }
-      // Wait before retry
-      await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
-    }
-  }
-}
-
-async function fetchAllFromODH(lang) {
+async function fetchAllFromODH() {
   console.log('📥 Fetching all data from ODH API (with retry logic)...');
-  console.log(`   Language: ${lang}`);
+  console.log('   Languages: all (name_{lang})');
   console.log('');
   
   const allFeatures = [];
-  let page = 1;
-  const totalPages = 1133; // We know this from previous attempts
-  let failedPages = [];
+  const seenIds = new Set();
+  const languages = new Set();
+  const quality = createQualityReport();
   
-  while (page <= totalPages) {
-    const items = await fetchPageWithRetry(page, lang);
-    
-    if (items === null) {
-      failedPages.push(page);
-      page++;
-      continue;
+  const restorePage = (record) => {
+    allFeatures.push(...record.features);
+    record.features.forEach(f => {
+      seenIds.add(f.properties.id);
+      Object.keys(f.properties).filter(key => key.startsWith('name_')).forEach(key => languages.add(key.slice(5)));
+    });
+    mergeQualityReports(quality, record.quality);
+  };
+  
+  // No language filter, so Detail comes with every title
+  const url = new URL(`${CONFIG.ODH_API_BASE}${CONFIG.ODH_ENDPOINT}`);
+  
+  const ingest = await ingestPages({
+    url,
+    pagesize: CONFIG.PAGESIZE,
+    checkpointFile: CONFIG.CHECKPOINT_FILE,
+    reset: CONFIG.RESET,
+    delayMs: 50,
+    retry: {
+      fetch,
+      retries: CONFIG.MAX_RETRIES,
+      onRetry: ({ attempt, delay, error }) => console.log(`\n⚠️  ${error.message}, retry ${attempt} in ${delay}ms`)
+    },
+    processPage: (items) => {
+      const validator = createValidator({ lang: CONFIG.DEFAULT_LANG, names: true, seenIds });
+      const features = items.map(item => validator.toFeature(item)).filter(Boolean);
+      const record = { features, quality: validator.report };
+      restorePage(record);
+      return record;
+    },
+    restorePage,
+    onPage: ({ page, totalPages }) => {
+      const progress = totalPages ? Math.round((page / totalPages) * 100) : 0;
+      process.stdout.write(`\r   Page ${page}/${totalPages ?? '?'} (${progress}%) - ${allFeatures.length} features`);
     }
-    
-    if (items.length === 0) break;
-
-    const features = items.map(item => itemToGeoJSON(item, lang)).filter(Boolean);
-    allFeatures.push(...features);
-
-    const progress = Math.round((page / totalPages) * 100);
-    process.stdout.write(`\r   Page ${page}/${totalPages} (${progress}%) - ${allFeatures.length} features`);
-
-    if (items.length < CONFIG.PAGESIZE) break;
-    
-    page++;
-    await new Promise(resolve => setTimeout(resolve, 50));
-  }
+  });
 
   console.log('');
   
-  if (failedPages.length > 0) {
-    console.log(`⚠️  Warning: ${failedPages.length} pages failed: ${failedPages.slice(0, 10).join(', ')}${failedPages.length > 10 ? '...' : ''}`);
+  if (ingest.restoredPages > 0) {
+    console.log(`✓ Resumed from checkpoint (${ingest.restoredPages} pages)`);
   }
+  console.log(`✓ Fetched ${allFeatures.length} features in ${ingest.pages} pages (TotalResults ${ingest.totalResults ?? 'n/a'})`);
   
-  console.log(`✓ Fetched ${allFeatures.length} features in ${page} pages`);
+  const { rejected, flagged, counts } = quality;
+  const classes = Object.entries(counts).filter(([, count]) => count > 0);
+  console.log(`✓ Rejected ${rejected} items, flagged ${flagged}${classes.length ? ` (${classes.map(([cls, count]) => `${cls}: ${count}`).join(', ')})` : ''}`);
+  console.log(`✓ Languages: ${[...languages].sort().join(', ')}`);
   console.log('');
 
-  return allFeatures;
+  return { features: allFeatures, languages: [...languages].sort(), clearCheckpoint: ingest.clearCheckpoint };
 }
 
-async function uploadFeaturesByType(features, lang) {
+async function uploadFeatureChunks(features, version) {
   console.log('📤 Uploading to Cloudflare KV...');
   console.log('');
   
-  const byType = {
-    '1': [],
-    '2': [],
-    '3': [],
-    'other': []
-  };
+  // Group by type and z12 bucket, the layout the worker reads
+  const chunks = new Map();
   
   for (const feature of features) {
-    const type = feature.properties.type;
-    if (byType[type]) {
-      byType[type].push(feature);
-    } else {
-      byType['other'].push(feature);
+    const bbox = getFeatureBbox(feature);
+    if (!bbox) continue;
+    
+    const featureType = feature.properties.type;
+    const type = ['1', '2', '3'].includes(featureType) ? featureType : 'other';
+    
+    for (const bucket of bucketsForBbox(bbox)) {
+      const key = `${type}|${bucket}`;
+      if (!chunks.has(key)) chunks.set(key, { type, bucket, features: [] });
+      chunks.get(key).features.push(feature);
     }
   }
   
+  const manifest = {
+    bucketZoom: CONFIG.BUCKET_ZOOM,
+    buckets: {},
+    totalFeatures: features.length,
+    updatedAt: new Date().toISOString()
+  };
+  
   let uploadCount = 0;
-  const totalTypes = Object.keys(byType).filter(t => byType[t].length > 0).length;
   
-  for (const [type, typeFeatures] of Object.entries(byType)) {
-    if (typeFeatures.length === 0) continue;
-    
+  for (const { type, bucket, features: chunkFeatures } of chunks.values()) {
     uploadCount++;
-    const key = `${CONFIG.KV_KEY_PREFIX}:${lang}:type${type}`;
+    const key = `${datasetPrefix(version)}:type${type}:z${CONFIG.BUCKET_ZOOM}:${bucket}`;
     const geojson = {
       type: 'FeatureCollection',
-      features: typeFeatures
+      features: chunkFeatures
     };
     
     const json = JSON.stringify(geojson);
     const sizeMB = (json.length / 1024 / 1024).toFixed(2);
     
-    process.stdout.write(`   [${uploadCount}/${totalTypes}] Uploading type ${type}: ${typeFeatures.length} features (${sizeMB} MB)...`);
+    process.stdout.write(`   [${uploadCount}/${chunks.size}] Uploading type ${type} bucket ${bucket}: ${chunkFeatures.length} features (${sizeMB} MB)...`);
     
     try {
       await uploadToKV(key, json);
@@ -328,27 +303,68 @@ async function uploadFeaturesByType(features, lang) {
       console.log(' ✗');
       throw error;
     }
+    
+    if (!manifest.buckets[type]) manifest.buckets[type] = {};
+    manifest.buckets[type][bucket] = chunkFeatures.length;
   }
   
+  // Written last so the version is never listed with missing chunks
+  await uploadToKV(`${datasetPrefix(version)}:manifest`, JSON.stringify(manifest));
+  
   console.log('');
   console.log('✓ All data uploaded successfully!');
   console.log('');
 }
 
-async function uploadMetadata(totalFeatures, lang) {
+// A version the worker's refresh is still building, or held back, when this
+// upload takes over: its progress is about to be replaced, so drop its
+// chunks the way the worker does on reset
+async function discardUnpublishedBuild(versions) {
+  const data = await readKVValue(CONFIG.KV_KEY_PROGRESS);
+  const progress = data ? JSON.parse(data) : null;
+  if (!progress?.version) return;
+  if (versions.some(v => v.version === progress.version)) return;
+  
+  const state = progress.isComplete ? 'held back' : `building, page ${progress.currentPage ?? '?'}`;
+  console.log(`⚠️  Discarding the worker's unpublished version ${progress.version} (${state})`);
+  await deleteDatasetVersion(progress.version);
+}
+
+// Switch the worker to `version`, then drop versions beyond KEEP_VERSIONS
+async function publishVersion(totalFeatures, languages, version) {
+  const now = new Date().toISOString();
   const metadata = {
-    lastRefresh: new Date().toISOString(),
+    lastRefresh: now,
+    lastFullRefresh: now,
     totalFeatures,
-    language: lang,
+    languages,
     version: '6.2.0-kv-chunked',
+    datasetVersion: version,
     uploadMethod: 'local-script-resilient'
   };
   
-  const key = `${CONFIG.KV_KEY_METADATA}:${lang}`;
+  const versions = await getDatasetVersions();
+  await discardUnpublishedBuild(versions);
+  const ordered = [{ version, publishedAt: now, metadata }, ...versions.filter(v => v.version !== version)];
   
-  console.log('📝 Uploading metadata...');
-  await uploadToKV(key, JSON.stringify(metadata));
-  console.log('✓ Metadata uploaded');
+  // Mark the refresh complete so the worker's cron switches to delta syncs
+  const progress = {
+    version,
+    currentPage: null,
+    totalFeatures,
+    languages,
+    isComplete: true
+  };
+  
+  console.log('📝 Publishing dataset version...');
+  await uploadToKV(CONFIG.KV_KEY_METADATA, JSON.stringify(metadata));
+  await uploadToKV(CONFIG.KV_KEY_VERSIONS, JSON.stringify(ordered.slice(0, CONFIG.KEEP_VERSIONS)));
+  await uploadToKV(CONFIG.KV_KEY_PROGRESS, JSON.stringify(progress));
+  console.log(`✓ Version ${version} is live`);
+  
+  for (const dropped of ordered.slice(CONFIG.KEEP_VERSIONS)) {
+    await deleteDatasetVersion(dropped.version);
+  }
   console.log('');
 }
 
@@ -367,16 +383,19 @@ async function main() {
   const startTime = Date.now();
   
   try {
-    await clearOldData(CONFIG.LANG);
-    const features = await fetchAllFromODH(CONFIG.LANG);
+    // Fetch first: a failed or incomplete fetch leaves the stored data alone
+    const { features, languages, clearCheckpoint } = await fetchAllFromODH();
     
     if (features.length === 0) {
       console.log('❌ No features fetched. Check ODH API connectivity.');
       process.exit(1);
     }
     
-    await uploadFeaturesByType(features, CONFIG.LANG);
-    await uploadMetadata(features.length, CONFIG.LANG);
+    // The live version keeps serving until publishVersion switches over
+    const version = new Date().toISOString().replace(/[-:.]/g, '');
+    await uploadFeatureChunks(features, version);
+    await publishVersion(features.length, languages, version);
+    clearCheckpoint();
     
     const elapsed = Math.round((Date.now() - startTime) / 1000);
     const minutes = Math.floor(elapsed / 60);
@@ -1,49 +1,48 @@
 // script/extract-urbangreen.mjs
 import fs from 'fs';
 import fetch from 'node-fetch';
-import wellknown from 'wellknown';
+import { createValidator } from '../shared/urbangreen-quality.js';
+import { fetchJsonWithRetry, responseItems } from '../shared/odh-fetch.js';
+
+// ODH_API_BASE=http://localhost:8090 reads from the local stand-in
+const ODH_API_BASE = process.env.ODH_API_BASE || 'https://api.tourism.testingmachine.eu';
 
 const URL =
-  'https://api.tourism.testingmachine.eu/v1/UrbanGreen' +
+  `${ODH_API_BASE}/v1/UrbanGreen` +
   '?pagenumber=1' +
   '&pagesize=2000000' +
   '&fields=Geo' +
   '&fields=Detail.en' +
   '&fields=GreenCodeType' +
   '&fields=GreenCode' +
+  '&fields=GreenCodeSubtype' +
   '&fields=Active' +
   '&removenullvalues=false' +
   '&getasidarray=false';
 
 console.log('Fetching UrbanGreen bulk dataset...');
-const res = await fetch(URL);
-const json = await res.json();
-
-console.log(`Items received: ${json.Items.length}`);
-
-const features = json.Items.map(item => {
-  const geoArr = Array.isArray(item.Geo)
-    ? item.Geo
-    : Object.values(item.Geo || {});
-
-  const geo = geoArr.find(g => g?.Geometry) || null;
-  if (!geo) return null;
-
-  const geometry = wellknown(geo.Geometry);
-  if (!geometry) return null;
-
-  return {
-    type: 'Feature',
-    geometry,
-    properties: {
-      id: item.Id,
-      title: item.Detail?.en?.Title || '',
-      greenCodeType: String(item.GreenCodeType || ''),
-      greenCode: item.GreenCode || '',
-      isActive: item.Active === true
-    }
-  };
-}).filter(Boolean);
+const json = await fetchJsonWithRetry(URL, {
+  fetch,
+  onRetry: ({ attempt, delay, error }) => console.log(`${error.message}, retry ${attempt} in ${delay}ms`)
+});
+if (!json) {
+  console.error('UrbanGreen endpoint returned 404. Nothing written.');
+  process.exit(1);
+}
+const items = responseItems(json);
+
+console.log(`Items received: ${items.length}`);
+
+// A short response would silently become a truncated dataset
+if (typeof json?.TotalResults === 'number' && items.length !== json.TotalResults) {
+  console.error(`Expected ${json.TotalResults} items (TotalResults), got ${items.length}. Nothing written.`);
+  process.exit(1);
+}
+
+const validator = createValidator({ lang: 'en', precision: null });
+const features = items
+  .map(item => validator.toFeature(item))
+  .filter(Boolean);
 
 const geojson = {
   type: 'FeatureCollection',
@@ -52,5 +51,7 @@ const geojson = {
 
 fs.mkdirSync('data', { recursive: true });
 fs.writeFileSync('data/urbangreen.geojson', JSON.stringify(geojson));
+fs.writeFileSync('data/urbangreen.quality.json', JSON.stringify(validator.report, null, 2));
 
 console.log(`GeoJSON written: ${features.length} features`);
+console.log(`Quality report written: ${validator.report.rejected} rejected, ${validator.report.flagged} flagged`);
@@ -0,0 +1,54 @@
+/**
+ * Record live ODH UrbanGreen pages as stand-in fixtures
+ *
+ * Saves each response as-is (one file per page) so the stand-in replays real
+ * items. Record into a directory of its own and start the server with
+ * --fixtures pointing at it, the sample fixture would otherwise be mixed in.
+ * Pages are fetched with a language so they show whether ODH cuts Detail
+ * down to it; if it does, start the server with --reduce-detail.
+ *
+ * Run: node scripts/odh-standin/record.mjs [--pages 5] [--pagesize 200]
+ *        [--language en] [--out scripts/odh-standin/recorded]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { fetchJsonWithRetry, responseItems } from '../../shared/odh-fetch.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+const { values: args } = parseArgs({
+  options: {
+    pages: { type: 'string', default: '5' },
+    pagesize: { type: 'string', default: '200' },
+    language: { type: 'string', default: 'en' },
+    out: { type: 'string', default: path.join(here, 'recorded') },
+    base: { type: 'string', default: process.env.ODH_API_BASE || 'https://api.tourism.testingmachine.eu' },
+  },
+});
+
+fs.mkdirSync(args.out, { recursive: true });
+
+let recorded = 0;
+for (let page = 1; page <= Number(args.pages); page++) {
+  const url = new URL('/v1/UrbanGreen', args.base);
+  url.searchParams.set('pagenumber', String(page));
+  url.searchParams.set('pagesize', args.pagesize);
+  url.searchParams.set('language', args.language);
+
+  const json = await fetchJsonWithRetry(url.toString(), { fetch });
+  const items = responseItems(json);
+  if (items.length === 0) break;
+
+  const file = path.join(args.out, `urbangreen-page-${String(page).padStart(3, '0')}.json`);
+  fs.writeFileSync(file, JSON.stringify(json));
+  recorded += items.length;
+  console.log(`Page ${page}: ${items.length} items -> ${file}`);
+
+  if (items.length < Number(args.pagesize)) break;
+}
+
+console.log(`Recorded ${recorded} items`);
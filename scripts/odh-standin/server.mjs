@@ -0,0 +1,117 @@
+/**
+ * Local ODH API stand-in server
+ *
+ * Serves the fixture items under /v1/UrbanGreen (see standin.mjs) so the
+ * whole stack runs offline. Point the clients at it with:
+ *
+ *   worker      ODH_API_BASE=http://localhost:8090 in cloudflare-worker/.dev.vars
+ *   scripts     ODH_API_BASE=http://localhost:8090 node generate-pmtiles-multilang.mjs
+ *   component   <r3gis-urbangreen-v2 api-base="http://localhost:8090">
+ *
+ * Run: node scripts/odh-standin/server.mjs [--port 8090] [--fixtures dir|file]
+ *        [--status 500] [--error-rate 0.1] [--error-pages 3,7] [--fail-next 2]
+ *        [--delay 2000] [--delay-pages 5] [--truncate-pages 4] [--truncate-mode items|body]
+ *        [--reduce-detail]
+ *
+ * Faults can be switched while it runs:
+ *   GET    /__faults     current faults
+ *   PUT    /__faults     replace them, e.g. {"errorPages":[3],"status":503}
+ *   DELETE /__faults     back to no faults
+ *   GET    /__requests   the last requests with the fault each one got
+ */
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadFixtures, createStandin } from './standin.mjs';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const REQUEST_LOG = 100;
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8090' },
+    fixtures: { type: 'string', default: path.join(here, 'fixtures') },
+    status: { type: 'string' },
+    'error-rate': { type: 'string' },
+    'error-pages': { type: 'string' },
+    'fail-next': { type: 'string' },
+    delay: { type: 'string' },
+    'delay-pages': { type: 'string' },
+    'truncate-pages': { type: 'string' },
+    'truncate-mode': { type: 'string' },
+    'reduce-detail': { type: 'boolean', default: false },
+  },
+});
+
+const pageList = (value) => (value ? value.split(',').map(Number).filter(Number.isInteger) : []);
+
+const faults = {};
+if (args.status) faults.status = Number(args.status);
+if (args['error-rate']) faults.errorRate = Number(args['error-rate']);
+if (args['error-pages']) faults.errorPages = pageList(args['error-pages']);
+if (args['fail-next']) faults.failNext = Number(args['fail-next']);
+if (args.delay) faults.delayMs = Number(args.delay);
+if (args['delay-pages']) faults.delayPages = pageList(args['delay-pages']);
+if (args['truncate-pages']) faults.truncatePages = pageList(args['truncate-pages']);
+if (args['truncate-mode']) faults.truncateMode = args['truncate-mode'];
+
+const items = loadFixtures(args.fixtures);
+const standin = createStandin({ items, faults, reduceDetail: args['reduce-detail'] });
+
+function sendJson(res, body, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return body;
+}
+
+async function handleControl(req, res, pathname) {
+  if (pathname === '/__requests') {
+    return sendJson(res, standin.requests.slice(-REQUEST_LOG));
+  }
+
+  if (req.method === 'GET') return sendJson(res, standin.getFaults());
+  if (req.method === 'DELETE') return sendJson(res, standin.setFaults({}));
+  if (req.method === 'PUT') {
+    try {
+      return sendJson(res, standin.setFaults(JSON.parse(await readBody(req) || '{}')));
+    } catch (error) {
+      return sendJson(res, { error: `Invalid JSON: ${error.message}` }, 400);
+    }
+  }
+  return sendJson(res, { error: 'Use GET, PUT or DELETE' }, 405);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (url.pathname === '/__faults' || url.pathname === '/__requests') {
+      return await handleControl(req, res, url.pathname);
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': '*' });
+      return res.end();
+    }
+
+    const response = await standin.handle(url);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(await response.text());
+  } catch (error) {
+    console.error(error);
+    sendJson(res, { error: error.message }, 500);
+  }
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`ODH stand-in: ${items.length} items from ${args.fixtures}`);
+  console.log(`  http://localhost:${args.port}/v1/UrbanGreen`);
+  console.log(`  faults: ${JSON.stringify(standin.getFaults())}`);
+});
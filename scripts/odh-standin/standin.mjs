@@ -0,0 +1,302 @@
+/**
+ * ODH UrbanGreen API stand-in
+ *
+ * Replays UrbanGreen items from fixture files with the query parameters our
+ * clients use, so the worker refresh, the generator scripts, the extract
+ * script and the live web component can run without network:
+ *
+ *   pagenumber, pagesize      paging (pagesize defaults to 25 like ODH)
+ *   type                      GreenCodeType, comma separated
+ *   active                    true / false
+ *   polygon                   WKT polygon, optional ";SRID=4326" suffix
+ *   latitude, longitude,      distance filter in meters
+ *   radius
+ *   updatefrom                LastChange on or after this date
+ *   fields                    repeated or comma separated, dotted paths (Detail.en); Id is always kept
+ *   language                  does not reduce Detail by default: the recorded pages
+ *                             (fixtures/urbangreen-sample.json, fetched with
+ *                             language=en) carry every title. With reduceDetail
+ *                             only that language's Detail is kept
+ *
+ * Spatial filters use the item position (Geo Latitude/Longitude), not its
+ * full geometry. GET /v1/UrbanGreen/{id} returns one item.
+ *
+ * Faults can be switched on at any time with setFaults() (or /__faults on
+ * the HTTP server, see server.mjs):
+ *
+ *   status         status code of injected errors (500)
+ *   errorRate      chance that a request fails (0..1)
+ *   errorPages     page numbers that always fail
+ *   failNext       fail this many requests, then recover
+ *   delayMs        response delay
+ *   delayPages     only delay these pages (all pages when empty)
+ *   truncatePages  page numbers returned short
+ *   truncateMode   "items": half the items, TotalResults unchanged
+ *                  "body": the JSON is cut off halfway
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseWkt } from '../../shared/wkt.js';
+import { pickFirstGeo, toNumber } from '../../shared/urbangreen-feature.js';
+
+export const ENDPOINT = '/v1/UrbanGreen';
+
+export const DEFAULT_FAULTS = {
+  status: 500,
+  errorRate: 0,
+  errorPages: [],
+  failNext: 0,
+  delayMs: 0,
+  delayPages: [],
+  truncatePages: [],
+  truncateMode: 'items',
+};
+
+const DEFAULT_PAGESIZE = 25;
+const REQUEST_HISTORY = 1000;
+
+/**
+ * Items of every *.json fixture in `target` (a directory or one file).
+ * A fixture is a recorded ODH list response ({ Items: [...] }) or an array of items.
+ */
+export function loadFixtures(target) {
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter((f) => f.endsWith('.json')).sort().map((f) => path.join(target, f))
+    : [target];
+
+  const items = [];
+  for (const file of files) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    items.push(...(Array.isArray(json) ? json : json.Items ?? json.items ?? []));
+  }
+  return items;
+}
+
+// Item position: the Geo entry's Latitude/Longitude, else the first WKT position
+function itemPosition(item) {
+  const geo = pickFirstGeo(item.Geo);
+  if (!geo) return null;
+  const lat = toNumber(geo.Latitude ?? item.Latitude);
+  const lng = toNumber(geo.Longitude ?? item.Longitude);
+  if (lat !== null && lng !== null) return [lng, lat];
+
+  const geometry = parseWkt(geo.Geometry ?? geo.geometry);
+  let coords = geometry?.type === 'GeometryCollection' ? geometry.geometries[0]?.coordinates : geometry?.coordinates;
+  while (Array.isArray(coords) && typeof coords[0] !== 'number') coords = coords[0];
+  return coords || null;
+}
+
+function insideRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function insidePolygon(position, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(([outer, ...holes]) => insideRing(position, outer) && !holes.some((h) => insideRing(position, h)));
+}
+
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180;
+  const a =
+    Math.sin(((lat2 - lat1) * rad) / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lng2 - lng1) * rad) / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// The item with Detail cut down to `language`
+function reduceToLanguage(item, language) {
+  if (!item.Detail || typeof item.Detail !== 'object') return item;
+  const Detail = language in item.Detail ? { [language]: item.Detail[language] } : {};
+  return { ...item, Detail };
+}
+
+// Keep only the dotted `fields` paths of an item (plus Id)
+function projectFields(item, fields) {
+  const out = { Id: item.Id };
+  for (const field of fields) {
+    const parts = field.split('.');
+    let src = item;
+    let dst = out;
+    for (let i = 0; i < parts.length; i++) {
+      if (src === null || typeof src !== 'object' || !(parts[i] in src)) break;
+      if (i === parts.length - 1) {
+        dst[parts[i]] = src[parts[i]];
+      } else {
+        dst[parts[i]] = dst[parts[i]] && typeof dst[parts[i]] === 'object' ? dst[parts[i]] : {};
+        src = src[parts[i]];
+        dst = dst[parts[i]];
+      }
+    }
+  }
+  return out;
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+  });
+}
+
+/**
+ * Filter problems come back as { error } (400 like the live API).
+ */
+function buildFilter(params) {
+  const filters = [];
+
+  const types = params.get('type');
+  if (types) {
+    const list = types.split(',').map((t) => t.trim());
+    filters.push((item) => list.includes(String(item.GreenCodeType)));
+  }
+
+  const active = params.get('active');
+  if (active === 'true' || active === 'false') {
+    filters.push((item) => Boolean(item.Active) === (active === 'true'));
+  }
+
+  const polygon = params.get('polygon');
+  if (polygon) {
+    const geometry = parseWkt(polygon, { precision: null });
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+      return { error: 'polygon must be a WKT POLYGON or MULTIPOLYGON' };
+    }
+    filters.push((item) => {
+      const position = itemPosition(item);
+      return position !== null && insidePolygon(position, geometry);
+    });
+  }
+
+  if (params.has('latitude') || params.has('longitude') || params.has('radius')) {
+    const center = [toNumber(params.get('longitude')), toNumber(params.get('latitude'))];
+    const radius = toNumber(params.get('radius'));
+    if (center.includes(null) || radius === null) {
+      return { error: 'latitude, longitude and radius go together' };
+    }
+    filters.push((item) => {
+      const position = itemPosition(item);
+      return position !== null && distanceMeters(center, position) <= radius;
+    });
+  }
+
+  const updateFrom = params.get('updatefrom');
+  if (updateFrom) {
+    const since = Date.parse(updateFrom);
+    if (Number.isNaN(since)) return { error: 'updatefrom must be a date' };
+    filters.push((item) => Date.parse(item.LastChange) >= since);
+  }
+
+  return { filter: (item) => filters.every((f) => f(item)) };
+}
+
+/**
+ * Stand-in over `items`.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.items - ODH items (see loadFixtures)
+ * @param {Object} [options.faults] - initial faults, see DEFAULT_FAULTS
+ * @param {boolean} [options.reduceDetail] - keep only the `language` Detail,
+ *   for clients that must not depend on ODH sending every title
+ * @returns {{ handle: Function, fetch: Function, setFaults: Function, getFaults: Function, requests: Object[] }}
+ *   handle(url) and fetch(url) resolve to a Response; every handled request
+ *   is logged in `requests` as { url, page, fault }.
+ */
+export function createStandin({ items, faults = {}, reduceDetail = false }) {
+  let current = { ...DEFAULT_FAULTS, ...faults };
+  const requests = [];
+
+  // The fault for this request, if any
+  function pickFault(page) {
+    if (current.failNext > 0) {
+      current.failNext--;
+      return 'error';
+    }
+    if (current.errorPages.includes(page)) return 'error';
+    if (current.errorRate > 0 && Math.random() < current.errorRate) return 'error';
+    if (current.truncatePages.includes(page)) return 'truncate';
+    return null;
+  }
+
+  async function handle(input) {
+    const url = new URL(String(input), 'http://standin.local');
+    const params = url.searchParams;
+    const language = reduceDetail ? params.get('language') : null;
+    const page = Math.max(1, parseInt(params.get('pagenumber') || '1', 10) || 1);
+    const pagesize = Math.max(1, parseInt(params.get('pagesize') || String(DEFAULT_PAGESIZE), 10) || DEFAULT_PAGESIZE);
+
+    const fault = url.pathname.startsWith(ENDPOINT) ? pickFault(page) : null;
+    requests.push({ url: url.pathname + url.search, page, fault });
+    if (requests.length > REQUEST_HISTORY) requests.shift();
+
+    const delayed = current.delayPages.length === 0 || current.delayPages.includes(page);
+    if (current.delayMs > 0 && delayed) {
+      await new Promise((resolve) => setTimeout(resolve, current.delayMs));
+    }
+
+    if (fault === 'error') {
+      return jsonResponse({ message: 'Injected fault' }, current.status);
+    }
+
+    if (url.pathname.startsWith(`${ENDPOINT}/`)) {
+      const id = decodeURIComponent(url.pathname.slice(ENDPOINT.length + 1));
+      const item = items.find((i) => i.Id === id);
+      if (!item) return jsonResponse({ message: 'Not found' }, 404);
+      return jsonResponse(language ? reduceToLanguage(item, language) : item);
+    }
+
+    if (url.pathname !== ENDPOINT) {
+      return jsonResponse({ message: 'Not found' }, 404);
+    }
+
+    const { filter, error } = buildFilter(params);
+    if (error) return jsonResponse({ message: error }, 400);
+
+    const fields = params.getAll('fields').flatMap((f) => f.split(',')).map((f) => f.trim()).filter(Boolean);
+    const matching = items.filter(filter);
+    const totalPages = Math.ceil(matching.length / pagesize);
+    let pageItems = matching.slice((page - 1) * pagesize, page * pagesize);
+    if (language) pageItems = pageItems.map((item) => reduceToLanguage(item, language));
+    if (fields.length) pageItems = pageItems.map((item) => projectFields(item, fields));
+
+    if (fault === 'truncate' && current.truncateMode === 'items') {
+      pageItems = pageItems.slice(0, Math.floor(pageItems.length / 2));
+    }
+
+    const body = {
+      TotalResults: matching.length,
+      TotalPages: totalPages,
+      CurrentPage: page,
+      PreviousPage: page > 1 ? page - 1 : null,
+      NextPage: page < totalPages ? page + 1 : null,
+      Items: pageItems,
+    };
+
+    if (fault === 'truncate' && current.truncateMode === 'body') {
+      const text = JSON.stringify(body);
+      return new Response(text.slice(0, Math.floor(text.length / 2)), {
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+      });
+    }
+
+    return jsonResponse(body);
+  }
+
+  return {
+    handle,
+    // Drop-in for globalThis.fetch in tests
+    fetch: (input) => handle(typeof input === 'object' && input.url ? input.url : input),
+    setFaults: (next) => {
+      current = { ...DEFAULT_FAULTS, ...next };
+      return current;
+    },
+    getFaults: () => ({ ...current }),
+    requests,
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Basemap styles for the map components
+ *
+ * Basemaps a component can show, by id:
+ *   osm                     OpenStreetMap raster tiles (the default), from
+ *                           tile.openstreetmap.org unless osmTiles is set
+ *   light, dark, grayscale  Protomaps vector layers in that flavor, with
+ *                           labels in the component's language; only with a
+ *                           basemap URL (a .pmtiles extract of the Padova area
+ *                           or the TileJSON URL of a self-hosted tile server)
+ *   <raster id>             configured raster sources, e.g. city orthophotos
+ *   none                    a plain background
+ *
+ * Basemap layers carry BASEMAP_METADATA so replaceBasemap can swap them
+ * under whatever the component has drawn on top.
+ *
+ * The Protomaps helpers (web-component/vendor/basemaps.esm.js) are passed in
+ * as `basemaps`: the bundled components import that module and the standalone
+ * UrbanGreenMapGL loads it on first use.
+ */
+
+export const BASEMAP_FLAVORS = ["light", "dark", "grayscale"];
+export const DEFAULT_BASEMAP_FLAVOR = "light";
+export const OSM_BASEMAP = "osm";
+export const NO_BASEMAP = "none";
+
+// OpenStreetMap's own tile servers; their usage policy rules out production
+// traffic, so deployments set osmTiles to a tile provider or proxy
+export const DEFAULT_OSM_TILES = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+// Fonts and sprites of the Protomaps layers; self-host them next to the extract
+export const DEFAULT_BASEMAP_ASSETS = "https://protomaps.github.io/basemaps-assets";
+
+// Font stack for labels the components draw on top of a vector basemap
+export const BASEMAP_FONT = ["Noto Sans Regular"];
+
+const BASEMAP_METADATA = "urbangreen:basemap";
+
+const PROTOMAPS_ATTRIBUTION =
+  '<a href="https://protomaps.com">Protomaps</a> © <a href="https://openstreetmap.org">OpenStreetMap</a>';
+
+const FLAVOR_NAMES = { light: "Map (light)", dark: "Map (dark)", grayscale: "Map (grayscale)" };
+
+/**
+ * Raster basemaps from the basemap-rasters attribute: a JSON list of
+ * { id, name, tiles, tileSize, maxzoom, attribution }. Entries without an
+ * id or tile URLs, or clashing with a built-in id, are left out.
+ */
+export function parseRasterBasemaps(json) {
+  if (!json) return [];
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (error) {
+    console.warn(`Ignoring basemap-rasters: ${error.message}`);
+    return [];
+  }
+  const reserved = new Set([OSM_BASEMAP, NO_BASEMAP, ...BASEMAP_FLAVORS]);
+  return (Array.isArray(list) ? list : []).filter((r) =>
+    r && typeof r.id === "string" && !reserved.has(r.id) && Array.isArray(r.tiles) && r.tiles.length
+  );
+}
+
+// [{ id, name }] of the basemaps available with these options, in picker order
+export function basemapChoices({ url, rasters = [] } = {}) {
+  return [
+    { id: OSM_BASEMAP, name: "OpenStreetMap" },
+    ...(url ? BASEMAP_FLAVORS.map((flavor) => ({ id: flavor, name: FLAVOR_NAMES[flavor] })) : []),
+    ...rasters.map((r) => ({ id: r.id, name: r.name || r.id })),
+    { id: NO_BASEMAP, name: "No basemap" },
+  ];
+}
+
+// `basemap` when it is one of the choices, else the flavor with a URL, else OSM
+export function resolveBasemap({ basemap, url, flavor, rasters = [] } = {}) {
+  if (basemap && basemapChoices({ url, rasters }).some((c) => c.id === basemap)) return basemap;
+  if (!url) return OSM_BASEMAP;
+  return BASEMAP_FLAVORS.includes(flavor) ? flavor : DEFAULT_BASEMAP_FLAVOR;
+}
+
+function tagged(layers) {
+  return layers.map((layer) => ({ ...layer, metadata: { ...layer.metadata, [BASEMAP_METADATA]: true } }));
+}
+
+function rasterStyle(id, { tiles, tileSize = 256, maxzoom = 19, attribution }) {
+  return {
+    sources: { [`basemap-${id}`]: { type: "raster", tiles, tileSize, maxzoom, attribution } },
+    layers: [{ id: `basemap-${id}`, type: "raster", source: `basemap-${id}` }],
+  };
+}
+
+/**
+ * MapLibre style with only the basemap; components add their own sources
+ * and layers on top. A .pmtiles URL needs the pmtiles:// protocol registered.
+ *
+ * With a URL the Protomaps glyphs are set whichever basemap is shown, so
+ * labels drawn with BASEMAP_FONT keep working across replaceBasemap.
+ *
+ * @param {Object} basemaps - the Protomaps basemaps namespace (layers, namedFlavor)
+ * @param {Object} [options]
+ * @param {string} [options.basemap] - basemap id, see resolveBasemap
+ * @param {string} [options.url] - .pmtiles or TileJSON URL of the vector basemap
+ * @param {string} [options.flavor="light"] - vector flavor when no basemap is given
+ * @param {Object[]} [options.rasters] - see parseRasterBasemaps
+ * @param {string} [options.lang="en"] - label language
+ * @param {string} [options.assets] - base URL of the fonts/ and sprites/ folders
+ * @param {string} [options.osmTiles] - {z}/{x}/{y} URL of the osm raster tiles
+ */
+export function basemapStyle(basemaps, {
+  basemap,
+  url,
+  flavor,
+  rasters = [],
+  lang = "en",
+  assets = DEFAULT_BASEMAP_ASSETS,
+  osmTiles = DEFAULT_OSM_TILES,
+} = {}) {
+  const vector = url && basemaps ? url : "";
+  const id = resolveBasemap({ basemap, url: vector, flavor, rasters });
+  const base = assets.replace(/\/+$/, "");
+  const style = { version: 8 };
+  if (vector) style.glyphs = `${base}/fonts/{fontstack}/{range}.pbf`;
+
+  let layers;
+  if (BASEMAP_FLAVORS.includes(id)) {
+    style.sprite = `${base}/sprites/v4/${id}`;
+    style.sources = {
+      protomaps: {
+        type: "vector",
+        url: /\.pmtiles(\?|$)/.test(vector) ? `pmtiles://${vector}` : vector,
+        attribution: PROTOMAPS_ATTRIBUTION,
+      },
+    };
+    layers = basemaps.layers("protomaps", basemaps.namedFlavor(id), { lang });
+  } else if (id === NO_BASEMAP) {
+    style.sources = {};
+    layers = [{ id: "basemap-none", type: "background", paint: { "background-color": "#f4f4f1" } }];
+  } else {
+    const raster = id === OSM_BASEMAP
+      ? { tiles: [osmTiles], attribution: "© OpenStreetMap contributors" }
+      : rasters.find((r) => r.id === id);
+    ({ sources: style.sources, layers } = rasterStyle(id, raster));
+  }
+
+  style.layers = tagged(layers);
+  return style;
+}
+
+/**
+ * Swap the basemap of a loaded map for `style` (from basemapStyle), below
+ * the component's own layers, which stay as they are with their filters.
+ */
+export function replaceBasemap(map, style) {
+  const current = map.getStyle();
+  const isBasemap = (layer) => !!layer.metadata?.[BASEMAP_METADATA];
+  const old = current.layers.filter(isBasemap);
+  const before = current.layers.find((layer) => !isBasemap(layer))?.id;
+
+  for (const layer of old) map.removeLayer(layer.id);
+  for (const source of new Set(old.map((layer) => layer.source))) {
+    if (source && map.getSource(source)) map.removeSource(source);
+  }
+
+  if (style.sprite) map.setSprite(style.sprite);
+  for (const [id, source] of Object.entries(style.sources)) map.addSource(id, source);
+  for (const layer of style.layers) map.addLayer(layer, before);
+}
+
+/**
+ * MapLibre control with a <select> of basemapChoices. Calls onChange(id)
+ * when the user picks another basemap; setValue(id) follows changes made
+ * elsewhere.
+ */
+export class BasemapControl {
+  constructor({ choices, value, onChange }) {
+    this.choices = choices;
+    this.value = value;
+    this.onChange = onChange;
+    this.container = null;
+    this.select = null;
+  }
+
+  onAdd() {
+    this.container = document.createElement("div");
+    this.container.className = "maplibregl-ctrl maplibregl-ctrl-group";
+
+    this.select = document.createElement("select");
+    this.select.title = "Basemap";
+    this.select.setAttribute("aria-label", "Basemap");
+    this.select.style.cssText = "border: 0; padding: 4px 6px; font: inherit; font-size: 12px; background: #fff; cursor: pointer;";
+    for (const { id, name } of this.choices) {
+      this.select.add(new Option(name, id, false, id === this.value));
+    }
+    this.select.addEventListener("change", () => {
+      this.value = this.select.value;
+      this.onChange(this.value);
+    });
+
+    this.container.appendChild(this.select);
+    return this.container;
+  }
+
+  onRemove() {
+    this.container?.remove();
+    this.container = null;
+    this.select = null;
+  }
+
+  setValue(id) {
+    this.value = id;
+    if (this.select) this.select.value = id;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Map view attributes of the map components
+ *
+ *   center  "lng,lat"
+ *   zoom    number
+ *   bounds  "west,south,east,north", wins over center and zoom
+ *
+ * Values that do not parse are ignored, leaving the map where it is.
+ *
+ * With the url-state attribute a component also keeps its state in the page
+ * URL, so a link opens the same view: in location.hash, or in the query
+ * parameter named by the attribute (url-state="map" gives ?map=...). The
+ * state is a list of key:value pairs,
+ *
+ *   #c:11.87680,45.40640;z:17;t:2;s:benches;b:ortho;l:it;f:<feature id>
+ *
+ * center, zoom, main type, subcategory, basemap, language, selected feature.
+ */
+
+function numbers(value, count) {
+  const parts = String(value ?? "").split(",").map((v) => Number(v.trim()));
+  return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+}
+
+export function parseCenter(value) {
+  const lngLat = numbers(value, 2);
+  return lngLat && Math.abs(lngLat[0]) <= 180 && Math.abs(lngLat[1]) <= 90 ? lngLat : null;
+}
+
+export function parseZoom(value) {
+  const zoom = numbers(value, 1);
+  return zoom && zoom[0] >= 0 && zoom[0] <= 24 ? zoom[0] : null;
+}
+
+export function parseBounds(value) {
+  const b = numbers(value, 4);
+  return b && b[0] < b[2] && b[1] < b[3] ? [[b[0], b[1]], [b[2], b[3]]] : null;
+}
+
+// MapLibre Map options for the first view: a URL `state`, the attributes, else `defaults` ({ center, zoom })
+export function initialView(element, defaults, state = null) {
+  if (state?.center || state?.zoom != null) {
+    return { center: state.center || defaults.center, zoom: state.zoom ?? defaults.zoom };
+  }
+  const bounds = parseBounds(element.getAttribute("bounds"));
+  if (bounds) return { bounds };
+  return {
+    center: parseCenter(element.getAttribute("center")) || defaults.center,
+    zoom: parseZoom(element.getAttribute("zoom")) ?? defaults.zoom,
+  };
+}
+
+// Move `map` for a changed center, zoom or bounds attribute
+export function applyViewAttribute(map, name, value) {
+  if (name === "bounds") {
+    const bounds = parseBounds(value);
+    if (bounds) map.fitBounds(bounds, { animate: false });
+  } else if (name === "center") {
+    const center = parseCenter(value);
+    if (center) map.jumpTo({ center });
+  } else if (name === "zoom") {
+    const zoom = parseZoom(value);
+    if (zoom !== null) map.jumpTo({ zoom });
+  }
+}
+
+const STATE_KEYS = {
+  center: "c",
+  zoom: "z",
+  category: "t",
+  subcategory: "s",
+  basemap: "b",
+  lang: "l",
+  feature: "f",
+};
+
+// Where the url-state attribute keeps the state: "hash" or a query parameter name, null when off
+export function urlStateOption(element) {
+  const value = element.getAttribute("url-state");
+  if (value === null) return null;
+  return value.trim() || "hash";
+}
+
+// "c:11.8768,45.4064;z:17;..." for { center, zoom, category, subcategory, basemap, lang, feature }
+export function serializeMapState(state) {
+  const values = {
+    ...state,
+    center: state.center && state.center.map((v) => v.toFixed(5)).join(","),
+    zoom: state.zoom != null ? String(Math.round(state.zoom * 100) / 100) : null,
+  };
+  return Object.entries(STATE_KEYS)
+    .filter(([name]) => values[name] != null && values[name] !== "")
+    .map(([name, key]) => `${key}:${encodeURIComponent(values[name]).replace(/%2C/g, ",")}`)
+    .join(";");
+}
+
+// The state of serializeMapState; keys that are missing or do not parse are left out
+export function parseMapState(text) {
+  const names = Object.fromEntries(Object.entries(STATE_KEYS).map(([name, key]) => [key, name]));
+  const state = {};
+  for (const pair of String(text || "").split(";")) {
+    const at = pair.indexOf(":");
+    const name = names[pair.slice(0, at)];
+    if (at < 0 || !name) continue;
+    let value;
+    try {
+      value = decodeURIComponent(pair.slice(at + 1));
+    } catch {
+      continue;
+    }
+    if (name === "center") value = parseCenter(value);
+    else if (name === "zoom") value = parseZoom(value);
+    if (value !== null && value !== "") state[name] = value;
+  }
+  return state;
+}
+
+// Raw value of query parameter `name`; the state is not form-encoded
+function queryValue(search, name) {
+  for (const part of search.replace(/^\?/, "").split("&")) {
+    const at = part.indexOf("=");
+    if (at > 0 && part.slice(0, at) === name) return part.slice(at + 1);
+  }
+  return null;
+}
+
+// The state in the page URL, or null when there is none
+export function readMapState(option, location = window.location) {
+  const text = option === "hash"
+    ? location.hash.replace(/^#/, "")
+    : queryValue(location.search, option);
+  if (!text) return null;
+  const state = parseMapState(text);
+  return Object.keys(state).length ? state : null;
+}
+
+// Put the state in the page URL, replacing the history entry so panning does not flood it
+export function writeMapState(option, state) {
+  const text = serializeMapState(state);
+  const url = new URL(window.location.href);
+
+  if (option === "hash") {
+    url.hash = text;
+  } else {
+    const others = url.search.replace(/^\?/, "").split("&")
+      .filter((part) => part && part.split("=")[0] !== option);
+    url.search = [...others, `${option}=${text}`].join("&");
+  }
+
+  if (url.href !== window.location.href) history.replaceState(history.state, "", url);
+}
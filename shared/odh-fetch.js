@@ -0,0 +1,78 @@
+/**
+ * ODH API requests with retries
+ *
+ * Shared by the worker refresh and the node scripts. Network errors, 429 and
+ * 5xx responses are retried with exponential backoff (full jitter); other
+ * errors fail at once. A 404 reads as "no more pages" and resolves to null.
+ */
+
+export const RETRY_DEFAULTS = {
+  retries: 4,           // Attempts after the first one
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+};
+
+// Delay before retry number `attempt` (1-based)
+export function backoffDelay(attempt, { baseDelayMs = RETRY_DEFAULTS.baseDelayMs, maxDelayMs = RETRY_DEFAULTS.maxDelayMs } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function isRetryable(error) {
+  if (error.status === undefined) return true;  // Network error, bad JSON
+  return error.status === 429 || error.status >= 500;
+}
+
+function httpError(response, url) {
+  const error = new Error(`ODH API error: ${response.status}`);
+  error.status = response.status;
+  error.url = url;
+  return error;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * GET a JSON document, retrying transient failures.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.retries]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {Function} [options.fetch] - fetch implementation (node-fetch in the scripts)
+ * @param {Function} [options.onRetry] - ({ attempt, delay, error }) before each wait
+ * @returns {Promise<Object|null>} parsed body, or null on 404
+ * @throws the last error, with `attempts` set, once retries are used up
+ */
+export async function fetchJsonWithRetry(url, options = {}) {
+  const {
+    retries = RETRY_DEFAULTS.retries,
+    baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+    maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+    fetch: fetchImpl = globalThis.fetch,
+    onRetry = null,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetchImpl(url, { headers: { Accept: "application/json" } });
+      if (response.status === 404) return null;
+      if (!response.ok) throw httpError(response, url);
+      return await response.json();
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      if (onRetry) onRetry({ attempt, delay, error });
+      await sleep(delay);
+    }
+  }
+}
+
+// Items of an ODH list response
+export function responseItems(json) {
+  return json?.Items ?? json?.items ?? [];
+}
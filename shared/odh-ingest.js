@@ -0,0 +1,169 @@
+/**
+ * Paged ODH ingest with a resumable checkpoint (node scripts only)
+ *
+ * Walks every page of an ODH list endpoint with fetchJsonWithRetry. Each
+ * processed page is appended to an NDJSON checkpoint file, so a run that
+ * stops on a failing page starts at that page next time instead of page 1.
+ * The run fails when the number of items fetched differs from TotalResults,
+ * so a truncated dataset is never written or published. The checkpoint is
+ * kept either way; a run with `reset` starts over from page 1.
+ *
+ * Checkpoint file: a header line { checkpoint, source, pagesize, startedAt }
+ * followed by one { page, items, totalResults, record } line per page.
+ */
+
+import fs from "fs";
+import { fetchJsonWithRetry, responseItems } from "./odh-fetch.js";
+
+const CHECKPOINT_VERSION = 1;
+
+function ingestError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+// Pages of an earlier run of the same query, or [] when there is none
+function readCheckpoint(file, source, pagesize) {
+  if (!file || !fs.existsSync(file)) return [];
+
+  const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    return [];
+  }
+  if (header.checkpoint !== CHECKPOINT_VERSION || header.source !== source || header.pagesize !== pagesize) {
+    return [];
+  }
+
+  const pages = [];
+  for (const line of lines.slice(1)) {
+    // A line cut short by the interruption ends the usable part
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      break;
+    }
+    if (entry.page !== pages.length + 1) break;
+    pages.push(entry);
+  }
+  return pages;
+}
+
+function writeCheckpoint(file, source, pagesize, pages) {
+  const header = { checkpoint: CHECKPOINT_VERSION, source, pagesize, startedAt: new Date().toISOString() };
+  const lines = [header, ...pages].map((entry) => JSON.stringify(entry));
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+}
+
+/**
+ * Fetch all pages of `url`.
+ *
+ * @param {Object} options
+ * @param {string|URL} options.url - endpoint with its query; pagenumber/pagesize are set here
+ * @param {number} options.pagesize
+ * @param {Function} options.processPage - (items, page) => record kept in the checkpoint (JSON)
+ * @param {Function} [options.restorePage] - (record, page) => void, replays a checkpointed page
+ * @param {string} [options.checkpointFile] - no checkpoint when omitted
+ * @param {boolean} [options.reset=false] - drop the checkpoint and start from page 1
+ * @param {Function} [options.onPage] - ({ page, totalPages, fetchedItems, restored }) after each page
+ * @param {number} [options.delayMs=0] - pause between requests
+ * @param {Object} [options.retry] - options for fetchJsonWithRetry (fetch, retries, onRetry, ...)
+ * @returns {Promise<{ totalResults: number|null, fetchedItems: number, pages: number, restoredPages: number, clearCheckpoint: Function }>}
+ *   Call clearCheckpoint() once the output is written.
+ * @throws code "PAGE_FAILED" (rerun resumes) or "COUNT_MISMATCH" (rerun with reset refetches);
+ *   the checkpoint is kept for both
+ */
+export async function ingestPages({
+  url,
+  pagesize,
+  processPage,
+  restorePage = () => {},
+  checkpointFile = null,
+  reset = false,
+  onPage = () => {},
+  delayMs = 0,
+  retry = {},
+}) {
+  const base = new URL(String(url));
+  base.searchParams.delete("pagenumber");
+  base.searchParams.set("pagesize", String(pagesize));
+  const source = base.toString();
+
+  const clearCheckpoint = () => {
+    if (checkpointFile && fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+  };
+
+  if (reset) clearCheckpoint();
+
+  // Resume: replay stored pages, then rewrite the file without any broken tail
+  const restored = readCheckpoint(checkpointFile, source, pagesize);
+  let totalResults = null;
+  let fetchedItems = 0;
+  let lastPage = 0;
+  let exhausted = false;
+  const totalPages = () => (totalResults === null ? null : Math.ceil(totalResults / pagesize));
+
+  for (const entry of restored) {
+    restorePage(entry.record, entry.page);
+    fetchedItems += entry.items;
+    totalResults = entry.totalResults ?? totalResults;
+    lastPage = entry.page;
+    if (entry.items < pagesize) exhausted = true;
+    onPage({ page: entry.page, totalPages: totalPages(), fetchedItems, restored: true });
+  }
+  if (checkpointFile) writeCheckpoint(checkpointFile, source, pagesize, restored);
+
+  let page = restored.length + 1;
+
+  while (!exhausted && (totalPages() === null || page <= totalPages())) {
+    const pageUrl = new URL(source);
+    pageUrl.searchParams.set("pagenumber", String(page));
+
+    let json;
+    try {
+      json = await fetchJsonWithRetry(pageUrl.toString(), retry);
+    } catch (error) {
+      throw ingestError(
+        "PAGE_FAILED",
+        `Page ${page} failed after ${error.attempts || 1} attempt(s): ${error.message}. Run again to resume from page ${page}.`,
+        { page, cause: error }
+      );
+    }
+
+    // 404 past the last page
+    if (json === null) break;
+
+    if (typeof json.TotalResults === "number") totalResults = json.TotalResults;
+    const items = responseItems(json);
+    if (items.length === 0) break;
+
+    const record = processPage(items, page);
+    fetchedItems += items.length;
+    lastPage = page;
+    if (checkpointFile) {
+      fs.appendFileSync(checkpointFile, JSON.stringify({ page, items: items.length, totalResults, record }) + "\n");
+    }
+    onPage({ page, totalPages: totalPages(), fetchedItems, restored: false });
+
+    if (items.length < pagesize) break;
+    page++;
+    if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+
+  if (totalResults !== null && fetchedItems !== totalResults) {
+    // Upstream changed or paged inconsistently; resuming would not help, so
+    // the operator decides whether to start over
+    throw ingestError(
+      "COUNT_MISMATCH",
+      `Fetched ${fetchedItems} items but the API reports TotalResults ${totalResults}. Run again with --reset to fetch every page again.`,
+      { fetchedItems, totalResults }
+    );
+  }
+
+  return { totalResults, fetchedItems, pages: lastPage, restoredPages: restored.length, clearCheckpoint };
+}
@@ -0,0 +1,102 @@
+/**
+ * UrbanGreen per-zoom tile rules
+ *
+ * Applied to the features of every tile before it is encoded, by the
+ * worker's KV tiles and the PMTiles generator alike, so low zoom tiles over
+ * Padova do not carry every tree with all its properties:
+ *   - furniture (type "2") only from z14
+ *   - below z13 the titles and names are left out; id, type, subtype, code
+ *     and active stay, as the clients filter, colour and describe by them
+ *   - at z10-12 vegetation points (the trees) become one density point per
+ *     grid cell and subtype, with `count` and `density: true`
+ *
+ * Density cells are the tiles CELL_ZOOM_OFFSET zooms deeper, so they never
+ * straddle two tiles and a single tile gets the same points as the whole
+ * dataset would.
+ */
+
+export const TILE_RULES = {
+  MIN_ZOOM_BY_TYPE: { "2": 14 },
+  FULL_PROPERTIES_ZOOM: 13,
+  SLIM_PROPERTIES: ["id", "type", "subtype", "code", "active"],
+  DENSITY: {
+    TYPE: "1",
+    MIN_ZOOM: 10,
+    MAX_ZOOM: 12,
+    CELL_ZOOM_OFFSET: 4,  // 16 x 16 cells per tile
+  },
+};
+
+// Extra properties of density points, for TileJSON and PMTiles field lists
+export const DENSITY_FIELDS = { count: "Number", density: "Boolean" };
+
+function cellOf([lng, lat], z) {
+  const n = Math.pow(2, z);
+  const latRad = lat * Math.PI / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return `${z}/${Math.min(Math.max(x, 0), n - 1)}/${Math.min(Math.max(y, 0), n - 1)}`;
+}
+
+function slimFeature(feature, keep) {
+  const properties = {};
+  for (const key of keep) {
+    if (feature.properties?.[key] !== undefined) properties[key] = feature.properties[key];
+  }
+  return { ...feature, properties };
+}
+
+// One point at the mean position of the cell's points; the subtype keeps subcategory filters working
+function densityFeature(cell, key, type) {
+  const round = (v) => Math.round(v / cell.count * 1e6) / 1e6;
+  const properties = { id: `density:${key}`, type, count: cell.count, density: true };
+  if (cell.subtype) properties.subtype = cell.subtype;
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [round(cell.lng), round(cell.lat)] },
+    properties,
+  };
+}
+
+/**
+ * Features of a tile at zoom `z` after the rules: dropped types left out,
+ * properties slimmed and points aggregated into density points where the
+ * zoom asks for it. Features are not modified; the result may share them.
+ *
+ * @param {Object[]} features - GeoJSON Features with canonical properties
+ * @param {number} z
+ * @param {Object} [rules=TILE_RULES]
+ * @returns {Object[]}
+ */
+export function featuresForZoom(features, z, rules = TILE_RULES) {
+  const { DENSITY } = rules;
+  const aggregate = z >= DENSITY.MIN_ZOOM && z <= DENSITY.MAX_ZOOM;
+  const slim = z < rules.FULL_PROPERTIES_ZOOM;
+  const cells = new Map();
+  const result = [];
+
+  for (const feature of features) {
+    const type = feature.properties?.type;
+    if (z < (rules.MIN_ZOOM_BY_TYPE[type] ?? 0)) continue;
+
+    if (aggregate && type === DENSITY.TYPE && feature.geometry?.type === "Point") {
+      const [lng, lat] = feature.geometry.coordinates;
+      const subtype = feature.properties.subtype || "";
+      const cellKey = cellOf([lng, lat], z + DENSITY.CELL_ZOOM_OFFSET);
+      const key = subtype ? `${cellKey}:${subtype}` : cellKey;
+      const cell = cells.get(key) || { lng: 0, lat: 0, count: 0, subtype };
+      cell.lng += lng;
+      cell.lat += lat;
+      cell.count++;
+      cells.set(key, cell);
+      continue;
+    }
+
+    result.push(slim ? slimFeature(feature, rules.SLIM_PROPERTIES) : feature);
+  }
+
+  for (const [key, cell] of cells) {
+    result.push(densityFeature(cell, key, DENSITY.TYPE));
+  }
+  return result;
+}
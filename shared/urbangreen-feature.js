@@ -0,0 +1,158 @@
+/**
+ * UrbanGreen canonical feature schema
+ *
+ * Turns an ODH UrbanGreen item into the GeoJSON Feature every producer
+ * emits: the worker's KV chunks and tiles, the PMTiles generator, the KV
+ * upload script, the bulk extract and the live-API web component.
+ *
+ * Properties:
+ *   id        ODH item Id
+ *   type      GreenCodeType as a string: "1" vegetation, "2" furniture, "3" zones
+ *   subtype   two-digit subtype, GreenCodeSubtype or digits 3-4 of the code
+ *   code      GreenCode, e.g. "P103108" ("" when missing)
+ *   active    boolean
+ *   title     title in the requested language (falls back to en, then any)
+ *   name_xx   title per language, only when names are requested
+ */
+
+import { parseWkt } from "./wkt.js";
+
+export const FEATURE_PROPERTIES = ["id", "type", "subtype", "code", "active", "title"];
+
+export function toNumber(v) {
+  if (v === null || v === undefined) return null;
+  const n = typeof v === "number" ? v : Number(String(v).replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Item.Geo is either { position: {...} } or a list/map of geo entries
+export function pickFirstGeo(geoObj) {
+  if (!geoObj) return null;
+  if (geoObj.position && typeof geoObj.position === "object") return geoObj.position;
+  const entries = Array.isArray(geoObj) ? geoObj : Object.values(geoObj);
+  if (!entries.length) return null;
+  const def = entries.find((e) => e && e.Default === true);
+  return def || entries[0];
+}
+
+export function getLocalizedTitle(item, lang) {
+  const d = item?.Detail;
+  if (!d || typeof d !== "object") return item?.Shortname || item?.Id || "Unknown";
+  if (d[lang]?.Title) return d[lang].Title;
+  if (d.en?.Title) return d.en.Title;
+  for (const v of Object.values(d)) {
+    if (v?.Title) return v.Title;
+  }
+  return item?.Shortname || item?.Id || "Unknown";
+}
+
+// { en: "Tree", it: "Albero", ... } for every language with a title
+export function getAllTitles(item) {
+  const titles = {};
+  const detail = item?.Detail && typeof item.Detail === "object" ? item.Detail : {};
+  for (const [lang, details] of Object.entries(detail)) {
+    if (details?.Title) titles[lang] = details.Title;
+  }
+  if (!Object.keys(titles).length) {
+    titles.en = item?.Shortname || item?.Id || "Unknown";
+  }
+  return titles;
+}
+
+/**
+ * Title of a feature stored with names: the first name_xx of `langs`, else
+ * its `title` (which already fell back to en, then any language).
+ */
+export function titleFromNames(properties, langs) {
+  for (const lang of langs) {
+    const name = properties[`name_${lang}`];
+    if (name) return name;
+  }
+  return properties.title;
+}
+
+// GreenCode is <geometry letter><type digit><subtype 2 digits>..., e.g. P103108
+export function codeSubtype(code) {
+  const str = String(code || "");
+  return str.length >= 4 ? str.substring(2, 4) : "";
+}
+
+// Latitude/Longitude of a Geo entry (or of the item itself) as a Point
+export function positionGeometry(item, geo, { precision = 6 } = {}) {
+  const lat = toNumber(geo?.Latitude ?? item?.Latitude);
+  const lng = toNumber(geo?.Longitude ?? item?.Longitude);
+  if (lat === null || lng === null) return null;
+
+  const factor = precision === null ? 1 : Math.pow(10, precision);
+  const round = (v) => (precision === null ? v : Math.round(v * factor) / factor);
+  return { type: "Point", coordinates: [round(lng), round(lat)] };
+}
+
+/**
+ * Geometry of an item: the WKT of its first (default) Geo entry, or its
+ * Latitude/Longitude as a point. Returns null when there is neither.
+ */
+export function itemGeometry(item, { precision = 6 } = {}) {
+  const g = pickFirstGeo(item?.Geo);
+  if (!g) return null;
+
+  const wktRaw = g.Geometry ?? g.geometry ?? null;
+  if (wktRaw) {
+    const geometry = parseWkt(wktRaw, { precision });
+    if (geometry) return geometry;
+  }
+
+  return positionGeometry(item, g, { precision });
+}
+
+/**
+ * Canonical properties of an item.
+ *
+ * @param {Object} item - ODH UrbanGreen item
+ * @param {Object} [options]
+ * @param {string} [options.lang="en"] - language of `title`
+ * @param {boolean|string[]} [options.names=false] - add name_xx for every
+ *   language (true) or for the listed ones
+ */
+export function itemProperties(item, { lang = "en", names = false } = {}) {
+  const code = item?.GreenCode ? String(item.GreenCode) : "";
+  const rawSubtype = item?.GreenCodeSubtype;
+  const subtype = rawSubtype === undefined || rawSubtype === null || rawSubtype === ""
+    ? codeSubtype(code)
+    : String(rawSubtype).padStart(2, "0");
+
+  const properties = {
+    id: item?.Id,
+    type: String(item?.GreenCodeType || ""),
+    subtype,
+    code,
+    active: !!item?.Active,
+    title: getLocalizedTitle(item, lang),
+  };
+
+  if (names) {
+    const titles = getAllTitles(item);
+    const langs = Array.isArray(names) ? names : Object.keys(titles);
+    for (const l of langs) {
+      if (titles[l]) properties[`name_${l}`] = titles[l];
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * ODH item -> canonical GeoJSON Feature, or null when it has no geometry.
+ * Options are those of itemProperties plus `precision` (coordinate decimals,
+ * null keeps all).
+ */
+export function itemToFeature(item, { lang = "en", names = false, precision = 6 } = {}) {
+  const geometry = itemGeometry(item, { precision });
+  if (!geometry) return null;
+
+  return {
+    type: "Feature",
+    geometry,
+    properties: itemProperties(item, { lang, names }),
+  };
+}
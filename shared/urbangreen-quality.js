@@ -0,0 +1,222 @@
+/**
+ * UrbanGreen data quality checks
+ *
+ * Validates ODH UrbanGreen items while they are turned into canonical
+ * features (see urbangreen-feature.js) and collects every problem in a
+ * machine-readable report, so fix lists can be sent back to the data owner
+ * instead of items silently disappearing.
+ *
+ * Issue classes:
+ *   missing_id           item has no Id                              reject
+ *   missing_geo          no Geo entry, WKT or Latitude/Longitude     reject
+ *   malformed_wkt        WKT that does not parse                     reject *
+ *   degenerate_geometry  only degenerate lines/rings                 reject *
+ *   degenerate_part      some lines/rings dropped, rest kept         flag
+ *   outside_envelope     a position outside the Padova envelope      reject
+ *   duplicate_id         Id already seen, one copy kept              reject
+ *   unknown_type         GreenCodeType not 1, 2 or 3                 flag
+ *   unknown_subtype      subtype without a map category              flag
+ *
+ * (*) flagged instead when the Geo entry has a usable Latitude/Longitude,
+ * which is then used as a point like itemToFeature does.
+ * Rejected items produce no feature; flagged ones are kept.
+ */
+
+import { readWkt, eachPosition } from "./wkt.js";
+import { pickFirstGeo, positionGeometry, itemProperties } from "./urbangreen-feature.js";
+
+// [west, south, east, north], the municipality with a margin
+export const PADOVA_ENVELOPE = [11.7, 45.3, 12.05, 45.5];
+
+// Subtypes the map components have a category for, per GreenCodeType
+export const KNOWN_SUBTYPES = {
+  "1": ["01", "02", "03"],
+  "2": ["13", "14", "19", "22", "23", "24"],
+  "3": ["25", "26", "27"],
+};
+
+export const ISSUE_CLASSES = [
+  "missing_id",
+  "missing_geo",
+  "malformed_wkt",
+  "degenerate_geometry",
+  "degenerate_part",
+  "outside_envelope",
+  "duplicate_id",
+  "unknown_type",
+  "unknown_subtype",
+];
+
+// Issues listed per report; counts are always complete
+export const MAX_REPORT_ISSUES = 5000;
+
+const WKT_SAMPLE_LENGTH = 120;
+
+export function createQualityReport(extra = {}) {
+  return {
+    generatedAt: new Date().toISOString(),
+    ...extra,
+    checked: 0,
+    accepted: 0,
+    rejected: 0,
+    flagged: 0,
+    counts: Object.fromEntries(ISSUE_CLASSES.map((c) => [c, 0])),
+    issues: [],
+    truncated: false,
+  };
+}
+
+/**
+ * Add one issue: { id, code, class, severity: "reject" | "flag", detail, wkt? }.
+ * Only counts the issue; checked/accepted/rejected are kept by the validator.
+ */
+export function addIssue(report, issue) {
+  report.counts[issue.class] = (report.counts[issue.class] || 0) + 1;
+  if (report.issues.length < MAX_REPORT_ISSUES) {
+    report.issues.push(issue);
+  } else {
+    report.truncated = true;
+  }
+}
+
+// Fold `source` (e.g. one batch) into `target`
+export function mergeQualityReports(target, source) {
+  for (const key of ["checked", "accepted", "rejected", "flagged"]) {
+    target[key] += source[key];
+  }
+  for (const [cls, count] of Object.entries(source.counts)) {
+    target.counts[cls] = (target.counts[cls] || 0) + count;
+  }
+  const room = Math.max(0, MAX_REPORT_ISSUES - target.issues.length);
+  target.issues.push(...source.issues.slice(0, room));
+  target.truncated = target.truncated || source.truncated || source.issues.length > room;
+  return target;
+}
+
+// The report without its issue list
+export function summarizeQualityReport(report) {
+  if (!report) return null;
+  const { issues, ...summary } = report;
+  return { ...summary, listedIssues: issues.length };
+}
+
+function outsideEnvelope(geometry, [west, south, east, north]) {
+  let outside = null;
+  eachPosition(geometry, (p) => {
+    if (outside) return;
+    if (p[0] < west || p[0] > east || p[1] < south || p[1] > north) outside = p;
+  });
+  return outside;
+}
+
+function wktSample(wkt) {
+  const text = String(wkt);
+  return text.length > WKT_SAMPLE_LENGTH ? `${text.slice(0, WKT_SAMPLE_LENGTH)}...` : text;
+}
+
+/**
+ * Geometry of an item with the issues found reading it.
+ * Mirrors itemGeometry: WKT first, Latitude/Longitude as fallback.
+ */
+function checkGeometry(item, precision) {
+  const geo = pickFirstGeo(item?.Geo);
+  const wkt = geo ? geo.Geometry ?? geo.geometry ?? null : null;
+  const fallback = () => positionGeometry(item, geo, { precision });
+
+  if (!wkt) {
+    const geometry = fallback();
+    return geometry
+      ? { geometry, issues: [] }
+      : { geometry: null, issues: [{ class: "missing_geo", severity: "reject", detail: geo ? "Geo entry without Geometry or Latitude/Longitude" : "no Geo" }] };
+  }
+
+  const { geometry, status, dropped } = readWkt(wkt, { precision });
+
+  if (status === "ok") {
+    const issues = dropped
+      ? [{ class: "degenerate_part", severity: "flag", detail: `${dropped} degenerate line(s)/ring(s) dropped`, wkt: wktSample(wkt) }]
+      : [];
+    return { geometry, issues };
+  }
+
+  const point = fallback();
+  if (status === "empty") {
+    return point
+      ? { geometry: point, issues: [] }
+      : { geometry: null, issues: [{ class: "missing_geo", severity: "reject", detail: "EMPTY geometry" }] };
+  }
+
+  const issue = status === "degenerate"
+    ? { class: "degenerate_geometry", detail: "lines need 2 positions, rings 4", wkt: wktSample(wkt) }
+    : { class: "malformed_wkt", detail: "WKT does not parse", wkt: wktSample(wkt) };
+
+  return point
+    ? { geometry: point, issues: [{ ...issue, severity: "flag", detail: `${issue.detail}, used Latitude/Longitude` }] }
+    : { geometry: null, issues: [{ ...issue, severity: "reject" }] };
+}
+
+/**
+ * Validator for one pass over ODH items. Duplicate Ids are detected within
+ * the pass; the first accepted copy is kept.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.lang="en"] - passed to itemProperties
+ * @param {boolean|string[]} [options.names=false] - passed to itemProperties
+ * @param {number|null} [options.precision=6] - coordinate decimals
+ * @param {number[]} [options.envelope=PADOVA_ENVELOPE] - [west, south, east, north]
+ * @param {Object} [options.report] - report to add to (default: a new one)
+ * @param {Set} [options.seenIds] - Ids accepted so far, to share between validators
+ * @returns {{ report: Object, toFeature: (item: Object) => Object|null }}
+ */
+export function createValidator({
+  lang = "en",
+  names = false,
+  precision = 6,
+  envelope = PADOVA_ENVELOPE,
+  report = createQualityReport(),
+  seenIds = new Set(),
+} = {}) {
+
+  function toFeature(item) {
+    report.checked++;
+    const properties = itemProperties(item, { lang, names });
+    const { id, code, type, subtype } = properties;
+    const issues = [];
+
+    if (id === undefined || id === null || id === "") {
+      issues.push({ class: "missing_id", severity: "reject", detail: "item without Id" });
+    } else if (seenIds.has(id)) {
+      issues.push({ class: "duplicate_id", severity: "reject", detail: "Id repeated, first copy kept" });
+    }
+
+    const checked = checkGeometry(item, precision);
+    issues.push(...checked.issues);
+
+    if (checked.geometry) {
+      const outside = outsideEnvelope(checked.geometry, envelope);
+      if (outside) {
+        issues.push({ class: "outside_envelope", severity: "reject", detail: `position ${outside[0]} ${outside[1]} outside ${envelope.join(",")}` });
+      }
+    }
+
+    if (!KNOWN_SUBTYPES[type]) {
+      issues.push({ class: "unknown_type", severity: "flag", detail: `GreenCodeType "${type}"` });
+    } else if (!KNOWN_SUBTYPES[type].includes(subtype)) {
+      issues.push({ class: "unknown_subtype", severity: "flag", detail: `subtype "${subtype}" of type ${type}` });
+    }
+
+    for (const issue of issues) addIssue(report, { id: id ?? null, code, ...issue });
+
+    if (!checked.geometry || issues.some((issue) => issue.severity === "reject")) {
+      report.rejected++;
+      return null;
+    }
+    seenIds.add(id);
+    report.accepted++;
+    if (issues.length) report.flagged++;
+
+    return { type: "Feature", geometry: checked.geometry, properties };
+  }
+
+  return { report, toFeature };
+}
@@ -0,0 +1,268 @@
+/**
+ * UrbanGreen shared WKT reader
+ *
+ * One parser for the ODH `Geo.*.Geometry` strings, used by the tile worker,
+ * the generator/upload scripts and the web component.
+ *
+ * Reads every OGC simple-feature type into GeoJSON geometry:
+ * POINT, LINESTRING, POLYGON (with holes), MULTIPOINT, MULTILINESTRING,
+ * MULTIPOLYGON and GEOMETRYCOLLECTION.
+ * - SRID prefixes (EWKT "SRID=4326;POINT(...)") and the ODH ";SRID=4326" suffix are stripped
+ * - Z / M / ZM ordinates are accepted and dropped
+ * - EMPTY geometries (and collections left without parts) read as null
+ * - Unclosed polygon rings are closed; degenerate lines and rings are dropped
+ */
+
+const TYPES = {
+  POINT: "Point",
+  LINESTRING: "LineString",
+  POLYGON: "Polygon",
+  MULTIPOINT: "MultiPoint",
+  MULTILINESTRING: "MultiLineString",
+  MULTIPOLYGON: "MultiPolygon",
+  GEOMETRYCOLLECTION: "GeometryCollection",
+};
+
+const TYPE_PATTERN = /\b(GEOMETRYCOLLECTION|MULTIPOLYGON|MULTILINESTRING|MULTIPOINT|POLYGON|LINESTRING|POINT)(ZM|Z|M)?\b/i;
+
+const TOKEN_PATTERN = /\s*([A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),])/y;
+
+/**
+ * Pull the WKT out of an ODH geometry value: drops SRID prefix/suffix and
+ * anything before the geometry keyword. Returns null when there is none.
+ */
+export function extractWktString(maybeWkt) {
+  if (!maybeWkt || typeof maybeWkt !== "string") return null;
+  const cleaned = maybeWkt
+    .replace(/;\s*SRID=\d+\s*$/i, "")
+    .replace(/^\s*SRID=\d+\s*;/i, "")
+    .trim();
+  const m = cleaned.match(TYPE_PATTERN);
+  if (!m) return null;
+  return cleaned.slice(m.index).trim();
+}
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const m = TOKEN_PATTERN.exec(text);
+    if (!m) {
+      // Only trailing whitespace may be left over
+      if (text.slice(start).trim() === "") break;
+      return null;
+    }
+    tokens.push(m[1]);
+  }
+  return tokens;
+}
+
+function isNumber(token) {
+  return token !== undefined && /^[-+.\d]/.test(token);
+}
+
+class Reader {
+  constructor(tokens, round) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.round = round;
+    this.dropped = 0;  // degenerate lines/rings left out
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(token) {
+    if (this.next() !== token) throw new SyntaxError(`Expected "${token}"`);
+  }
+
+  // "EMPTY" in place of a coordinate or member list
+  empty() {
+    if (String(this.peek()).toUpperCase() !== "EMPTY") return false;
+    this.pos++;
+    return true;
+  }
+
+  // lng lat [z [m]], extra ordinates are read and discarded
+  position() {
+    const values = [];
+    while (isNumber(this.peek())) values.push(Number(this.next()));
+    if (values.length < 2 || !values.every(Number.isFinite)) throw new SyntaxError("Invalid position");
+    return [this.round(values[0]), this.round(values[1])];
+  }
+
+  // "(" item ("," item)* ")" or EMPTY
+  list(readItem) {
+    if (this.empty()) return [];
+    this.expect("(");
+    const items = [readItem()];
+    while (this.peek() === ",") {
+      this.pos++;
+      items.push(readItem());
+    }
+    this.expect(")");
+    return items;
+  }
+
+  positions() {
+    return this.list(() => this.position());
+  }
+
+  // MULTIPOINT allows both ((1 2), (3 4)) and (1 2, 3 4)
+  multiPointMember() {
+    if (this.empty()) return null;
+    if (this.peek() !== "(") return this.position();
+    const points = this.positions();
+    return points.length ? points[0] : null;
+  }
+
+  // Holes without a usable outer ring are meaningless, so those read as []
+  polygon() {
+    const rings = this.list(() => this.positions()).map(closeRing);
+    const valid = rings.filter(Boolean);
+    if (!rings[0]) {
+      this.dropped += rings.length;
+      return [];
+    }
+    this.dropped += rings.length - valid.length;
+    return valid;
+  }
+
+  // Lines need two positions
+  line() {
+    const line = this.positions();
+    if (line.length >= 2) return line;
+    this.dropped++;
+    return null;
+  }
+
+  geometry() {
+    const keyword = String(this.next()).toUpperCase();
+    const baseType = keyword.replace(/(ZM|Z|M)$/, "");
+    const type = TYPES[keyword] || TYPES[baseType];
+    if (!type) throw new SyntaxError(`Unknown geometry type ${keyword}`);
+
+    const dims = String(this.peek()).toUpperCase();
+    if (dims === "Z" || dims === "M" || dims === "ZM") this.pos++;
+
+    switch (type) {
+      case "Point": {
+        if (this.empty()) return null;
+        this.expect("(");
+        const coordinates = this.position();
+        this.expect(")");
+        return { type, coordinates };
+      }
+      case "LineString": {
+        const coordinates = this.line();
+        return coordinates ? { type, coordinates } : null;
+      }
+      case "Polygon": {
+        const coordinates = this.polygon();
+        return coordinates.length ? { type, coordinates } : null;
+      }
+      case "MultiPoint": {
+        const coordinates = this.list(() => this.multiPointMember()).filter(Boolean);
+        return coordinates.length ? { type, coordinates } : null;
+      }
+      case "MultiLineString": {
+        const coordinates = this.list(() => this.line()).filter(Boolean);
+        return coordinates.length ? { type, coordinates } : null;
+      }
+      case "MultiPolygon": {
+        const coordinates = this.list(() => this.polygon()).filter((polygon) => polygon.length);
+        return coordinates.length ? { type, coordinates } : null;
+      }
+      case "GeometryCollection": {
+        const geometries = this.list(() => this.geometry()).filter(Boolean);
+        return geometries.length ? { type, geometries } : null;
+      }
+    }
+    return null;
+  }
+}
+
+// GeoJSON rings are closed and have at least 4 positions
+function closeRing(ring) {
+  if (ring.length < 3) return null;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  const closed = first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+  return closed.length >= 4 ? closed : null;
+}
+
+/**
+ * Read a WKT string and say why nothing usable came out of it.
+ *
+ * status is one of:
+ *   "ok"          geometry read (degenerate parts may have been dropped, see `dropped`)
+ *   "empty"       EMPTY geometry
+ *   "degenerate"  only degenerate lines/rings (fewer than 2 / 4 positions)
+ *   "malformed"   no geometry keyword, unsupported type or a syntax error
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number|null} [options.precision=6] - decimals kept per ordinate (null keeps all)
+ * @returns {{ geometry: Object|null, status: string, dropped: number }}
+ */
+export function readWkt(text, { precision = 6 } = {}) {
+  const malformed = { geometry: null, status: "malformed", dropped: 0 };
+  let wkt = extractWktString(text);
+  if (!wkt) return malformed;
+
+  // Some ODH points use decimal commas: POINT (11,87 45,40)
+  wkt = wkt.replace(/^(POINT\s*\(\s*)(-?\d+),(\d+)\s+(-?\d+),(\d+)(\s*\))/i, "$1$2.$3 $4.$5$6");
+
+  const tokens = tokenize(wkt);
+  if (!tokens) return malformed;
+
+  const factor = precision === null ? null : Math.pow(10, precision);
+  const round = factor === null ? (v) => v : (v) => Math.round(v * factor) / factor;
+
+  try {
+    const reader = new Reader(tokens, round);
+    const geometry = reader.geometry();
+    // Trailing tokens mean the string was not a single geometry
+    if (reader.pos !== tokens.length) return malformed;
+    const { dropped } = reader;
+    if (geometry) return { geometry, status: "ok", dropped };
+    return { geometry: null, status: dropped ? "degenerate" : "empty", dropped };
+  } catch (error) {
+    if (error instanceof SyntaxError) return malformed;
+    throw error;
+  }
+}
+
+/**
+ * Parse a WKT (or EWKT / ODH ";SRID=" suffixed) string into a GeoJSON
+ * geometry. Returns null for EMPTY, degenerate, unsupported or malformed input.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number|null} [options.precision=6] - decimals kept per ordinate (null keeps all)
+ * @returns {Object|null}
+ */
+export function parseWkt(text, options) {
+  return readWkt(text, options).geometry;
+}
+
+/**
+ * Call fn([lng, lat]) for every position of a GeoJSON geometry.
+ */
+export function eachPosition(geometry, fn) {
+  if (!geometry) return;
+  if (geometry.type === "GeometryCollection") {
+    for (const g of geometry.geometries) eachPosition(g, fn);
+    return;
+  }
+  const walk = (coords) => {
+    if (typeof coords[0] === "number") return fn(coords);
+    for (const c of coords) walk(c);
+  };
+  walk(geometry.coordinates);
+}
@@ -0,0 +1,32 @@
+import maplibregl from "maplibre-gl";
+import * as pmtiles from "pmtiles";
+import basemaps from "../vendor/basemaps.esm.js";
+import { basemapStyle, parseRasterBasemaps } from "../../shared/basemap-style.js";
+
+// One pmtiles:// protocol per page, shared by every component instance
+export function pmtilesProtocol() {
+  if (!window.__pmtilesProtocol) {
+    window.__pmtilesProtocol = new pmtiles.Protocol();
+    maplibregl.addProtocol("pmtiles", window.__pmtilesProtocol.tile);
+  }
+  return window.__pmtilesProtocol;
+}
+
+// Basemap options from the basemap, basemap-url, basemap-flavor,
+// basemap-rasters, basemap-assets and basemap-osm-url attributes
+export function basemapOptions(element, lang) {
+  return {
+    basemap: element.getAttribute("basemap") || undefined,
+    url: element.getAttribute("basemap-url") || "",
+    flavor: element.getAttribute("basemap-flavor") || undefined,
+    rasters: parseRasterBasemaps(element.getAttribute("basemap-rasters")),
+    assets: element.getAttribute("basemap-assets") || undefined,
+    osmTiles: element.getAttribute("basemap-osm-url") || undefined,
+    lang,
+  };
+}
+
+export function createBasemapStyle(options) {
+  if (options.url) pmtilesProtocol();
+  return basemapStyle(basemaps, options);
+}
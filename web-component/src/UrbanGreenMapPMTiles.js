@@ -1,9 +1,43 @@
 import maplibregl from "maplibre-gl";
 import "maplibre-gl/dist/maplibre-gl.css";
 import * as pmtiles from "pmtiles";
+import { basemapOptions, createBasemapStyle, pmtilesProtocol } from "./Basemap.js";
+import { BasemapControl, basemapChoices, replaceBasemap, resolveBasemap } from "../../shared/basemap-style.js";
+import { applyViewAttribute, initialView, readMapState, urlStateOption, writeMapState } from "../../shared/map-view.js";
+import { codeSubtype, titleFromNames } from "../../shared/urbangreen-feature.js";
 
 const DEFAULT_CENTER = [11.8768, 45.4064];
 const DEFAULT_ZOOM = 11;
+const DEFAULT_PMTILES_URL = "https://pub-6af0cab720894f57a27ad4199ce3ffa3.r2.dev/urbangreen.pmtiles";
+const LAYER_PREFIXES = ["polygons-fill", "polygons-outline", "lines", "points"];
+
+// Archives built before the shared feature module (like the one at
+// DEFAULT_PMTILES_URL until it is regenerated) carry only the GreenCode, as
+// `greenCode` or `code`: type and subtype are sliced from it there
+const GREEN_CODE = ["to-string", ["coalesce", ["get", "code"], ["get", "greenCode"], ""]];
+const TYPE = ["coalesce", ["get", "type"], ["slice", GREEN_CODE, 1, 2]];
+const SUBTYPE = ["coalesce", ["get", "subtype"], ["slice", GREEN_CODE, 2, 4]];
+
+// Properties of a feature of either archive schema
+function featureCode(p) {
+  return String(p.code || p.greenCode || "");
+}
+
+function featureType(p) {
+  return p.type || featureCode(p).charAt(1);
+}
+
+// Multi-part geometries match subcategories like their single-part type
+function baseGeometryType(type) {
+  return String(type || "").replace(/^Multi/, "");
+}
+
+// First vertex of any geometry, used to fly to a feature
+function firstCoordinate(geometry) {
+  let coords = geometry?.coordinates;
+  while (Array.isArray(coords?.[0])) coords = coords[0];
+  return coords?.length >= 2 ? coords : null;
+}
 
 const MAIN_TYPES = {
   "1": {
@@ -39,11 +73,16 @@ const MAIN_TYPES = {
 };
 
 class UrbanGreenMapPMTiles extends HTMLElement {
+  static get observedAttributes() {
+    return ["pmtiles-url", "language", "center", "zoom", "bounds", "category", "subcategory", "height"];
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: "open" });
 
     this.map = null;
+    this._mapLoaded = false;
     this.pmtilesUrl = null;
     this.lang = "en";
     this.currentMainType = null;
@@ -51,15 +90,21 @@ class UrbanGreenMapPMTiles extends HTMLElement {
     this._sidebar = null;
     this._sidebarTitle = null;
     this._sidebarContent = null;
+    this._selectedId = null;
+    this.urlState = null;
+    this._restoredState = null;
+    this._pendingFeatureId = null;
   }
 
   connectedCallback() {
-    this.pmtilesUrl = this.getAttribute("pmtiles-url") ||
-      "https://pub-6af0cab720894f57a27ad4199ce3ffa3.r2.dev/urbangreen.pmtiles";
+    this.restoreUrlState();
+    this.pmtilesUrl = this.getAttribute("pmtiles-url") || DEFAULT_PMTILES_URL;
     this.lang = this.getAttribute("language") || "en";
 
+    this.applyHeight();
     this.render();
     this.initMap();
+    this.applyFilterAttributes();
   }
 
   disconnectedCallback() {
@@ -67,9 +112,149 @@ class UrbanGreenMapPMTiles extends HTMLElement {
     if (this.map) {
       this.map.remove();
       this.map = null;
+      this._mapLoaded = false;
+    }
+  }
+
+  // Until connectedCallback, initMap and applyFilterAttributes read the attributes
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (oldVal === newVal) return;
+
+    if (name === "height") {
+      this.applyHeight();
+    }
+
+    if (!this.map) return;
+
+    if (name === "pmtiles-url") {
+      this.pmtilesUrl = newVal || DEFAULT_PMTILES_URL;
+      this.closeSidebar();
+      if (this._mapLoaded) this.reloadArchive();
+    }
+
+    // Every language is in the archive: only the sidebar and the basemap labels change
+    if (name === "language") {
+      this.lang = newVal || "en";
+      this.closeSidebar();
+      this.basemap = { ...this.basemap, lang: this.lang };
+      if (this.basemap.url) this.setBasemap(resolveBasemap(this.basemap));
+      this.saveUrlState();
+    }
+
+    if (name === "center" || name === "zoom" || name === "bounds") {
+      applyViewAttribute(this.map, name, newVal);
+    }
+
+    if (name === "category" || name === "subcategory") {
+      this.applyFilterAttributes();
+    }
+  }
+
+  // url-state: a visited link's language, basemap and filter become attributes, its view goes to initMap
+  restoreUrlState() {
+    this.urlState = urlStateOption(this);
+    const state = this.urlState ? readMapState(this.urlState) : null;
+    this._restoredState = state;
+    this._pendingFeatureId = state?.feature || null;
+    if (!state) return;
+
+    if (state.lang) this.setAttribute("language", state.lang);
+    if (state.basemap) this.setAttribute("basemap", state.basemap);
+    // Filters the link leaves out keep the page's attributes; a subcategory
+    // only applies under its category, so a linked category replaces both
+    if (state.category) {
+      this.setAttribute("category", state.category);
+      this.setAttribute("subcategory", state.subcategory || "");
+    } else if (state.subcategory) {
+      this.setAttribute("subcategory", state.subcategory);
+    }
+  }
+
+  saveUrlState() {
+    if (!this.urlState || !this._mapLoaded) return;
+    const { lng, lat } = this.map.getCenter();
+    writeMapState(this.urlState, {
+      center: [lng, lat],
+      zoom: this.map.getZoom(),
+      category: this.currentMainType,
+      subcategory: this.currentSubcategory,
+      basemap: resolveBasemap(this.basemap),
+      lang: this.lang,
+      feature: this._selectedId || this._pendingFeatureId,
+    });
+  }
+
+  // The feature selected in a visited link, from the archive tiles of the restored view
+  reopenFeature(id) {
+    this.map.once("idle", () => {
+      const [feature] = this.map.querySourceFeatures("urbangreen", {
+        sourceLayer: "urbangreen",
+        filter: ["==", ["get", "id"], id]
+      });
+      this._pendingFeatureId = null;
+      if (!feature) {
+        this.saveUrlState();
+        return;
+      }
+
+      const type = featureType(feature.properties || {});
+      if (MAIN_TYPES[type] && type !== this.currentMainType) this.setCategory(type);
+      this.showSidebar(feature);
+    });
+  }
+
+  applyHeight() {
+    const height = this.getAttribute("height");
+    if (height) this.style.height = height;
+    this.map?.resize();
+  }
+
+  // The category attribute, then the subcategory one when the category has it
+  applyFilterAttributes() {
+    const category = this.getAttribute("category");
+    const subcategory = this.getAttribute("subcategory");
+
+    if (category !== null) {
+      if (category && !MAIN_TYPES[category]) {
+        console.warn(`Ignoring unknown category "${category}"`);
+        return;
+      }
+      this.setCategory(category || null);
+    }
+
+    if (!subcategory) {
+      if (subcategory === "") this.setSubcategory(null);
+    } else if (MAIN_TYPES[this.currentMainType]?.subcategories[subcategory]) {
+      this.setSubcategory(subcategory);
+    } else {
+      console.warn(`Ignoring subcategory "${subcategory}" for category ${this.currentMainType}`);
     }
   }
 
+  setCategory(type) {
+    const category = type ? String(type) : null;
+    const select = this.shadowRoot.querySelector("#mainTypeSelect");
+    if (select) select.value = category || "";
+    if (category === this.currentMainType) return;
+
+    this.currentMainType = category;
+    this.currentSubcategory = null;
+    this.closeSidebar();
+    this.renderSubcategoryButtons();
+    if (this._mapLoaded) this.updateLayerVisibility();
+    this.saveUrlState();
+  }
+
+  setSubcategory(key) {
+    const subcategory = key || null;
+    if (subcategory === this.currentSubcategory) return;
+
+    this.currentSubcategory = subcategory;
+    this.renderSubcategoryButtons();
+    if (this._mapLoaded) this.updateLayerVisibility();
+    this.saveUrlState();
+  }
+
   render() {
     this.shadowRoot.innerHTML = `
       <style>
@@ -465,11 +650,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
     });
 
     this.shadowRoot.querySelector("#mainTypeSelect").addEventListener("change", (e) => {
-      this.currentMainType = e.target.value || null;
-      this.currentSubcategory = null;
-      this.closeSidebar();
-      this.renderSubcategoryButtons();
-      this.updateLayerVisibility();
+      this.setCategory(e.target.value || null);
     });
 
     this.renderSubcategoryButtons();
@@ -480,53 +661,27 @@ class UrbanGreenMapPMTiles extends HTMLElement {
       console.log('Initializing PMTiles map...');
       console.log('PMTiles URL:', this.pmtilesUrl);
 
-      if (!window.__pmtilesProtocol) {
-        console.log('Registering PMTiles protocol...');
-        window.__pmtilesProtocol = new pmtiles.Protocol();
-        maplibregl.addProtocol("pmtiles", window.__pmtilesProtocol.tile);
-        console.log('PMTiles protocol registered');
-      }
-      const protocol = window.__pmtilesProtocol;
-
-      const style = {
-        version: 8,
-        sources: {
-          osm: {
-            type: "raster",
-            tiles: ["https://tile.openstreetmap.org/{z}/{x}/{y}.png"],
-            tileSize: 256,
-            attribution: "© OpenStreetMap contributors"
-          }
-        },
-        layers: [
-          {
-            id: "osm",
-            type: "raster",
-            source: "osm"
-          }
-        ]
-      };
+      pmtilesProtocol();
+      this.basemap = basemapOptions(this, this.lang);
+      const style = createBasemapStyle(this.basemap);
 
       this.map = new maplibregl.Map({
         container: this.shadowRoot.querySelector("#map"),
         style: style,
-        center: DEFAULT_CENTER,
-        zoom: DEFAULT_ZOOM
+        ...initialView(this, { center: DEFAULT_CENTER, zoom: DEFAULT_ZOOM }, this._restoredState)
       });
 
-      this.map.on("load", async () => {
+      this.map.on("load", () => {
         console.log('Map loaded successfully');
-
-        const archive = new pmtiles.PMTiles(this.pmtilesUrl);
-        this.archive = archive;
-        protocol.add(archive);
-        console.log('PMTiles archive added to protocol');
-
-        this.addPMTilesSource();
-        this.createLayers();
+        this._mapLoaded = true;
+        this.loadArchive();
         this.setupInteractivity();
+        if (this._pendingFeatureId) this.reopenFeature(this._pendingFeatureId);
+        this.saveUrlState();
       });
 
+      this.map.on("moveend", () => this.saveUrlState());
+
       this.map.on("click", (e) => {
         if (!e.defaultPrevented) {
           this.closeSidebar();
@@ -538,12 +693,52 @@ class UrbanGreenMapPMTiles extends HTMLElement {
       });
 
       this.map.addControl(new maplibregl.NavigationControl());
+      this.basemapControl = new BasemapControl({
+        choices: basemapChoices(this.basemap),
+        value: resolveBasemap(this.basemap),
+        onChange: (id) => this.setBasemap(id),
+      });
+      this.map.addControl(this.basemapControl);
 
     } catch (error) {
       console.error(' Failed to initialize map:', error);
     }
   }
 
+  // Swap the background only; the UrbanGreen layers and their filters stay
+  setBasemap(id) {
+    this.basemap = { ...this.basemap, basemap: id };
+    this.basemapControl?.setValue(resolveBasemap(this.basemap));
+    if (!this.map) return;
+
+    const apply = () => replaceBasemap(this.map, createBasemapStyle(this.basemap));
+    if (this._mapLoaded) apply();
+    else this.map.once("load", apply);
+    this.saveUrlState();
+  }
+
+  loadArchive() {
+    this.archive = new pmtiles.PMTiles(this.pmtilesUrl);
+    pmtilesProtocol().add(this.archive);
+    console.log('PMTiles archive added to protocol');
+
+    this.addPMTilesSource();
+    this.createLayers();
+    this.updateLayerVisibility();
+  }
+
+  // A new pmtiles-url: the UrbanGreen layers and source again, the basemap stays
+  reloadArchive() {
+    ["1", "2", "3"].forEach((type) => {
+      LAYER_PREFIXES.forEach((prefix) => {
+        const layerId = `${prefix}-${type}`;
+        if (this.map.getLayer(layerId)) this.map.removeLayer(layerId);
+      });
+    });
+    if (this.map.getSource('urbangreen')) this.map.removeSource('urbangreen');
+    this.loadArchive();
+  }
+
   addPMTilesSource() {
     try {
       console.log('Adding PMTiles source...');
@@ -581,7 +776,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
       try {
         const typeFilter = [
           "==",
-          ["slice", ["to-string", ["get", "greenCode"]], 1, 2],
+          TYPE,
           type
         ];
 
@@ -654,7 +849,13 @@ class UrbanGreenMapPMTiles extends HTMLElement {
           ],
           paint: {
             "circle-color": subcategoryColor,
-            "circle-radius": 6,
+            // Density points (z10-12) stand for `count` trees
+            "circle-radius": [
+              "case",
+              ["has", "count"],
+              ["interpolate", ["linear"], ["get", "count"], 1, 3, 100, 12],
+              6
+            ],
             "circle-stroke-width": 2,
             "circle-stroke-color": "#fff"
           },
@@ -691,6 +892,11 @@ class UrbanGreenMapPMTiles extends HTMLElement {
         e.preventDefault();
         const f = e.features?.[0];
         if (!f) return;
+        // Low zoom tiles only have id/type and density points: zoom in to the details
+        if (f.properties?.density) {
+          this.map.easeTo({ center: e.lngLat, zoom: Math.max(this.map.getZoom() + 2, 13) });
+          return;
+        }
         this.showSidebar(f);
       });
     });
@@ -706,9 +912,8 @@ class UrbanGreenMapPMTiles extends HTMLElement {
     let subcatKey = "";
 
     if (mainType) {
-      const greenCode = String(p.greenCode || "");
-      const subtype = greenCode.length >= 4 ? greenCode.substring(2, 4) : "";
-      const geomType = feature.geometry?.type;
+      const subtype = p.subtype || codeSubtype(featureCode(p));
+      const geomType = baseGeometryType(feature.geometry?.type);
 
       for (const [key, subcat] of Object.entries(mainType.subcategories)) {
         const subtypeMatch = subcat.subtypes.includes(subtype);
@@ -726,18 +931,9 @@ class UrbanGreenMapPMTiles extends HTMLElement {
     const iconPath = subcatIcon ? `../web-component/open-data-hub-icons/${subcatIcon}` : "";
 
     // Get coordinates for navigation
-    let coordinates = null;
-    if (feature.geometry?.type === "Point") {
-      coordinates = feature.geometry.coordinates;
-    } else if (feature.geometry?.type === "Polygon" && feature.geometry.coordinates?.[0]?.[0]) {
-      // Use first coordinate of polygon
-      coordinates = feature.geometry.coordinates[0][0];
-    } else if (feature.geometry?.type === "LineString" && feature.geometry.coordinates?.[0]) {
-      // Use first coordinate of line
-      coordinates = feature.geometry.coordinates[0];
-    }
+    const coordinates = firstCoordinate(feature.geometry);
 
-    this._sidebarTitle.textContent = p.title || "Green Area";
+    this._sidebarTitle.textContent = titleFromNames(p, [this.lang]) || "Green Area";
 
     this._sidebarContent.innerHTML = `
       ${iconPath ? `
@@ -758,7 +954,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
         </div>
         <div class="sidebar-detail-item">
           <span class="sidebar-detail-label">Green Code</span>
-          <span class="sidebar-detail-value">${this._escapeHtml(p.greenCode || "N/A")}</span>
+          <span class="sidebar-detail-value">${this._escapeHtml(featureCode(p) || "N/A")}</span>
         </div>
         <div class="sidebar-detail-item">
           <span class="sidebar-detail-label">Geometry</span>
@@ -766,7 +962,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
         </div>
         <div class="sidebar-detail-item">
           <span class="sidebar-detail-label">Status</span>
-          <span class="sidebar-detail-value">${p.isActive ? "Active" : "Inactive"}</span>
+          <span class="sidebar-detail-value">${(p.active ?? p.isActive) ? "Active" : "Inactive"}</span>
         </div>
       </div>
       ${coordinates ? `
@@ -778,10 +974,15 @@ class UrbanGreenMapPMTiles extends HTMLElement {
     `;
 
     this._sidebar.classList.add("open");
+    this._selectedId = p.id ?? null;
+    this.saveUrlState();
   }
 
   closeSidebar() {
     this._sidebar?.classList.remove("open");
+    if (this._selectedId === null) return;
+    this._selectedId = null;
+    this.saveUrlState();
   }
 
   _escapeHtml(str) {
@@ -811,13 +1012,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
       }
 
       btn.addEventListener("click", () => {
-        if (this.currentSubcategory === key) {
-          this.currentSubcategory = null;
-        } else {
-          this.currentSubcategory = key;
-        }
-        this.renderSubcategoryButtons();
-        this.updateLayerVisibility();
+        this.setSubcategory(this.currentSubcategory === key ? null : key);
       });
 
       container.appendChild(btn);
@@ -840,7 +1035,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
 
       let filter = [
         "==",
-        ["slice", ["to-string", ["get", "greenCode"]], 1, 2],
+        TYPE,
         type
       ];
 
@@ -850,7 +1045,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
 
         if (subcat) {
           const subtypeFilters = subcat.subtypes.map(st =>
-            ["==", ["slice", ["to-string", ["get", "greenCode"]], 2, 4], st]
+            ["==", SUBTYPE, st]
           );
 
           const subtypeFilter = subtypeFilters.length > 1
@@ -871,7 +1066,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
         }
       }
 
-      ["polygons-fill", "polygons-outline", "lines", "points"].forEach((prefix) => {
+      LAYER_PREFIXES.forEach((prefix) => {
         const layerId = `${prefix}-${type}`;
         if (this.map.getLayer(layerId)) {
           this.map.setLayoutProperty(layerId, "visibility", visibility);
@@ -923,7 +1118,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
             for (const geom of subcat.geometries) {
               expression.push(
                 ["all",
-                  ["==", ["slice", ["to-string", ["get", "greenCode"]], 2, 4], subtypeStr],
+                  ["==", SUBTYPE, subtypeStr],
                   ["==", ["geometry-type"], geom]
                 ],
                 subcat.color
@@ -931,7 +1126,7 @@ class UrbanGreenMapPMTiles extends HTMLElement {
             }
           } else {
             expression.push(
-              ["==", ["slice", ["to-string", ["get", "greenCode"]], 2, 4], subtypeStr],
+              ["==", SUBTYPE, subtypeStr],
               subcat.color
             );
           }
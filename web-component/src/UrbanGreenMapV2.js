@@ -2,6 +2,10 @@ import maplibregl from "maplibre-gl";
 import "maplibre-gl/dist/maplibre-gl.css";
 import Supercluster from "supercluster";
 import { ViewportDataLoader } from "./ViewportDataLoader.js";
+import { basemapOptions, createBasemapStyle } from "./Basemap.js";
+import { BASEMAP_FONT, BasemapControl, basemapChoices, replaceBasemap, resolveBasemap } from "../../shared/basemap-style.js";
+import { eachPosition } from "../../shared/wkt.js";
+import { applyViewAttribute, initialView, readMapState, urlStateOption, writeMapState } from "../../shared/map-view.js";
 
 const DEFAULT_CENTER = [11.8768, 45.4064];
 const DEFAULT_ZOOM = 11;
@@ -10,6 +14,45 @@ const MAP_MOVE_DEBOUNCE = 250;
 const CLUSTER_RADIUS = 60;
 const CLUSTER_MAX_ZOOM = 16;
 
+// Multi-part geometries filter and render like their single-part type
+const POLYGON_TYPES = ["Polygon", "MultiPolygon"];
+const LINE_TYPES = ["LineString", "MultiLineString"];
+
+function baseGeometryType(type) {
+  return String(type || "").replace(/^Multi/, "");
+}
+
+// First vertex of any geometry, used to fly to a feature
+function firstCoordinate(geometry) {
+  let coords = geometry?.coordinates;
+  while (Array.isArray(coords?.[0])) coords = coords[0];
+  return coords?.length >= 2 ? coords : null;
+}
+
+// [[west, south], [east, north]] of the features, or null without coordinates
+function featuresBounds(features) {
+  let west = Infinity, south = Infinity, east = -Infinity, north = -Infinity;
+  for (const f of features) {
+    if (!f?.geometry) continue;
+    eachPosition(f.geometry, ([lng, lat]) => {
+      if (lng < west) west = lng;
+      if (lng > east) east = lng;
+      if (lat < south) south = lat;
+      if (lat > north) north = lat;
+    });
+  }
+  return west === Infinity ? null : [[west, south], [east, north]];
+}
+
+// Plain GeoJSON copy of a source or rendered (MapLibre) feature, for events
+function plainFeature(feature) {
+  return {
+    type: "Feature",
+    geometry: feature.geometry,
+    properties: { ...(feature.properties || {}) },
+  };
+}
+
 const MAIN_TYPES = {
   "1": {
     name: "Vegetation",
@@ -44,11 +87,16 @@ const MAIN_TYPES = {
 };
 
 class UrbanGreenMapV2 extends HTMLElement {
+  static get observedAttributes() {
+    return ["api-base", "lang", "center", "zoom", "bounds", "category", "subcategory", "height"];
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: "open" });
 
     this.map = null;
+    this._mapLoaded = false;
     this.dataLoader = null;
 
     this.layerData = { "1": [], "2": [], "3": [] };
@@ -62,11 +110,19 @@ class UrbanGreenMapV2 extends HTMLElement {
 
     this._sidebar = null;
     this._sidebarContent = null;
+    this._selectedId = null;
+
+    this.urlState = null;
+    this._restoredState = null;
+    this._pendingFeatureId = null;
   }
 
   connectedCallback() {
+    this.restoreUrlState();
+    this.applyHeight();
     this.renderLayout();
     this.initMap();
+    this.applyFilterAttributes();
   }
 
   disconnectedCallback() {
@@ -75,6 +131,29 @@ class UrbanGreenMapV2 extends HTMLElement {
     this.map?.remove();
   }
 
+  // Until connectedCallback, initMap and applyFilterAttributes read the attributes
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (oldVal === newVal) return;
+
+    if (name === "height") {
+      this.applyHeight();
+    }
+
+    if (!this.map) return;
+
+    if (name === "lang" || name === "api-base") {
+      this.reloadData();
+    }
+
+    if (name === "center" || name === "zoom" || name === "bounds") {
+      applyViewAttribute(this.map, name, newVal);
+    }
+
+    if (name === "category" || name === "subcategory") {
+      this.applyFilterAttributes();
+    }
+  }
+
   get apiBase() {
     return this.getAttribute("api-base") || "https://api.tourism.testingmachine.eu";
   }
@@ -83,6 +162,99 @@ class UrbanGreenMapV2 extends HTMLElement {
     return this.getAttribute("lang") || "en";
   }
 
+  // url-state: a visited link's language, basemap and filter become attributes, its view goes to initMap
+  restoreUrlState() {
+    this.urlState = urlStateOption(this);
+    const state = this.urlState ? readMapState(this.urlState) : null;
+    this._restoredState = state;
+    this._pendingFeatureId = state?.feature || null;
+    if (!state) return;
+
+    if (state.lang) this.setAttribute("lang", state.lang);
+    if (state.basemap) this.setAttribute("basemap", state.basemap);
+    // Filters the link leaves out keep the page's attributes; a subcategory
+    // only applies under its category, so a linked category replaces both
+    if (state.category) {
+      this.setAttribute("category", state.category);
+      this.setAttribute("subcategory", state.subcategory || "");
+    } else if (state.subcategory) {
+      this.setAttribute("subcategory", state.subcategory);
+    }
+  }
+
+  saveUrlState() {
+    if (!this.urlState || !this._mapLoaded) return;
+    const { lng, lat } = this.map.getCenter();
+    writeMapState(this.urlState, {
+      center: [lng, lat],
+      zoom: this.map.getZoom(),
+      category: this.currentMainType,
+      subcategory: this.currentSubcategory,
+      basemap: resolveBasemap(this.basemap),
+      lang: this.lang,
+      feature: this._selectedId || this._pendingFeatureId,
+    });
+  }
+
+  // The feature selected in a visited link: its details again, leaving the restored view as it is
+  async reopenFeature(id) {
+    const feature = await this._lookupFeature(id);
+    this._pendingFeatureId = null;
+    if (!feature) {
+      this.saveUrlState();
+      return;
+    }
+
+    const type = feature.properties?.type;
+    if (MAIN_TYPES[type] && type !== this.currentMainType) this.setCategory(type);
+    this.showSidebar(feature);
+  }
+
+  applyHeight() {
+    const height = this.getAttribute("height");
+    if (height) this.style.height = height;
+    this.map?.resize();
+  }
+
+  // The category attribute, then the subcategory one when the category has it
+  applyFilterAttributes() {
+    const category = this.getAttribute("category");
+    const subcategory = this.getAttribute("subcategory");
+
+    try {
+      if (category !== null) this.setCategory(category || null);
+    } catch (error) {
+      console.warn(error.message);
+      this._emitError(error, { attribute: "category" });
+      return;
+    }
+
+    if (!subcategory) {
+      if (subcategory === "") this.setSubcategory(null);
+    } else if (MAIN_TYPES[this.currentMainType]?.subcategories[subcategory]) {
+      this.setSubcategory(subcategory);
+    } else {
+      console.warn(`Ignoring subcategory "${subcategory}" for category ${this.currentMainType}`);
+    }
+  }
+
+  // New language or API: load the view again from a new loader; the map and filters stay
+  reloadData() {
+    this.dataLoader?.abortAll();
+    this.dataLoader = new ViewportDataLoader(this.apiBase, this.lang);
+    this.dataLoader.onError = (error, context) => this._emitError(error, context);
+    this.closeSidebar();
+    this.clearLayers();
+
+    if (this.basemap.lang !== this.lang) {
+      this.basemap = { ...this.basemap, lang: this.lang };
+      if (this.basemap.url) this.setBasemap(resolveBasemap(this.basemap));
+    }
+
+    if (this.currentMainType && this._mapLoaded) this.loadViewportData();
+    this.saveUrlState();
+  }
+
   /* ================= UI ================= */
 
   renderLayout() {
@@ -480,12 +652,7 @@ class UrbanGreenMapV2 extends HTMLElement {
     });
 
     this.shadowRoot.querySelector("#mainTypeSelect").addEventListener("change", (e) => {
-      this.currentMainType = e.target.value || null;
-      this.currentSubcategory = null;
-      this.closeSidebar();
-      this.renderSubcategoryButtons();
-      this.clearLayers();
-      if (this.currentMainType) this.loadViewportData();
+      this.setCategory(e.target.value || null);
     });
 
     this.shadowRoot.querySelector("#clearCache").addEventListener("click", () => {
@@ -515,50 +682,189 @@ class UrbanGreenMapV2 extends HTMLElement {
       }
 
       btn.addEventListener("click", () => {
-        if (this.currentSubcategory === key) {
-          this.currentSubcategory = null;
-        } else {
-          this.currentSubcategory = key;
-        }
-        this.renderSubcategoryButtons();
-        this.updateSources();
+        this.setSubcategory(this.currentSubcategory === key ? null : key);
       });
 
       container.appendChild(btn);
     });
   }
 
+  /* ================= PUBLIC API ================= */
+
+  /**
+   * Show one main category ("1" vegetation, "2" urban furniture, "3" use &
+   * management), or none with null, as the category select does.
+   * Fires urbangreen-category-change.
+   */
+  setCategory(type) {
+    const category = type ? String(type) : null;
+    if (category && !MAIN_TYPES[category]) throw new Error(`Unknown category: ${type}`);
+
+    const select = this.shadowRoot.querySelector("#mainTypeSelect");
+    if (select) select.value = category || "";
+    if (category === this.currentMainType) return;
+
+    this.currentMainType = category;
+    this.currentSubcategory = null;
+    this.closeSidebar();
+    this.renderSubcategoryButtons();
+    this.clearLayers();
+    if (this.currentMainType && this._mapLoaded) this.loadViewportData();
+    this._emitCategoryChange();
+  }
+
+  /**
+   * Filter the current category to one subcategory (a key of its
+   * subcategories, e.g. "trees"), or show all of it with null.
+   * Fires urbangreen-category-change.
+   */
+  setSubcategory(key) {
+    const subcategory = key || null;
+    if (subcategory && !MAIN_TYPES[this.currentMainType]?.subcategories[subcategory]) {
+      throw new Error(`Unknown subcategory for category ${this.currentMainType}: ${key}`);
+    }
+    if (subcategory === this.currentSubcategory) return;
+
+    this.currentSubcategory = subcategory;
+    this.renderSubcategoryButtons();
+    if (this.currentMainType && this.currentMainType !== "3") this.buildClusters(this.currentMainType);
+    if (this._mapLoaded) this.updateSources();
+    this._emitCategoryChange();
+  }
+
+  /**
+   * Fly to the feature with this ODH id and open its details, switching to
+   * its category. Looks in the loaded data first, then asks the API.
+   * Resolves to the feature (GeoJSON), or null when there is none.
+   */
+  async flyToFeature(id, { zoom = 17 } = {}) {
+    if (!this.map) return null;
+    const feature = await this._lookupFeature(id);
+    const bounds = feature && featuresBounds([feature]);
+    if (!bounds) return null;
+
+    const type = feature.properties?.type;
+    if (MAIN_TYPES[type] && type !== this.currentMainType) this.setCategory(type);
+
+    const [[west, south], [east, north]] = bounds;
+    if (west === east && south === north) {
+      this.map.flyTo({ center: [west, south], zoom });
+    } else {
+      this.map.fitBounds(bounds, { padding: 60, maxZoom: zoom });
+    }
+
+    this.showSidebar(feature);
+    return plainFeature(feature);
+  }
+
+  /**
+   * Fit the map to `features` (GeoJSON), by default every loaded feature of
+   * the current category and subcategory. Returns false when there is
+   * nothing to fit.
+   */
+  fitToFeatures(features = this.getFilteredFeatures(this.currentMainType), { padding = 40, maxZoom = 18 } = {}) {
+    const bounds = featuresBounds(features);
+    if (!bounds || !this.map) return false;
+    this.map.fitBounds(bounds, { padding, maxZoom });
+    return true;
+  }
+
+  // Loaded features of the current category and subcategory within the map view (GeoJSON)
+  getVisibleFeatures() {
+    if (!this.currentMainType || !this.map) return [];
+
+    const view = this.map.getBounds();
+    return this.getFilteredFeatures(this.currentMainType)
+      .filter((f) => {
+        const bounds = featuresBounds([f]);
+        return bounds &&
+          bounds[0][0] <= view.getEast() && bounds[1][0] >= view.getWest() &&
+          bounds[0][1] <= view.getNorth() && bounds[1][1] >= view.getSouth();
+      })
+      .map(plainFeature);
+  }
+
+  // Drop the cached API responses and load the current view again
+  refresh() {
+    return this.clearCacheAndReload();
+  }
+
+  _findLoadedFeature(id) {
+    for (const features of Object.values(this.layerData)) {
+      const found = features.find((f) => f?.properties?.id === id);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // By ODH id from the loaded data, else from the API; null when there is none
+  async _lookupFeature(id) {
+    const loaded = this._findLoadedFeature(id);
+    if (loaded) return loaded;
+    try {
+      return await this.dataLoader.loadFeature(id);
+    } catch (error) {
+      this._emitError(error, { id });
+      return null;
+    }
+  }
+
+  // Events bubble out of the element so host pages can listen anywhere above it
+  _emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
+
+  _emitCategoryChange() {
+    this._emit("urbangreen-category-change", {
+      category: this.currentMainType,
+      subcategory: this.currentSubcategory,
+    });
+    this.saveUrlState();
+  }
+
+  _emitError(error, context = {}) {
+    this._emit("urbangreen-error", { message: error?.message || String(error), error, ...context });
+  }
 
   initMap() {
     this.dataLoader = new ViewportDataLoader(this.apiBase, this.lang);
+    this.dataLoader.onError = (error, context) => this._emitError(error, context);
+    this.basemap = basemapOptions(this, this.lang);
 
     const mapContainer = this.shadowRoot.querySelector("#map");
 
     this.map = new maplibregl.Map({
       container: mapContainer,
-      center: DEFAULT_CENTER,
-      zoom: DEFAULT_ZOOM,
+      ...initialView(this, { center: DEFAULT_CENTER, zoom: DEFAULT_ZOOM }, this._restoredState),
       maxZoom: 22,
       style: {
-        version: 8,
+        // Cluster counts; a vector basemap brings its own glyphs
         glyphs: "https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf",
-        sources: {
-          osm: {
-            type: "raster",
-            tiles: ["https://tile.openstreetmap.org/{z}/{x}/{y}.png"],
-            tileSize: 256,
-            maxzoom: 19,
-          },
-        },
-        layers: [{ id: "osm", type: "raster", source: "osm" }],
+        ...createBasemapStyle(this.basemap),
       },
     });
 
     this.map.addControl(new maplibregl.NavigationControl());
+    this.basemapControl = new BasemapControl({
+      choices: basemapChoices(this.basemap),
+      value: resolveBasemap(this.basemap),
+      onChange: (id) => this.setBasemap(id),
+    });
+    this.map.addControl(this.basemapControl);
 
     this.map.on("load", () => {
+      this._mapLoaded = true;
       this.createSourcesAndLayers();
       this.bindInteractionHandlersOnce();
+      // A category set through the API before the map was ready
+      if (this.currentMainType) this.loadViewportData();
+      if (this._pendingFeatureId) this.reopenFeature(this._pendingFeatureId);
+      else this.saveUrlState();
+    });
+
+    this.map.on("error", (e) => {
+      console.error("Map error:", e.error);
+      this._emitError(e.error, { sourceId: e.sourceId });
     });
 
     this.map.on("moveend", () => this.onMapMove());
@@ -574,9 +880,22 @@ class UrbanGreenMapV2 extends HTMLElement {
     });
   }
 
+  // Swap the background only; the UrbanGreen layers and their filters stay
+  setBasemap(id) {
+    this.basemap = { ...this.basemap, basemap: id };
+    this.basemapControl?.setValue(resolveBasemap(this.basemap));
+    if (!this.map) return;
+
+    const apply = () => replaceBasemap(this.map, createBasemapStyle(this.basemap));
+    if (this._mapLoaded) apply();
+    else this.map.once("load", apply);
+    this.saveUrlState();
+  }
+
   onMapMove() {
     clearTimeout(this.moveDebounceTimer);
     this.moveDebounceTimer = setTimeout(() => {
+      this.saveUrlState();
       if (this.currentMainType) this.loadViewportData();
     }, MAP_MOVE_DEBOUNCE);
   }
@@ -605,6 +924,11 @@ class UrbanGreenMapV2 extends HTMLElement {
     }
 
     this.updateSources();
+    this._emit("urbangreen-data-loaded", {
+      category: this.currentMainType,
+      subcategory: this.currentSubcategory,
+      count: this.layerData[this.currentMainType].length,
+    });
   }
 
   buildClusters(type) {
@@ -643,13 +967,13 @@ class UrbanGreenMapV2 extends HTMLElement {
 
     const filtered = raw.filter(f => {
       const props = f.properties || {};
-      const subtype = String(props.greenCodeSubtype || "").padStart(2, "0");
+      const subtype = props.subtype || "";
       
       const subtypeMatch = subcat.subtypes.includes(subtype);
       if (!subtypeMatch) return false;
 
       if (subcat.geometries && subcat.geometries.length > 0) {
-        return subcat.geometries.includes(f.geometry?.type);
+        return subcat.geometries.includes(baseGeometryType(f.geometry?.type));
       }
 
       return true;
@@ -735,7 +1059,7 @@ class UrbanGreenMapV2 extends HTMLElement {
             layout: {
               "text-field": ["get", "point_count_abbreviated"],
               "text-size": 13,
-              "text-font": ["Open Sans Regular", "Arial Unicode MS Regular"],
+              "text-font": this.basemap.url ? BASEMAP_FONT : ["Open Sans Regular", "Arial Unicode MS Regular"],
               "text-allow-overlap": true,
             },
             paint: { "text-color": "#fff" },
@@ -775,13 +1099,13 @@ class UrbanGreenMapV2 extends HTMLElement {
       if (type === "3") {
         src.setData({
           type: "FeatureCollection",
-          features: filtered.filter((f) => f?.geometry?.type === "Polygon"),
+          features: filtered.filter((f) => POLYGON_TYPES.includes(f?.geometry?.type)),
         });
         return;
       }
 
-      const polygons = filtered.filter((f) => f?.geometry?.type === "Polygon");
-      const lines = filtered.filter((f) => f?.geometry?.type === "LineString");
+      const polygons = filtered.filter((f) => POLYGON_TYPES.includes(f?.geometry?.type));
+      const lines = filtered.filter((f) => LINE_TYPES.includes(f?.geometry?.type));
       const cluster = this.clusterIndex[type];
 
       const b = this.map.getBounds();
@@ -868,8 +1192,8 @@ class UrbanGreenMapV2 extends HTMLElement {
     let subcatKey = "";
 
     if (mainType) {
-      const subtype = String(p.greenCodeSubtype || "").padStart(2, "0");
-      const geomType = feature.geometry?.type;
+      const subtype = p.subtype || "";
+      const geomType = baseGeometryType(feature.geometry?.type);
 
       for (const [key, subcat] of Object.entries(mainType.subcategories)) {
         const subtypeMatch = subcat.subtypes.includes(subtype);
@@ -887,16 +1211,7 @@ class UrbanGreenMapV2 extends HTMLElement {
     const iconPath = subcatIcon ? `../web-component/open-data-hub-icons/${subcatIcon}` : "";
 
     // Get coordinates for navigation
-    let coordinates = null;
-    if (feature.geometry?.type === "Point") {
-      coordinates = feature.geometry.coordinates;
-    } else if (feature.geometry?.type === "Polygon" && feature.geometry.coordinates?.[0]?.[0]) {
-      // Use first coordinate of polygon
-      coordinates = feature.geometry.coordinates[0][0];
-    } else if (feature.geometry?.type === "LineString" && feature.geometry.coordinates?.[0]) {
-      // Use first coordinate of line
-      coordinates = feature.geometry.coordinates[0];
-    }
+    const coordinates = firstCoordinate(feature.geometry);
 
     this._sidebarTitle.textContent = p.title || "Green Area";
 
@@ -919,7 +1234,7 @@ class UrbanGreenMapV2 extends HTMLElement {
         </div>
         <div class="sidebar-detail-item">
           <span class="sidebar-detail-label">Green Code</span>
-          <span class="sidebar-detail-value">${this._escapeHtml(p.greenCode || "N/A")}</span>
+          <span class="sidebar-detail-value">${this._escapeHtml(p.code || "N/A")}</span>
         </div>
         <div class="sidebar-detail-item">
           <span class="sidebar-detail-label">Geometry</span>
@@ -927,7 +1242,7 @@ class UrbanGreenMapV2 extends HTMLElement {
         </div>
         <div class="sidebar-detail-item">
           <span class="sidebar-detail-label">Status</span>
-          <span class="sidebar-detail-value">${p.isActive ? "Active" : "Inactive"}</span>
+          <span class="sidebar-detail-value">${p.active ? "Active" : "Inactive"}</span>
         </div>
       </div>
       ${coordinates ? `
@@ -939,10 +1254,16 @@ class UrbanGreenMapV2 extends HTMLElement {
     `;
 
     this._sidebar.classList.add("open");
+    this._selectedId = p.id ?? null;
+    this._emit("urbangreen-feature-select", { id: p.id, feature: plainFeature(feature) });
+    this.saveUrlState();
   }
 
   closeSidebar() {
     this._sidebar?.classList.remove("open");
+    if (this._selectedId === null) return;
+    this._selectedId = null;
+    this.saveUrlState();
   }
 
   _escapeHtml(str) {
@@ -956,12 +1277,12 @@ class UrbanGreenMapV2 extends HTMLElement {
     this.closeSidebar();
     await this.dataLoader.clearCache();
     this.clearLayers();
-    if (this.currentMainType) this.loadViewportData();
+    if (this.currentMainType) await this.loadViewportData();
   }
 
   clearLayers() {
     ["1", "2", "3"].forEach((t) => {
-      const src = this.map.getSource(`src-${t}`);
+      const src = this.map?.getSource(`src-${t}`);
       if (src) src.setData({ type: "FeatureCollection", features: [] });
       this.layerData[t] = [];
     });
@@ -988,11 +1309,7 @@ class UrbanGreenMapV2 extends HTMLElement {
             for (const geom of subcat.geometries) {
               expression.push(
                 ["all",
-                  ["any",
-                    ["==", ["to-string", ["get", "greenCodeSubtype"]], subtypeStr],
-                    ["==", ["get", "greenCodeSubtype"], subtypeStr],
-                    ["==", ["get", "greenCodeSubtype"], parseInt(subtype, 10)]
-                  ],
+                  ["==", ["get", "subtype"], subtypeStr],
                   ["==", ["geometry-type"], geom]
                 ],
                 subcat.color
@@ -1000,11 +1317,7 @@ class UrbanGreenMapV2 extends HTMLElement {
             }
           } else {
             expression.push(
-              ["any",
-                ["==", ["to-string", ["get", "greenCodeSubtype"]], subtypeStr],
-                ["==", ["get", "greenCodeSubtype"], subtypeStr],
-                ["==", ["get", "greenCodeSubtype"], parseInt(subtype, 10)]
-              ],
+              ["==", ["get", "subtype"], subtypeStr],
               subcat.color
             );
           }
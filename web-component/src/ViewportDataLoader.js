@@ -10,6 +10,8 @@ import {
 } from './SpatialQueryUtils.js';
 
 import { TileCache } from './TileCache.js';
+import { parseWkt } from '../../shared/wkt.js';
+import { itemProperties, pickFirstGeo } from '../../shared/urbangreen-feature.js';
 
 const RETRY_DELAY = 1000;
 const MAX_RETRIES = 2;
@@ -27,6 +29,9 @@ export class ViewportDataLoader {
 
     // Shared controller for the current "viewport load"
     this.viewportAbortController = null;
+
+    // Called with (error, context) when a request fails for good
+    this.onError = null;
   }
 
   /**
@@ -68,7 +73,8 @@ export class ViewportDataLoader {
     );
 
     const layerPromises = layersToQuery.map(async (layerType) => {
-      const tileKey = getTileKey(bounds, zoom, layerType);
+      // Titles and items depend on the language and the API
+      const tileKey = `${getTileKey(bounds, zoom, layerType)}:${this.lang}@${this.apiBase}`;
 
       // 1) CACHE (TileCache.get returns Array<Feature> | null)
       const cachedFeatures = await this.cache.get(tileKey);
@@ -107,6 +113,7 @@ export class ViewportDataLoader {
         .catch((err) => {
           if (err?.name === 'AbortError') return [];
           console.error(`Failed tile ${tileKey}:`, err);
+          this.onError?.(err, { tileKey });
           return [];
         })
         .finally(() => {
@@ -220,10 +227,25 @@ export class ViewportDataLoader {
     } catch (err) {
       if (err?.name === 'AbortError') throw err;
       console.error(`Page ${pageNumber} fetch failed:`, err?.message || err);
+      this.onError?.(err, { url, page: pageNumber });
       return { success: false, items: [] };
     }
   }
 
+  /**
+   * One item by id with full geometry and properties, or null when ODH has
+   * no item with that id
+   */
+  async loadFeature(id) {
+    const url = `${this.endpoint}/${encodeURIComponent(id)}?language=${encodeURIComponent(this.lang)}`;
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    return this._itemToFeature(await response.json(), 18);
+  }
+
   _extractItems(json) {
     if (Array.isArray(json)) return json;
     return json?.Items ?? json?.items ?? [];
@@ -241,13 +263,7 @@ export class ViewportDataLoader {
   }
 
   _extractGeometry(item, strategy) {
-    const geoObj = item?.Geo;
-    if (!geoObj) return null;
-
-    const geoArray = Array.isArray(geoObj) ? geoObj : Object.values(geoObj);
-    if (!geoArray.length) return null;
-
-    const geo = geoArray.find((g) => g && g.Default === true) || geoArray[0];
+    const geo = pickFirstGeo(item?.Geo);
     if (!geo) return null;
 
     const wktRaw = geo.Geometry ?? geo.geometry ?? null;
@@ -268,64 +284,45 @@ export class ViewportDataLoader {
   }
 
   _parseWKT(wktString, strategy) {
-    const cleaned = String(wktString).replace(/;SRID=\d+\s*$/i, '').trim();
-
-    // POINT
-    const pointMatch = cleaned.match(/POINT\s*\(\s*([-\d.,]+)\s+([-\d.,]+)\s*\)/i);
-    if (pointMatch) {
-      const lng = this._toNumber(pointMatch[1]);
-      const lat = this._toNumber(pointMatch[2]);
-      if (lng !== null && lat !== null) {
-        return { type: 'Point', coordinates: this._reduceCoordinatePrecision([lng, lat]) };
-      }
+    const geometry = parseWkt(wktString);
+    if (!geometry || geometry.type === 'Point') return geometry;
+
+    // Low zoom: centroid of the outer rings / line vertices
+    if (!strategy.includeFullGeometry) {
+      const coords = this._outlinePositions(geometry);
+      if (!coords.length) return null;
+      return { type: 'Point', coordinates: this._reduceCoordinatePrecision(this._calculateCentroid(coords)) };
     }
 
-    // LINESTRING
-    const lineMatch = cleaned.match(/LINESTRING\s*\(\s*(.+)\s*\)\s*$/i);
-    if (lineMatch && strategy.includeFullGeometry) {
-      const coords = this._parseCoordList(lineMatch[1]);
-      if (coords && coords.length >= 2) {
-        const reduced = this._reduceCoordinatePrecision(coords);
-        return { type: 'LineString', coordinates: reduced };
-      }
-    }
-
-    // POLYGON 
-    const polyMatch = cleaned.match(/POLYGON\s*\(\s*\((.+)\)\s*\)\s*$/i);
-
-    if (polyMatch && strategy.includeFullGeometry) {
-      const coords = this._parseCoordList(polyMatch[1]);
-      if (coords && coords.length >= 3) {
-        const simplified = this._simplifyPolygon([coords], strategy.simplificationTolerance);
-        const reduced = this._reduceCoordinatePrecision(simplified);
-        return { type: 'Polygon', coordinates: reduced };
-      }
+    if (geometry.type === 'Polygon') {
+      const simplified = this._simplifyPolygon(geometry.coordinates, strategy.simplificationTolerance);
+      return { type: 'Polygon', coordinates: this._reduceCoordinatePrecision(simplified) };
     }
 
-    // Low zoom: centroid
-    if (polyMatch && !strategy.includeFullGeometry) {
-      const coords = this._parseCoordList(polyMatch[1]);
-      if (coords && coords.length >= 3) {
-        const centroid = this._calculateCentroid(coords);
-        return { type: 'Point', coordinates: this._reduceCoordinatePrecision(centroid) };
-      }
+    if (geometry.type === 'MultiPolygon') {
+      const simplified = geometry.coordinates.map((rings) => this._simplifyPolygon(rings, strategy.simplificationTolerance));
+      return { type: 'MultiPolygon', coordinates: this._reduceCoordinatePrecision(simplified) };
     }
 
-    return null;
+    return geometry;
   }
 
-  _parseCoordList(str) {
-    const parts = String(str).trim().split(',').map((p) => p.trim()).filter(Boolean);
-    const coords = [];
-
-    for (const part of parts) {
-      const [lngStr, latStr] = part.split(/\s+/);
-      const lng = this._toNumber(lngStr);
-      const lat = this._toNumber(latStr);
-      if (lng !== null && lat !== null) coords.push([lng, lat]);
+  _outlinePositions(geometry) {
+    switch (geometry.type) {
+      case 'MultiPoint':
+      case 'LineString':
+        return geometry.coordinates;
+      case 'MultiLineString':
+        return geometry.coordinates.flat();
+      case 'Polygon':
+        return geometry.coordinates[0];
+      case 'MultiPolygon':
+        return geometry.coordinates.flatMap((rings) => rings[0]);
+      case 'GeometryCollection':
+        return geometry.geometries.flatMap((g) => (g.type === 'Point' ? [g.coordinates] : this._outlinePositions(g)));
+      default:
+        return [];
     }
-
-    return coords.length ? coords : null;
   }
 
   _simplifyPolygon(rings, tolerance) {
@@ -391,47 +388,23 @@ export class ViewportDataLoader {
     return coords.map((c) => this._reduceCoordinatePrecision(c, decimals));
   }
 
+  // Canonical schema (shared/urbangreen-feature.js), thinned out at low zoom
   _extractProperties(item, zoom) {
-    
-    const baseProps = {
-      id: item.Id,
-      greenCodeType: String(item.GreenCodeType || ''),
-      greenCodeSubtype: String(item.GreenCodeSubtype || ''),
-      greenCode: item.GreenCode || 'N/A',
-      isActive: item.Active || false
-    };
-
-    if (zoom < 12) return baseProps;
+    const properties = itemProperties(item, { lang: this.lang });
 
-    if (zoom < 15) {
-      return {
-        ...baseProps,
-        title: this._getLocalizedTitle(item)
-      };
+    if (zoom < 12) {
+      delete properties.title;
+      return properties;
     }
 
+    if (zoom < 15) return properties;
+
     return {
-      ...baseProps,
-      title: this._getLocalizedTitle(item),
-      active: item.Active ? 'Yes' : 'No',
+      ...properties,
       shortname: item.Shortname || ''
     };
   }
 
-  _getLocalizedTitle(item) {
-    const detail = item?.Detail;
-    if (!detail || typeof detail !== 'object') return item?.Shortname || item?.Id || 'Unknown';
-
-    if (detail[this.lang]?.Title) return detail[this.lang].Title;
-    if (detail.en?.Title) return detail.en.Title;
-
-    for (const v of Object.values(detail)) {
-      if (v?.Title) return v.Title;
-    }
-
-    return item?.Shortname || item?.Id || 'Unknown';
-  }
-
   _toNumber(v) {
     if (v === null || v === undefined) return null;
     const n = typeof v === 'number' ? v : Number(String(v).replace(',', '.'));
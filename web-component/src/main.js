@@ -20,15 +20,14 @@ function autoInit() {
           }
         });
 
+        // Before connecting, so url-state and the initial view are read at start
+        dataAttributes.forEach(attr => {
+          component.setAttribute(attr.name, attr.value);
+        });
+
         container.innerHTML = '';
         container.appendChild(component);
 
-        setTimeout(() => {
-          dataAttributes.forEach(attr => {
-            component.setAttribute(attr.name, attr.value);
-          });
-        }, 0);
-
         container.setAttribute('data-initialized', 'true');
       }
     });
@@ -1,6 +1,10 @@
 import { defineConfig } from "vite";
 
 export default defineConfig({
+  // src/ imports the shared WKT reader from ../shared
+  server: {
+    fs: { allow: [".."] }
+  },
   build: {
     emptyOutDir: false, 
     rollupOptions: {